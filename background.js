@@ -0,0 +1,351 @@
+/**
+ * X-Flagr (X.com Mod Community Tool)
+ * Background Service Worker
+ *
+ * Central message broker. Owns the storage mutation queue, answers storage
+ * reads for content scripts (which can't open the extension's IndexedDB),
+ * browser notifications, the toolbar badge and the refresh broadcasts to open
+ * X.com/Twitter tabs and the popup, so every change behaves the same
+ * whether it came from the popup or from a tweet.
+ *
+ * @version 1.0.1
+ *
+ * Copyright (c) 2025 by Lomaxxx
+ *
+ * This software and associated documentation files (the "Software") are
+ * proprietary and confidential. Unauthorized copying, modification,
+ * distribution, or use of this Software, via any medium, is strictly
+ * prohibited without the express written permission of Lomaxxx.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+importScripts('storage.js');
+
+/**
+ * BackgroundBroker - Routes messages and reacts to storage mutations
+ */
+class BackgroundBroker {
+  static TAB_URLS = ['https://x.com/*', 'https://twitter.com/*'];
+
+  // Refresh messages sent after a successful mutation of each storage class
+  static REFRESH_ACTIONS = {
+    RuleStorage: ['refreshRules'],
+    UserStorage: ['refreshUsers'],
+    StorageMigrations: ['refreshRules', 'refreshUsers'],
+    BackupStorage: ['refreshRules', 'refreshUsers', 'refreshCommunities'],
+    HistoryStorage: ['refreshRules', 'refreshUsers'],
+    TrashStorage: ['refreshRules', 'refreshUsers'],
+    CommunityStorage: ['refreshCommunities'],
+    WorkspaceStorage: ['refreshWorkspaces']
+  };
+
+  // Mutations that also change data of another storage class
+  static METHOD_REFRESH_ACTIONS = {
+    'RuleStorage.mergeRules': ['refreshUsers']
+  };
+
+  // Routine mutations that usually change nothing; their result tells whether they did
+  static CHANGE_CHECKS = {
+    'StorageMigrations.run': upgraded => upgraded === true,
+    'RuleStorage.initializeDefaultRules': seeded => seeded === true,
+    'TrashStorage.purgeExpired': count => count > 0,
+    'ScreenshotStorage.purgeOrphans': count => count > 0
+  };
+
+  // Storage classes whose mutations can change every kind of stored data
+  static FULL_REFRESH_TARGETS = ['StorageMigrations', 'BackupStorage', 'HistoryStorage'];
+
+  // Switching workspaces swaps out all data, so everything is reloaded
+  static WORKSPACE_SWITCH_ACTIONS = ['refreshRules', 'refreshUsers', 'refreshCommunities'];
+
+  static BADGE_COLOR = '#009eff';
+
+  static SCREENSHOT_QUALITY = 0.9;
+
+  static BROADCAST_DELAY = 50;
+
+  static pendingBroadcasts = new Map();
+
+  static broadcastTimer = null;
+
+  static init() {
+    chrome.runtime.onInstalled.addListener(() => {
+      // Upgrade stored data as soon as the extension is installed or updated
+      this.mutate('StorageMigrations', 'run')
+        .then(() => this.mutate('RuleStorage', 'initializeDefaultRules'))
+        .then(() => this.purgeTrash())
+        .catch(error => {
+          console.error('Error upgrading stored data:', error);
+        });
+    });
+
+    chrome.runtime.onStartup.addListener(() => {
+      this.updateBadge();
+      this.purgeTrash();
+    });
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === 'storageMutation') {
+        // Content scripts only change data through the quick-mark menu
+        if (sender.tab && !StorageBridge.isTabMutation(message.target, message.method)) {
+          sendResponse({ success: false, error: `${message.target}.${message.method} can't be run from a page` });
+          return false;
+        }
+        const origin = sender.tab ? 'quick-mark' : 'popup';
+        this.mutate(message.target, message.method, message.args, origin)
+          .then(({ result, historyId }) => {
+            sendResponse({ success: true, result: result, historyId: historyId });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'storageQuery') {
+        StorageBridge.query(message.target, message.method, message.args)
+          .then((result) => {
+            sendResponse({ success: true, result: result });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'captureArea') {
+        this.captureArea(sender.tab, message.area, message.viewportWidth)
+          .then((result) => {
+            sendResponse({ success: true, result: result });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'openPopup') {
+        this.openPopup(message.username)
+          .then(() => {
+            sendResponse({ success: true });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
+      }
+      return false;
+    });
+
+    this.updateBadge();
+  }
+
+  /**
+   * Run a storage mutation in the queue and apply its side effects
+   * @param {string} target - Storage class name
+   * @param {string} method - Mutating method name
+   * @param {Array} args - Method arguments
+   * @param {string} origin - Where the change came from (defaults to 'system')
+   * @returns {Promise<Object>} { result, historyId } of the mutation
+   */
+  static async mutate(target, method, args = [], origin = 'system') {
+    const outcome = await StorageBridge.execute(target, method, args, origin);
+    const check = this.CHANGE_CHECKS[`${target}.${method}`];
+    if (check && !check(outcome.result)) {
+      return outcome;
+    }
+    // Side effects must never turn a saved change into an error for the sender
+    this.afterMutation(target, method, args).catch(error => {
+      console.error('Error after storage mutation:', error);
+    });
+    return outcome;
+  }
+
+  static async afterMutation(target, method, args) {
+    const workspaceSwitch = target === 'WorkspaceStorage' && method === 'switchWorkspace';
+
+    [
+      ...(this.REFRESH_ACTIONS[target] || []),
+      ...(this.METHOD_REFRESH_ACTIONS[`${target}.${method}`] || []),
+      ...(workspaceSwitch ? this.WORKSPACE_SWITCH_ACTIONS : [])
+    ].forEach(action => {
+      this.broadcast({ action: action });
+    });
+
+    const fullRefresh = this.FULL_REFRESH_TARGETS.includes(target) || workspaceSwitch;
+
+    if (target === 'UserStorage' || target === 'TrashStorage' || fullRefresh) {
+      await this.updateBadge();
+    }
+
+    if (target === 'UserStorage' && method === 'addUser') {
+      await this.notifyUserMarked(args[0], args[1]);
+    }
+
+    if (fullRefresh || (target === 'SettingsStorage' && args[0] && args[0].labelsEnabled !== undefined)) {
+      const settings = await SettingsStorage.getSettings();
+      this.broadcast({ action: 'toggleLabels', enabled: settings.labelsEnabled });
+    }
+
+    if (fullRefresh || (target === 'SettingsStorage' && args[0] && (args[0].detectors !== undefined || args[0].escalation !== undefined || args[0].screenshotEvidence !== undefined))) {
+      this.broadcast({ action: 'refreshSettings' });
+    }
+
+    if (workspaceSwitch) {
+      await this.purgeTrash();
+    }
+  }
+
+  /**
+   * Queue a message for all X.com/Twitter tabs and the popup. Messages are
+   * collected briefly so bulk changes cause a single refresh per action.
+   * @param {Object} message - Message with an action
+   */
+  static broadcast(message) {
+    this.pendingBroadcasts.set(message.action, message);
+    if (this.broadcastTimer) {
+      return;
+    }
+    this.broadcastTimer = setTimeout(() => this.flushBroadcasts(), this.BROADCAST_DELAY);
+  }
+
+  static async flushBroadcasts() {
+    const messages = Array.from(this.pendingBroadcasts.values());
+    this.pendingBroadcasts.clear();
+    this.broadcastTimer = null;
+
+    try {
+      const tabs = await chrome.tabs.query({ url: this.TAB_URLS });
+      tabs.forEach(tab => {
+        messages.forEach(message => {
+          chrome.tabs.sendMessage(tab.id, message).catch(() => {
+            // Silently fail if tab is not responsive
+          });
+        });
+      });
+    } catch (error) {
+      // Ignore errors
+    }
+
+    messages.forEach(message => {
+      chrome.runtime.sendMessage(message).catch(() => {
+        // Silently fail if the popup is not open
+      });
+    });
+  }
+
+  /**
+   * Permanently delete trash items older than the retention period
+   */
+  static async purgeTrash() {
+    try {
+      await this.mutate('TrashStorage', 'purgeExpired');
+      await this.mutate('ScreenshotStorage', 'purgeOrphans');
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  }
+
+  /**
+   * Screenshot the visible part of a tab, cropped to an area of the page
+   * @param {Object} tab - Tab that asked for the screenshot
+   * @param {Object} area - { left, top, width, height } in CSS pixels of the viewport
+   * @param {number} viewportWidth - Viewport width in CSS pixels
+   * @returns {Promise<Object>} { image, width, height } with a JPEG data URL
+   */
+  static async captureArea(tab, area, viewportWidth) {
+    if (!tab) {
+      throw new Error('Screenshots can only be taken of a tab');
+    }
+    if (!area || ![area.left, area.top, area.width, area.height, viewportWidth].every(Number.isFinite) || viewportWidth <= 0) {
+      throw new Error('Invalid screenshot area');
+    }
+    if (!/^https:\/\/(x|twitter)\.com\//.test(tab.url || '')) {
+      throw new Error('Screenshots can only be taken of X.com tabs');
+    }
+    if (!(await chrome.permissions.contains(ScreenshotStorage.PERMISSIONS))) {
+      throw new Error('Permission to capture tabs is missing. Turn Screenshot evidence off and on again in Settings');
+    }
+
+    // The tab is the active one of its window: the click that asked for this happened in it
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+
+    // Captures are in device pixels
+    const scale = bitmap.width / viewportWidth;
+    const left = Math.max(0, Math.round(area.left * scale));
+    const top = Math.max(0, Math.round(area.top * scale));
+    const width = Math.min(bitmap.width - left, Math.round(area.width * scale));
+    const height = Math.min(bitmap.height - top, Math.round(area.height * scale));
+    if (width <= 0 || height <= 0) {
+      bitmap.close();
+      throw new Error('The tweet is not visible');
+    }
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, left, top, width, height, 0, 0, width, height);
+    bitmap.close();
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: this.SCREENSHOT_QUALITY });
+    return { image: await this.toDataUrl(blob), width: width, height: height };
+  }
+
+  /**
+   * Encode a blob as a base64 data URL
+   * @param {Blob} blob - Blob
+   * @returns {Promise<string>} Data URL
+   */
+  static async toDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      chunks.push(String.fromCharCode(...bytes.subarray(i, i + 0x8000)));
+    }
+    return `data:${blob.type};base64,${btoa(chunks.join(''))}`;
+  }
+
+  /**
+   * Show the number of marked users on the toolbar icon
+   */
+  static async updateBadge() {
+    try {
+      const count = await UserStorage.countUsers();
+      await chrome.action.setBadgeBackgroundColor({ color: this.BADGE_COLOR });
+      await chrome.action.setBadgeText({ text: count > 0 ? count.toString() : '' });
+    } catch (error) {
+      // Silently fail if the badge can't be updated
+    }
+  }
+
+  static async notifyUserMarked(username, ruleId) {
+    try {
+      const settings = await SettingsStorage.getSettings();
+      if (!settings.notificationsEnabled) {
+        return;
+      }
+
+      const rule = await RuleStorage.getRule(ruleId);
+      const ruleName = rule ? rule.name : 'Unknown';
+
+      await chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'User Marked',
+        message: `@${username.replace(/^@/, '')} has been marked for "${ruleName}".`,
+        priority: 2
+      });
+    } catch (error) {
+      // Silently fail if notifications are not supported
+    }
+  }
+
+  /**
+   * Open the extension popup, prefilled with the given username
+   * @param {string} username - Optional username to prefill
+   */
+  static async openPopup(username) {
+    const pendingUsername = UserStorage.normalizeUsername(username || '');
+    if (pendingUsername) {
+      await chrome.storage.session.set({ pendingUsername: pendingUsername });
+    }
+    await chrome.action.openPopup();
+  }
+}
+
+BackgroundBroker.init();
@@ -10,7 +10,7 @@ ZIP_FILE="X-Flagr-v${VERSION}.zip"
 mkdir -p "$RELEASE_DIR"
 
 # Copy all files except screenshots and other excluded files
-cp -r content.css content.js icons images manifest.json popup.css popup.html popup.js PRIVACY_POLICY.md privacy-policy.html README.md LICENSE .gitignore "$RELEASE_DIR/" 2>/dev/null
+cp -r background.js content.css content.js icons images manifest.json popup.css popup.html popup.js storage.js PRIVACY_POLICY.md privacy-policy.html README.md LICENSE .gitignore "$RELEASE_DIR/" 2>/dev/null
 
 # Remove screenshots directory if it was copied
 rm -rf "$RELEASE_DIR/screenshots"
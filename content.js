@@ -67,14 +67,18 @@ class XModHelper {
     this.processedButtons = new WeakSet();
     this.buttonCheckInterval = null;
     this.isCommunityCached = null;
+    this.communityId = null;
+    this.loadedCommunityId = null;
+    this.savedCommunityNames = new Map();
     this.lastUrl = location.href;
+    this.linkedUserIds = new Set();
     this.init();
   }
 
   async init() {
     // Always bind message listener (needed for communication)
     this.bindMessageListener();
-    
+
     // Check if we're on a community page - if not, don't initialize
     if (!this.isCommunityPage()) {
       // Still start button check interval to detect when we enter a community
@@ -105,6 +109,7 @@ class XModHelper {
     // Method 1: Check if current URL is a community page (most reliable)
     const pathname = window.location.pathname;
     if (pathname.includes('/i/communities/')) {
+      this.communityId = this.extractCommunityId(pathname);
       this.isCommunityCached = true;
       return true;
     }
@@ -128,6 +133,7 @@ class XModHelper {
             // Verify it's not in tweet content by checking if it's in a tweet article
             const isInTweet = link.closest('article[data-testid="tweet"]');
             if (!isInTweet) {
+              this.communityId = this.extractCommunityId(href);
               this.isCommunityCached = true;
               return true;
             }
@@ -141,6 +147,7 @@ class XModHelper {
       if (mainContent) {
         // Look for community indicators that are NOT inside tweets
         const communityIndicators = mainContent.querySelectorAll('[data-testid*="community"]');
+        let foundIndicator = false;
         for (const indicator of communityIndicators) {
           // Must NOT be inside a tweet
           const isInTweet = indicator.closest('article[data-testid="tweet"]');
@@ -150,23 +157,100 @@ class XModHelper {
                               indicator.closest('nav') ||
                               indicator.closest('[role="navigation"]');
             if (isInHeader) {
-              this.isCommunityCached = true;
-              return true;
+              // The indicator links to its community; marks made here are scoped to it
+              const communityId = this.extractIndicatorCommunityId(indicator);
+              if (communityId) {
+                this.communityId = communityId;
+                this.isCommunityCached = true;
+                return true;
+              }
+              foundIndicator = true;
             }
           }
         }
+        if (foundIndicator) {
+          // A community page whose community can't be told: marks are shared by all communities
+          this.communityId = null;
+          this.isCommunityCached = true;
+          return true;
+        }
       }
     }
     
     // If we're not on a community URL and not on a status page with community context, it's not a community
+    this.communityId = null;
     this.isCommunityCached = false;
     return false;
   }
 
+  /**
+   * Extract the community ID from a community URL or path
+   * @param {string} href - URL or path containing /i/communities/<id>
+   * @returns {string|null} Community ID or null
+   */
+  extractCommunityId(href) {
+    const match = (href || '').match(/\/i\/communities\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Find the community a community indicator links to
+   * @param {Element} indicator - Element with a community data-testid
+   * @returns {string|null} Community ID or null
+   */
+  extractIndicatorCommunityId(indicator) {
+    const selector = 'a[href*="/i/communities/"]';
+    const link = indicator.closest(selector) || indicator.querySelector(selector);
+    return link ? this.extractCommunityId(link.getAttribute('href')) : null;
+  }
+
+  /**
+   * Reload rules and marked users when the page moved to another community,
+   * so only that community's rules and violations are shown
+   */
+  async syncCommunity() {
+    this.rememberCommunity();
+    if (this.communityId === this.loadedCommunityId) {
+      return;
+    }
+
+    await this.loadRules();
+    await this.loadMarkedUsers();
+    this.removeAllLabels();
+    this.processedButtons = new WeakSet();
+    this.processExistingContent();
+  }
+
+  /**
+   * Store the current community so the popup can offer it in its switcher.
+   * The name is only taken from the community's own page title.
+   */
+  rememberCommunity() {
+    if (!this.communityId) {
+      return;
+    }
+
+    let name = '';
+    if (window.location.pathname.includes('/i/communities/')) {
+      name = document.title.replace(/^\(\d+\)\s*/, '').replace(/\s*\/\s*X$/, '').trim();
+      if (name === 'X') {
+        name = '';
+      }
+    }
+
+    if (this.savedCommunityNames.has(this.communityId) &&
+        (!name || this.savedCommunityNames.get(this.communityId) === name)) {
+      return;
+    }
+    this.savedCommunityNames.set(this.communityId, name);
+    CommunityStorage.saveCommunity(this.communityId, name).catch(() => {
+      // Silently fail if the extension context is invalidated
+    });
+  }
+
   async loadRules() {
     try {
-      const result = await chrome.storage.local.get(['rules']);
-      this.rules = result.rules || [];
+      this.rules = await RuleStorage.getRules({ communityId: this.communityId });
     } catch (error) {
       this.rules = [];
     }
@@ -174,8 +258,8 @@ class XModHelper {
 
   async loadMarkedUsers() {
     try {
-      const result = await chrome.storage.local.get(['markedUsers']);
-      this.markedUsers = result.markedUsers || {};
+      this.loadedCommunityId = this.communityId;
+      this.markedUsers = await UserStorage.getMarkedUsers({ communityId: this.communityId });
     } catch (error) {
       this.markedUsers = {};
     }
@@ -183,10 +267,16 @@ class XModHelper {
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.local.get(['labelsEnabled']);
-      this.labelsEnabled = result.labelsEnabled !== false; // Default to true
+      const settings = await SettingsStorage.getSettings();
+      this.labelsEnabled = settings.labelsEnabled;
+      this.detectorSettings = settings.detectors;
+      this.escalationLadder = settings.escalation;
+      this.screenshotEvidence = settings.screenshotEvidence;
     } catch (error) {
       this.labelsEnabled = true;
+      this.detectorSettings = null;
+      this.escalationLadder = null;
+      this.screenshotEvidence = false;
     }
   }
 
@@ -290,6 +380,7 @@ class XModHelper {
           if (isCommunity && !this.observer) {
             this.startObserving();
           }
+          this.syncCommunity();
           
           // Process content
           this.processExistingContent();
@@ -321,6 +412,8 @@ class XModHelper {
         if (buttons.length > 0) {
           buttons.forEach(btn => btn.remove());
         }
+        // Profiles and hover cards outside communities still tell marked users' account IDs
+        this.captureUserIds(document);
         // Also stop observer if running
         if (this.observer && !this.isCommunityPage()) {
           this.observer.disconnect();
@@ -340,6 +433,9 @@ class XModHelper {
           this.loadMarkedUsers();
         }
       }
+
+      // Switch rules and labels when navigating between communities
+      this.syncCommunity();
       
       // Find all username elements and ensure they have buttons
       const usernameElements = document.querySelectorAll('[data-testid="User-Name"], [data-testid="UserName"]');
@@ -405,6 +501,8 @@ class XModHelper {
         // Silently ignore selector errors
       }
     });
+
+    this.captureUserIds(document);
   }
 
   processNewContent(node) {
@@ -412,6 +510,8 @@ class XModHelper {
     if (!this.isCommunityPage()) {
       return;
     }
+
+    this.captureUserIds(node);
     
     // Check if the node is a username element
     if (node.matches && (node.matches('[data-testid="User-Name"]') || node.matches('[data-testid="UserName"]'))) {
@@ -514,7 +614,8 @@ class XModHelper {
       return;
     }
 
-    const userData = this.markedUsers[username.toLowerCase()];
+    // Expired violations stay in the history but no longer show as strikes
+    const userData = UserStorage.getActiveUser(this.markedUsers[username.toLowerCase()], this.rules);
     
     // Find the tweet container - try multiple methods
     let tweetContainer = element.closest('article[data-testid="tweet"]');
@@ -571,27 +672,11 @@ class XModHelper {
       });
     }
     
-    // Support both old and new data structure
-    let rulesToDisplay = [];
-    
-    if (userData.rules && typeof userData.rules === 'object') {
-      // New structure: multiple rules
-      Object.keys(userData.rules).forEach(ruleId => {
-        const ruleData = userData.rules[ruleId];
-        rulesToDisplay.push({
-          ruleId: ruleId,
-          count: ruleData.count || 1,
-          firstTimestamp: ruleData.firstTimestamp || userData.timestamp
-        });
-      });
-    } else if (userData.rule) {
-      // Old structure: single rule (migration support)
-      rulesToDisplay.push({
-        ruleId: userData.rule,
-        count: userData.count || 1,
-        firstTimestamp: userData.timestamp
-      });
-    }
+    const rulesToDisplay = Object.keys(userData.rules).map(ruleId => ({
+      ruleId: ruleId,
+      count: userData.rules[ruleId].count,
+      firstTimestamp: userData.rules[ruleId].firstTimestamp
+    }));
     
     if (rulesToDisplay.length === 0) {
       return;
@@ -883,6 +968,118 @@ class XModHelper {
     return username;
   }
 
+  /**
+   * Find numeric account IDs exposed by the page. Tweets don't carry them;
+   * X only renders them in follow buttons (data-testid="<id>-follow" /
+   * "<id>-unfollow") of hover cards, user cells and profile headers, and in
+   * the profile banner URL. Marked users get their ID the first time one of
+   * these shows them, on any X.com page.
+   * @param {Node} root - Element (or document) to search
+   */
+  captureUserIds(root) {
+    if (!root || !root.querySelectorAll) {
+      return;
+    }
+
+    const buttons = Array.from(root.querySelectorAll('[data-testid$="-follow"], [data-testid$="-unfollow"]'));
+    if (root.matches && root.matches('[data-testid$="-follow"], [data-testid$="-unfollow"]')) {
+      buttons.push(root);
+    }
+
+    buttons.forEach(button => {
+      const match = (button.getAttribute('data-testid') || '').match(/^(\d+)-(?:un)?follow$/);
+      if (!match) {
+        return;
+      }
+
+      const container = button.closest('[data-testid="UserCell"], [data-testid="HoverCard"]');
+      if (!container) {
+        // Outside cards and tweets, a follow button belongs to the profile being viewed
+        const profileUsername = button.closest('article') ? null : this.getProfileUsername();
+        if (profileUsername && button.closest('[data-testid="primaryColumn"]')) {
+          this.linkUserId(profileUsername, match[1]);
+        }
+        return;
+      }
+
+      const nameElement = container.querySelector('[data-testid="User-Name"], [data-testid="UserName"]');
+      let username = nameElement ? this.extractUsername(nameElement) : null;
+      if (!username) {
+        const profileLink = Array.from(container.querySelectorAll('a[href^="/"]'))
+          .map(link => (link.getAttribute('href') || '').match(/^\/([a-zA-Z0-9_]{1,15})$/))
+          .find(Boolean);
+        username = profileLink ? profileLink[1] : null;
+      }
+
+      if (username) {
+        this.linkUserId(username, match[1]);
+      }
+    });
+
+    // Profile banners are stored under the account ID: /profile_banners/<id>/...
+    root.querySelectorAll('a[href$="/header_photo"] img[src*="/profile_banners/"]').forEach(image => {
+      const usernameMatch = (image.closest('a').getAttribute('href') || '').match(/^\/([a-zA-Z0-9_]{1,15})\/header_photo$/);
+      const idMatch = (image.getAttribute('src') || '').match(/\/profile_banners\/(\d+)\//);
+      if (usernameMatch && idMatch) {
+        this.linkUserId(usernameMatch[1], idMatch[1]);
+      }
+    });
+  }
+
+  /**
+   * Handle of the profile being viewed
+   * @returns {string|null} Username, or null if this isn't a profile page
+   */
+  getProfileUsername() {
+    const match = window.location.pathname.match(/^\/([a-zA-Z0-9_]{1,15})(?:\/(?:with_replies|media|likes|highlights|articles))?\/?$/);
+    if (!match || ['home', 'explore', 'notifications', 'messages', 'search', 'settings', 'compose', 'i'].includes(match[1].toLowerCase())) {
+      return null;
+    }
+    return match[1];
+  }
+
+  /**
+   * Store the account ID of a handle when it matters: the handle is marked
+   * without an ID yet, or the ID is marked under another handle (rename).
+   * Both are checked in storage, across all communities, not only in the
+   * users loaded for this page.
+   * @param {string} username - Handle shown on the page
+   * @param {string} userId - Numeric account ID
+   */
+  async linkUserId(username, userId) {
+    const usernameLower = UserStorage.normalizeUsername(username);
+    if (!usernameLower) {
+      return;
+    }
+
+    const key = `${usernameLower}:${userId}`;
+    if (this.linkedUserIds.has(key)) {
+      return;
+    }
+    this.linkedUserIds.add(key);
+
+    const loaded = this.markedUsers[usernameLower];
+    if (loaded && loaded.userId === userId) {
+      return;
+    }
+
+    try {
+      const [marked, handles] = await Promise.all([
+        UserStorage.getUser(usernameLower),
+        UserStorage.findByUserId(userId)
+      ]);
+      const renamed = handles.some(name => name !== usernameLower);
+      if (!renamed && (!marked || marked.userId === userId)) {
+        return;
+      }
+
+      // Labels refresh through the background's refreshUsers broadcast
+      await UserStorage.linkUserId(usernameLower, userId);
+    } catch (error) {
+      console.error('Error linking user ID:', error);
+    }
+  }
+
   createLabel(ruleInfo, userData) {
     if (!ruleInfo || !ruleInfo.ruleId) return null;
     
@@ -934,33 +1131,21 @@ class XModHelper {
   }
 
   showUserDetails(userData, event) {
-    // Support both old and new data structure
     let rulesList = [];
     
-    if (userData.rules && typeof userData.rules === 'object') {
-      // New structure: multiple rules
-      Object.keys(userData.rules).forEach(ruleId => {
-        const ruleData = userData.rules[ruleId];
-        const rule = this.getRule(ruleId);
-        if (rule) {
-          rulesList.push({
-            name: rule.name,
-            color: rule.color,
-            count: ruleData.count || 1,
-            firstTimestamp: ruleData.firstTimestamp || userData.timestamp
-          });
-        }
-      });
-    } else if (userData.rule) {
-      // Old structure: single rule (migration support)
-      const rule = this.getRule(userData.rule);
-      rulesList.push({
-        name: rule ? rule.name : this.getRuleText(userData.rule),
-        color: rule ? rule.color : '#ff405c',
-        count: userData.count || 1,
-        firstTimestamp: userData.timestamp
-      });
-    }
+    Object.keys(userData.rules).forEach(ruleId => {
+      const ruleData = userData.rules[ruleId];
+      const rule = this.getRule(ruleId);
+      if (rule) {
+        rulesList.push({
+          name: rule.name,
+          color: rule.color,
+          count: ruleData.count,
+          firstTimestamp: ruleData.firstTimestamp,
+          lastTimestamp: ruleData.lastTimestamp
+        });
+      }
+    });
     
     // SVG Icons (inline, guaranteed to work)
     const userIconSVG = `<svg width="18" height="18" viewBox="0 0 512 512" fill="currentColor" xmlns="http://www.w3.org/2000/svg"><path d="M256 0C114.6 0 0 114.6 0 256s114.6 256 256 256s256-114.6 256-256S397.4 0 256 0zm0 96c39.5 0 71.6 32.1 71.6 71.6s-32.1 71.6-71.6 71.6s-71.6-32.1-71.6-71.6S216.5 96 256 96zm0 320c-52.9 0-100.8-21.5-135.5-56.2c18.3-33.7 55.1-56.2 96.5-56.2h78c41.4 0 78.2 22.5 96.5 56.2C356.8 394.5 308.9 416 256 416z"/></svg>`;
@@ -987,6 +1172,12 @@ class XModHelper {
         const safeCount = SecurityUtils.escapeHtml(ruleInfo.count.toString());
         const safeDate = SecurityUtils.escapeHtml(formattedDate);
         const safeTime = SecurityUtils.escapeHtml(formattedTime);
+        const lastDate = new Date(ruleInfo.lastTimestamp);
+        const safeLastDate = SecurityUtils.escapeHtml(lastDate.toLocaleDateString('en-US', {
+          month: 'short',
+          day: 'numeric',
+          year: 'numeric'
+        }));
         tooltipBody += `
           <div class="xmod-violation-card" style="border-left-color: ${safeColor};">
             <div class="xmod-violation-header">
@@ -998,7 +1189,7 @@ class XModHelper {
             </div>
             <div class="xmod-violation-date">
               <span class="xmod-icon-svg">${calendarIconSVG}</span>
-              <span>First: ${safeDate} ${safeTime}</span>
+              <span>First: ${safeDate} ${safeTime}${ruleInfo.count > 1 ? ` · Last: ${safeLastDate}` : ''}</span>
             </div>
           </div>
         `;
@@ -1007,6 +1198,15 @@ class XModHelper {
       tooltipBody = '<div class="xmod-no-violations">No violations recorded</div>';
     }
     
+    // Labels only pass active violations, so these are the current strikes
+    const escalation = EscalationPolicy.evaluate(userData, this.rules, this.escalationLadder);
+    const escalationHTML = `
+      <div class="xmod-escalation">
+        <div class="xmod-escalation-current">${SecurityUtils.escapeHtml(EscalationPolicy.describeStep(escalation.current))}</div>
+        <div class="xmod-escalation-next">Next: ${SecurityUtils.escapeHtml(EscalationPolicy.describeNext(escalation.next))}</div>
+      </div>
+    `;
+    
     const tooltip = document.createElement('div');
     tooltip.className = 'xmod-tooltip';
     tooltip.innerHTML = `
@@ -1016,6 +1216,7 @@ class XModHelper {
           <span>User Details</span>
         </div>
         <div class="xmod-tooltip-body">
+          ${escalationHTML}
           ${tooltipBody}
         </div>
       </div>
@@ -1105,6 +1306,15 @@ class XModHelper {
             sendResponse({ success: false, error: error.message });
         });
           return true; // Keep message channel open for async response
+        } else if (message.action === 'refreshSettings') {
+          this.loadSettings().then(() => {
+            sendResponse({ success: true });
+          });
+          return true; // Keep message channel open for async response
+        } else if (message.action === 'refreshWorkspaces') {
+          // Communities are stored per workspace, so save the current one again
+          this.savedCommunityNames.clear();
+          this.rememberCommunity();
       }
       } catch (error) {
         sendResponse({ success: false, error: error.message });
@@ -1341,6 +1551,11 @@ class XModHelper {
         }
       }
 
+      // Remember the tweet so the incident can link back to it and keep its content as evidence
+      this.currentMarkingTweetContainer = tweetContainer;
+      this.currentMarkingTweetUrl = this.extractTweetUrl(tweetContainer);
+      this.currentMarkingEvidence = this.extractTweetEvidence(tweetContainer, tweetText, this.currentMarkingTweetUrl);
+
       console.log('Showing popup for username:', username);
       // Show quick mark popup
       this.showQuickMarkPopup(username, tweetText, event, usernameElement);
@@ -1349,64 +1564,102 @@ class XModHelper {
     }
   }
 
-  detectViolation(tweetText) {
-    if (!tweetText || !this.rules || this.rules.length === 0) {
+  /**
+   * Extract the permalink of a tweet
+   * @param {Element|null} tweetContainer - Tweet article element
+   * @returns {string|null} Absolute tweet URL or null if unknown
+   */
+  extractTweetUrl(tweetContainer) {
+    try {
+      // The timestamp link of a tweet always points to its permalink
+      const timeLink = tweetContainer ? tweetContainer.querySelector('a[href*="/status/"] time') : null;
+      const link = timeLink ? timeLink.closest('a') : null;
+      if (link) {
+        const url = new URL(link.getAttribute('href'), location.origin);
+        return `${url.origin}${url.pathname}`;
+      }
+
+      // Fallback: single tweet view
+      if (/^\/\w+\/status\/\d+/.test(location.pathname)) {
+        return `${location.origin}${location.pathname}`;
+      }
+    } catch (error) {
+      // Ignore malformed URLs
+    }
+    return null;
+  }
+
+  /**
+   * Snapshot a tweet, so a mark keeps its proof if the tweet is deleted later
+   * @param {Element|null} tweetContainer - Tweet article element
+   * @param {string} tweetText - Tweet text
+   * @param {string|null} tweetUrl - Tweet permalink
+   * @returns {Object|null} { statusId, text, postedAt, media, capturedAt }, or null without a tweet
+   */
+  extractTweetEvidence(tweetContainer, tweetText, tweetUrl) {
+    if (!tweetContainer) {
       return null;
     }
 
-    const textLower = tweetText.toLowerCase();
-    let bestMatch = null;
-    let bestScore = 0;
+    const statusMatch = tweetUrl ? tweetUrl.match(/\/status\/(\d+)/) : null;
+    const time = tweetContainer.querySelector('a[href*="/status/"] time[datetime]');
+    const postedAt = time ? Date.parse(time.getAttribute('datetime')) : NaN;
 
-    this.rules.forEach(rule => {
-      // Simple keyword matching (can be enhanced with regex patterns)
-      const ruleNameLower = rule.name.toLowerCase();
-      const keywords = ruleNameLower.split(/\s+/);
-      
-      let score = 0;
-      keywords.forEach(keyword => {
-        if (keyword.length > 3 && textLower.includes(keyword)) {
-          score += keyword.length;
-        }
-      });
-
-      // Check for common violation patterns
-      const commonPatterns = {
-        'gambling': ['gambling', 'bet', 'casino', 'slot', 'poker', 'wager'],
-        'spam': ['spam', 'click here', 'free money', 'limited offer'],
-        'scam': ['scam', 'fake', 'fraud', 'phishing'],
-        'nsfw': ['nsfw', 'explicit', 'adult content'],
-        'harassment': ['harassment', 'bully', 'threat', 'abuse']
-      };
-
-      Object.keys(commonPatterns).forEach(pattern => {
-        if (ruleNameLower.includes(pattern)) {
-          commonPatterns[pattern].forEach(keyword => {
-            if (textLower.includes(keyword)) {
-              score += 10;
-            }
-          });
+    // Photos in their original size; videos only expose their poster image
+    const media = [];
+    tweetContainer.querySelectorAll('[data-testid="tweetPhoto"] img, video[poster]').forEach(element => {
+      const src = element.getAttribute(element.tagName === 'VIDEO' ? 'poster' : 'src');
+      if (!src) {
+        return;
+      }
+      try {
+        const url = new URL(src, location.origin);
+        if (url.hostname === 'pbs.twimg.com' && url.pathname.startsWith('/media/')) {
+          url.searchParams.set('name', 'orig');
         }
-      });
-
-      if (score > bestScore && score > 5) {
-        bestScore = score;
-        bestMatch = rule;
+        media.push(url.href);
+      } catch (error) {
+        // Ignore malformed URLs
       }
     });
 
-    return bestMatch;
+    return {
+      statusId: statusMatch ? statusMatch[1] : null,
+      text: tweetText,
+      postedAt: Number.isNaN(postedAt) ? null : postedAt,
+      media: [...new Set(media)],
+      capturedAt: Date.now()
+    };
+  }
+
+  /**
+   * Rules offered for new marks; archived rules only keep their labels
+   * @returns {Array} Active rules
+   */
+  getMarkableRules() {
+    return (this.rules || []).filter(rule => !rule.archived);
+  }
+
+  /**
+   * Rules the tweet most likely violates, scored against each rule's own
+   * detection terms and detectors
+   * @param {string} tweetText - Tweet text
+   * @returns {Array<Object>} Best suggestions first: { rule, confidence, matches }
+   */
+  detectViolations(tweetText) {
+    return RuleDetection.suggest(this.getMarkableRules(), tweetText, this.detectorSettings);
   }
 
   showQuickMarkPopup(username, tweetText, event, usernameElement) {
     // Close existing popup
     this.closeQuickMarkPopup();
 
-    // Detect potential violation
-    const detectedRule = this.detectViolation(tweetText);
+    // Detect potential violations
+    const suggestions = this.detectViolations(tweetText);
 
-    // Get all rules (not just top 5)
-    const allRules = this.rules;
+    // Get all rules (not just top 5), in the groups set up in the popup
+    const ruleGroups = RuleStorage.groupRules(this.getMarkableRules());
+    const showGroups = ruleGroups.some(group => group.name);
     
     // Store usernameElement for later use
     this.currentMarkingUsernameElement = usernameElement;
@@ -1420,19 +1673,42 @@ class XModHelper {
         <button class="xmod-quick-mark-close" aria-label="Close">×</button>
       </div>
       <div class="xmod-quick-mark-body">
-        ${detectedRule ? `
+        <div class="xmod-quick-mark-action-row">
+          <select class="xmod-quick-mark-action" aria-label="Action taken">
+            <option value="">No action taken</option>
+            ${Object.entries(UserStorage.ENFORCEMENT_ACTIONS).map(([action, label]) => `
+              <option value="${action}">${SecurityUtils.escapeHtml(label)}</option>
+            `).join('')}
+          </select>
+          <select class="xmod-quick-mark-duration" aria-label="Duration" hidden>
+            <option value="">No duration</option>
+            ${UserStorage.ACTION_DURATIONS.map(hours => `
+              <option value="${hours}">${UserStorage.formatDuration(hours)}</option>
+            `).join('')}
+          </select>
+        </div>
+        ${suggestions.length ? `
           <div class="xmod-quick-mark-suggestion">
             <span class="xmod-quick-mark-suggestion-label">Vermutlich:</span>
-            <button class="xmod-quick-mark-rule-btn xmod-quick-mark-suggested" data-rule-id="${detectedRule.id}" style="background: ${SecurityUtils.validateHexColor(detectedRule.color)}; border-color: ${SecurityUtils.validateHexColor(detectedRule.color)};">
-              ${SecurityUtils.escapeHtml(detectedRule.name)}
-            </button>
+            ${suggestions.map(suggestion => `
+              <div class="xmod-quick-mark-suggestion-item">
+                <button class="xmod-quick-mark-rule-btn xmod-quick-mark-suggested" data-rule-id="${suggestion.rule.id}" style="background: ${SecurityUtils.validateHexColor(suggestion.rule.color)}; border-color: ${SecurityUtils.validateHexColor(suggestion.rule.color)};">
+                  ${SecurityUtils.escapeHtml(suggestion.rule.name)}
+                  <span class="xmod-quick-mark-confidence">${suggestion.confidence}%</span>
+                </button>
+                <span class="xmod-quick-mark-reasons">${SecurityUtils.escapeHtml(suggestion.matches.map(match => RuleDetection.describeMatch(match)).join(' · '))}</span>
+              </div>
+            `).join('')}
           </div>
         ` : ''}
         <div class="xmod-quick-mark-rules">
-          ${allRules.map(rule => `
-            <button class="xmod-quick-mark-rule-btn" data-rule-id="${rule.id}" style="background: ${SecurityUtils.validateHexColor(rule.color)}; border-color: ${SecurityUtils.validateHexColor(rule.color)};">
-              ${SecurityUtils.escapeHtml(rule.name)}
-            </button>
+          ${ruleGroups.map(group => `
+            ${showGroups ? `<div class="xmod-quick-mark-group">${SecurityUtils.escapeHtml(group.name || 'Ungrouped')}</div>` : ''}
+            ${group.rules.map(rule => `
+              <button class="xmod-quick-mark-rule-btn" data-rule-id="${rule.id}" title="${SecurityUtils.escapeHtml(rule.description || rule.name)}" style="background: ${SecurityUtils.validateHexColor(rule.color)}; border-color: ${SecurityUtils.validateHexColor(rule.color)};">
+                ${SecurityUtils.escapeHtml(rule.name)}
+              </button>
+            `).join('')}
           `).join('')}
         </div>
       </div>
@@ -1505,6 +1781,16 @@ class XModHelper {
       this.closeQuickMarkPopup();
     });
 
+    // Only mutes and bans can be given a duration
+    const actionSelect = popup.querySelector('.xmod-quick-mark-action');
+    const durationSelect = popup.querySelector('.xmod-quick-mark-duration');
+    actionSelect.addEventListener('change', () => {
+      durationSelect.hidden = !UserStorage.TIMED_ACTIONS.includes(actionSelect.value);
+      if (durationSelect.hidden) {
+        durationSelect.value = '';
+      }
+    });
+
     popup.querySelectorAll('.xmod-quick-mark-rule-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
         e.stopPropagation();
@@ -1515,7 +1801,7 @@ class XModHelper {
         if (btn.classList.contains('xmod-quick-mark-more')) {
           // Open extension popup for full rule list
           try {
-            chrome.runtime.sendMessage({ action: 'openPopup' }).catch(() => {
+            chrome.runtime.sendMessage({ action: 'openPopup', username: username }).catch(() => {
               // Silently fail if extension context is invalidated
               console.warn('Could not open popup - extension may need reload');
             });
@@ -1525,8 +1811,23 @@ class XModHelper {
           this.closeQuickMarkPopup();
         } else if (ruleId && ruleId.trim() !== '') {
           console.log('Calling markUserFromTweet with:', { username, ruleId });
-          await this.markUserFromTweet(username, ruleId, this.currentMarkingUsernameElement);
+          const details = {
+            tweetUrl: this.currentMarkingTweetUrl,
+            evidence: this.currentMarkingEvidence,
+            action: actionSelect.value || null,
+            actionDuration: durationSelect.value ? parseInt(durationSelect.value, 10) : null
+          };
+          // Close the menu first so it doesn't cover the tweet in the screenshot
           this.closeQuickMarkPopup();
+          if (this.screenshotEvidence) {
+            try {
+              details.screenshot = await this.captureTweetScreenshot(this.currentMarkingTweetContainer);
+            } catch (error) {
+              console.warn('Could not take a screenshot of the tweet:', error);
+              details.screenshotError = error.message;
+            }
+          }
+          await this.markUserFromTweet(username, ruleId, this.currentMarkingUsernameElement, details);
         } else {
           console.error('No ruleId found for button:', btn);
         }
@@ -1552,7 +1853,41 @@ class XModHelper {
     }
   }
 
-  async markUserFromTweet(username, ruleId, usernameElement) {
+  /**
+   * Screenshot the visible part of a tweet through the background worker
+   * @param {Element|null} tweetContainer - Tweet article
+   * @returns {Promise<Object>} { image, width, height, capturedAt }
+   * @throws {Error} Why no screenshot could be taken
+   */
+  async captureTweetScreenshot(tweetContainer) {
+    if (!tweetContainer || !tweetContainer.isConnected) {
+      throw new Error('The tweet is no longer on the page');
+    }
+
+    // Wait until the page has been repainted without the quick-mark menu
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+    const rect = tweetContainer.getBoundingClientRect();
+    const left = Math.max(0, rect.left);
+    const top = Math.max(0, rect.top);
+    const right = Math.min(window.innerWidth, rect.right);
+    const bottom = Math.min(window.innerHeight, rect.bottom);
+    if (right <= left || bottom <= top) {
+      throw new Error('The tweet is not visible');
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'captureArea',
+      area: { left: left, top: top, width: right - left, height: bottom - top },
+      viewportWidth: window.innerWidth
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Extension did not respond');
+    }
+    return { ...response.result, capturedAt: Date.now() };
+  }
+
+  async markUserFromTweet(username, ruleId, usernameElement, details = {}) {
     try {
       console.log('markUserFromTweet called with:', { username, ruleId, usernameElement });
       
@@ -1563,72 +1898,44 @@ class XModHelper {
 
       console.log('Processing:', { cleanUsername, usernameLower, ruleIdStr });
 
-      // Get current marked users
-      let result;
-      try {
-        result = await chrome.storage.local.get(['markedUsers']);
-      } catch (error) {
-        console.error('Error accessing storage:', error);
-        alert('Error marking user: Extension context invalidated. Please reload the page.');
-        return;
-      }
-      
-      const users = result.markedUsers || {};
-      console.log('Current users count:', Object.keys(users).length);
-
-      // Initialize user data if it doesn't exist
-      if (!users[usernameLower]) {
-        users[usernameLower] = {
-          rules: {},
-          timestamp: Date.now()
-        };
-      }
-
-      // Migrate old data structure if needed
-      if (users[usernameLower].rule && !users[usernameLower].rules) {
-        const oldRule = users[usernameLower].rule;
-        const oldCount = users[usernameLower].count || 1;
-        users[usernameLower].rules = {
-          [oldRule]: {
-            count: oldCount,
-            firstTimestamp: users[usernameLower].timestamp || Date.now()
-          }
-        };
-        delete users[usernameLower].rule;
-        delete users[usernameLower].count;
-      }
-
-      // Initialize rules object if it doesn't exist
-      if (!users[usernameLower].rules) {
-        users[usernameLower].rules = {};
-      }
-
-      // Add or increment rule violation
-      if (!users[usernameLower].rules[ruleIdStr]) {
-        users[usernameLower].rules[ruleIdStr] = {
-          count: 1,
-          firstTimestamp: Date.now()
-        };
-      } else {
-        users[usernameLower].rules[ruleIdStr].count += 1;
-      }
+      const escalationBefore = this.getEscalation(usernameLower);
 
-      // Update last violation timestamp
-      users[usernameLower].timestamp = Date.now();
-
-      // Save to storage
+      // Record the violation through the shared storage layer
+      let historyId;
       try {
-        await chrome.storage.local.set({ markedUsers: users });
+        const outcome = await StorageBridge.mutate('UserStorage', 'addUser', [usernameLower, ruleIdStr, {
+          source: 'quick-mark',
+          tweetUrl: details.tweetUrl,
+          evidence: details.evidence,
+          screenshot: details.screenshot,
+          communityId: this.communityId,
+          action: details.action,
+          actionDuration: details.actionDuration
+        }]);
+        historyId = outcome.historyId;
         console.log('User saved successfully:', usernameLower);
-        console.log('User data:', users[usernameLower]);
       } catch (error) {
         console.error('Error saving user:', error);
-        alert('Error marking user: Extension context invalidated. Please reload the page.');
+        this.showToast('Error marking user: ' + error.message, { error: true });
         return;
       }
 
       // Reload marked users
       await this.loadMarkedUsers();
+
+      // Tell the moderator right away when this strike reached a new escalation step
+      const rule = this.getRule(ruleIdStr);
+      const action = UserStorage.describeAction(details);
+      const newStep = EscalationPolicy.getNewStep(escalationBefore, this.getEscalation(usernameLower));
+      this.showToast(
+        `@${cleanUsername} marked for "${rule ? rule.name : 'Unknown'}"${action ? ` - ${action}` : ''}${details.screenshotError ? ` (no screenshot: ${details.screenshotError})` : ''}`,
+        {
+          historyId: historyId,
+          // The mark is saved, but a missing screenshot must not go unnoticed
+          error: Boolean(details.screenshotError),
+          escalation: newStep ? `${EscalationPolicy.describeStep(newStep)} - recommended: ${newStep.label}` : null
+        }
+      );
       
       // Update labels immediately for this specific user
       if (this.labelsEnabled) {
@@ -1671,10 +1978,78 @@ class XModHelper {
       console.log('User marked successfully!');
     } catch (error) {
       console.error('Error marking user from tweet:', error);
-      alert('Error marking user: ' + error.message);
+      this.showToast('Error marking user: ' + error.message, { error: true });
     }
   }
 
+  /**
+   * Where a marked user stands on the escalation ladder
+   * @param {string} usernameLower - Lowercase username
+   * @returns {Object} Result of EscalationPolicy.evaluate
+   */
+  getEscalation(usernameLower) {
+    const userData = this.markedUsers[usernameLower];
+    const active = userData ? UserStorage.getActiveUser(userData, this.rules) : null;
+    return EscalationPolicy.evaluate(active, this.rules, this.escalationLadder);
+  }
+
+  /**
+   * Show a short in-page message, optionally with an Undo button
+   * @param {string} message - Confirmation or error text
+   * @param {Object} options - Optional settings
+   * @param {string} options.historyId - History entry to undo (no button if missing)
+   * @param {string} options.escalation - Escalation step that was just reached
+   * @param {boolean} options.error - Show the message as an error
+   */
+  showToast(message, { historyId = null, escalation = null, error = false } = {}) {
+    const existingToast = document.querySelector('.xmod-toast');
+    if (existingToast) {
+      existingToast.remove();
+    }
+
+    const toast = document.createElement('div');
+    toast.className = ['xmod-toast', escalation && 'xmod-toast-escalation', error && 'xmod-toast-error']
+      .filter(Boolean).join(' ');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    if (escalation) {
+      const step = document.createElement('strong');
+      step.className = 'xmod-toast-step';
+      step.textContent = escalation;
+      text.appendChild(step);
+    }
+    toast.appendChild(text);
+
+    if (historyId) {
+      const undoBtn = document.createElement('button');
+      undoBtn.className = 'xmod-toast-action';
+      undoBtn.textContent = 'Undo';
+      undoBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toast.remove();
+        try {
+          // Labels refresh through the background's refreshUsers broadcast
+          await HistoryStorage.undoQuickMark(historyId);
+        } catch (error) {
+          console.error('Error undoing quick-mark:', error);
+          this.showToast('Error undoing: ' + error.message, { error: true });
+        }
+      });
+      toast.appendChild(undoBtn);
+    }
+
+    document.body.appendChild(toast);
+
+    // Escalations and errors stay longer so they aren't missed
+    setTimeout(() => {
+      if (toast.parentNode) {
+        toast.remove();
+      }
+    }, escalation || error ? 12000 : 6000);
+  }
+
   // Cleanup on page unload
   destroy() {
     if (this.observer) {
@@ -72,219 +72,6 @@ class SecurityUtils {
   }
 }
 
-/**
- * RuleStorage - Manages Chrome Storage operations for rules
- */
-class RuleStorage {
-  static async getRules() {
-    try {
-      const result = await chrome.storage.local.get(['rules']);
-      return result.rules || [];
-    } catch (error) {
-      return [];
-    }
-  }
-
-  static async saveRules(rules) {
-    try {
-      await chrome.storage.local.set({ rules: rules });
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  static async addRule(name, color) {
-    const rules = await this.getRules();
-    
-    // Generate unique ID
-    const id = Date.now().toString();
-    
-    const newRule = {
-      id: id,
-      name: name,
-      color: color,
-      createdAt: Date.now()
-    };
-    
-    rules.push(newRule);
-    await this.saveRules(rules);
-    return { success: true, rule: newRule };
-  }
-
-  static async removeRule(ruleId) {
-    const rules = await this.getRules();
-    const filteredRules = rules.filter(r => r.id !== ruleId);
-    await this.saveRules(filteredRules);
-    return filteredRules;
-  }
-
-  static async updateRule(ruleId, updates) {
-    const rules = await this.getRules();
-    const ruleIndex = rules.findIndex(r => r.id === ruleId || r.id === ruleId.toString());
-    
-    if (ruleIndex === -1) {
-      return { success: false, error: 'Rule not found' };
-    }
-    
-    // Update rule properties
-    if (updates.color !== undefined) {
-      rules[ruleIndex].color = updates.color;
-    }
-    if (updates.name !== undefined) {
-      rules[ruleIndex].name = updates.name;
-    }
-    
-    await this.saveRules(rules);
-    return { success: true, rule: rules[ruleIndex] };
-  }
-
-  static async initializeDefaultRules() {
-    const rules = await this.getRules();
-    
-    // Only initialize if no rules exist
-    if (rules.length === 0) {
-      const defaultRules = [
-        { id: '1', name: 'Be kind and respectful', color: '#ef4444', createdAt: Date.now() },
-        { id: '2', name: 'Keep Tweets on topic', color: '#f59e0b', createdAt: Date.now() },
-        { id: '3', name: 'No NSFW', color: '#8b5cf6', createdAt: Date.now() }
-      ];
-      
-      await this.saveRules(defaultRules);
-      return defaultRules;
-    }
-    
-    return rules;
-  }
-}
-
-
-/**
- * UserStorage - Manages Chrome Storage operations for marked users
- */
-class UserStorage {
-  static async getMarkedUsers() {
-    try {
-      const result = await chrome.storage.local.get(['markedUsers']);
-      return result.markedUsers || {};
-    } catch (error) {
-      return {};
-    }
-  }
-
-  static async saveMarkedUsers(users) {
-    try {
-      await chrome.storage.local.set({ markedUsers: users });
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  static async addUser(username, rule) {
-    const users = await this.getMarkedUsers();
-    const usernameLower = username.toLowerCase();
-    const ruleId = rule.toString();
-    
-    // Initialize user data if it doesn't exist
-    if (!users[usernameLower]) {
-      users[usernameLower] = {
-        rules: {},
-        timestamp: Date.now()
-      };
-    }
-    
-    // Migrate old data structure if needed
-    if (users[usernameLower].rule && !users[usernameLower].rules) {
-      const oldRule = users[usernameLower].rule;
-      const oldCount = users[usernameLower].count || 1;
-      users[usernameLower].rules = {
-        [oldRule]: {
-          count: oldCount,
-          firstTimestamp: users[usernameLower].timestamp || Date.now()
-        }
-      };
-      delete users[usernameLower].rule;
-      delete users[usernameLower].count;
-    }
-    
-    // Initialize rules object if it doesn't exist
-    if (!users[usernameLower].rules) {
-      users[usernameLower].rules = {};
-    }
-    
-    // Add or increment rule violation
-    if (!users[usernameLower].rules[ruleId]) {
-      users[usernameLower].rules[ruleId] = {
-        count: 1,
-        firstTimestamp: Date.now()
-      };
-    } else {
-      users[usernameLower].rules[ruleId].count += 1;
-    }
-    
-    // Update last violation timestamp
-    users[usernameLower].timestamp = Date.now();
-    
-    await this.saveMarkedUsers(users);
-    return users;
-  }
-
-  static async removeUser(username) {
-    const users = await this.getMarkedUsers();
-    delete users[username.toLowerCase()];
-    await this.saveMarkedUsers(users);
-    return users;
-  }
-
-  /**
-   * Remove a single violation for a user
-   * @param {string} username - Username (with or without @)
-   * @param {string} ruleId - Rule ID to remove violation from
-   * @returns {Promise<Object>} Updated users object
-   */
-  static async removeViolation(username, ruleId) {
-    const users = await this.getMarkedUsers();
-    const usernameLower = username.toLowerCase().replace('@', '');
-    
-    if (!users[usernameLower] || !users[usernameLower].rules) {
-      return users;
-    }
-    
-    if (!users[usernameLower].rules[ruleId]) {
-      return users;
-    }
-    
-    // Decrease count
-    users[usernameLower].rules[ruleId].count -= 1;
-    
-    // If count reaches 0, remove the rule entirely
-    if (users[usernameLower].rules[ruleId].count <= 0) {
-      delete users[usernameLower].rules[ruleId];
-    }
-    
-    // If no rules left, remove the user entirely
-    if (Object.keys(users[usernameLower].rules || {}).length === 0) {
-      delete users[usernameLower];
-    } else {
-      // Update last violation timestamp to the most recent remaining violation
-      const remainingRules = Object.values(users[usernameLower].rules);
-      if (remainingRules.length > 0) {
-        const timestamps = remainingRules.map(r => r.firstTimestamp || 0);
-        users[usernameLower].timestamp = Math.max(...timestamps);
-      }
-    }
-    
-    await this.saveMarkedUsers(users);
-    return users;
-  }
-
-  static async clearAllUsers() {
-    await chrome.storage.local.remove(['markedUsers']);
-    return {};
-  }
-}
-
 /**
  * PopupUI - Manages the extension popup interface and user interactions
  */
@@ -297,10 +84,72 @@ class PopupUI {
     this.activeLabels = document.getElementById('activeLabels');
     this.showLabels = document.getElementById('showLabels');
     this.notificationsToggle = document.getElementById('notifications');
+    this.screenshotEvidenceToggle = document.getElementById('screenshotEvidence');
+    this.trashRetentionSelect = document.getElementById('trashRetention');
+    this.moderatorNameInput = document.getElementById('moderatorName');
+    
+    // Reputation scoring elements, keyed by setting
+    this.reputationInputs = {
+      reputationHalfLifeDays: document.getElementById('reputationHalfLife'),
+      reputationRecencyDays: document.getElementById('reputationRecency'),
+      reputationCleanDays: document.getElementById('reputationClean'),
+      reputationBandExcellent: document.getElementById('reputationBandExcellent'),
+      reputationBandGood: document.getElementById('reputationBandGood'),
+      reputationBandFair: document.getElementById('reputationBandFair'),
+      reputationBandPoor: document.getElementById('reputationBandPoor')
+    };
+    this.reputationRuleWeights = document.getElementById('reputationRuleWeights');
+    this.reputationPreview = document.getElementById('reputationPreview');
+    this.saveReputationBtn = document.getElementById('saveReputationBtn');
+    this.resetReputationBtn = document.getElementById('resetReputationBtn');
+    this.reputationConfig = this.getReputationConfig(SettingsStorage.DEFAULTS);
+    this.markedUsers = {};
+    
+    // Escalation policy elements
+    this.escalationSteps = document.getElementById('escalationSteps');
+    this.addEscalationStepBtn = document.getElementById('addEscalationStepBtn');
+    this.saveEscalationBtn = document.getElementById('saveEscalationBtn');
+    this.resetEscalationBtn = document.getElementById('resetEscalationBtn');
+    this.escalationLadder = SettingsStorage.DEFAULTS.escalation;
+    
+    // Suggestion detector elements
+    this.detectorSettingsList = document.getElementById('detectorSettings');
+    this.saveDetectorsBtn = document.getElementById('saveDetectorsBtn');
+    this.resetDetectorsBtn = document.getElementById('resetDetectorsBtn');
+    this.detectorSettings = SettingsStorage.DEFAULTS.detectors;
+    
+    // Workspace elements
+    this.workspaceSwitcher = document.getElementById('workspaceSwitcher');
+    this.workspaceList = document.getElementById('workspaceList');
+    this.workspaceNameInput = document.getElementById('workspaceNameInput');
+    this.createWorkspaceBtn = document.getElementById('createWorkspaceBtn');
+    this.activeWorkspace = null;
+    
+    // Community elements
+    this.communitySwitcher = document.getElementById('communitySwitcher');
+    this.ruleSharedToggle = document.getElementById('ruleSharedToggle');
+    this.communityId = null;
+    this.communities = [];
+    
     // Rule management elements
     this.ruleNameInput = document.getElementById('ruleNameInput');
     this.ruleColorInput = document.getElementById('ruleColorInput');
     this.colorPreview = document.getElementById('colorPreview');
+    this.ruleDescriptionInput = document.getElementById('ruleDescriptionInput');
+    this.ruleSeveritySelect = document.getElementById('ruleSeveritySelect');
+    this.ruleCategoryInput = document.getElementById('ruleCategoryInput');
+    this.ruleCategoryList = document.getElementById('ruleCategoryList');
+    this.ruleGroupInput = document.getElementById('ruleGroupInput');
+    this.ruleGroupList = document.getElementById('ruleGroupList');
+    this.newRuleGroupBtn = document.getElementById('newRuleGroupBtn');
+    this.pendingRuleGroups = [];
+    this.detectionTestInput = document.getElementById('detectionTestInput');
+    this.detectionTestResults = document.getElementById('detectionTestResults');
+    this.rulePackSelect = document.getElementById('rulePackSelect');
+    this.rulePackDescription = document.getElementById('rulePackDescription');
+    this.addRulePackBtn = document.getElementById('addRulePackBtn');
+    this.exportRulePackBtn = document.getElementById('exportRulePackBtn');
+    this.importRulePackInput = document.getElementById('importRulePackInput');
     this.addRuleBtn = document.getElementById('addRuleBtn');
     this.rulesList = document.getElementById('rulesList');
     this.rulesEmptyState = document.getElementById('rulesEmptyState');
@@ -331,11 +180,31 @@ class PopupUI {
     this.exportDataBtn = document.getElementById('exportDataBtn');
     this.importDataInput = document.getElementById('importDataInput');
     
+    // Trash elements
+    this.trashList = document.getElementById('trashList');
+    this.appealsList = document.getElementById('appealsList');
+    this.appealsCount = document.getElementById('appealsCount');
+    this.trashInfo = document.getElementById('trashInfo');
+    this.emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    
+    // Audit elements
+    this.auditList = document.getElementById('auditList');
+    this.auditSearchInput = document.getElementById('auditSearchInput');
+    this.auditActionFilter = document.getElementById('auditActionFilter');
+    this.auditOriginFilter = document.getElementById('auditOriginFilter');
+    this.exportAuditBtn = document.getElementById('exportAuditBtn');
+    
+    // History elements
+    this.undoBtn = document.getElementById('undoBtn');
+    this.redoBtn = document.getElementById('redoBtn');
+    this.historyList = document.getElementById('historyList');
+    
     // Advanced stats elements
     this.periodBtns = document.querySelectorAll('.period-btn');
     this.violationsChart = document.getElementById('violationsChart');
     this.chartLabels = document.getElementById('chartLabels');
     this.topViolationsList = document.getElementById('topViolationsList');
+    this.actionsTakenList = document.getElementById('actionsTakenList');
     this.trendsContainer = document.getElementById('trendsContainer');
     this.weekComparisonContainer = document.getElementById('weekComparisonContainer');
     this.heatmapContainer = document.getElementById('heatmapContainer');
@@ -352,6 +221,7 @@ class PopupUI {
     this.selectAllBtn = document.getElementById('selectAllBtn');
     this.deselectAllBtn = document.getElementById('deselectAllBtn');
     this.removeSelectedBtn = document.getElementById('removeSelectedBtn');
+    this.reassignSelectedBtn = document.getElementById('reassignSelectedBtn');
     this.exportSelectedBtn = document.getElementById('exportSelectedBtn');
     
     this.currentTab = 'users';
@@ -371,17 +241,38 @@ class PopupUI {
   }
 
   async init() {
-    // Initialize default rules on first run
-    await RuleStorage.initializeDefaultRules();
+    // Stored data is upgraded when the extension is installed or updated;
+    // this only catches an upgrade that failed then
+    try {
+      if (await StorageMigrations.isPending()) {
+        await StorageMigrations.run();
+      }
+    } catch (error) {
+      console.error('Error upgrading stored data:', error);
+      this.showNotification(`Error upgrading stored data: ${error.message}`, 'error');
+    }
     
+    // Drop trash items past the retention period
+    try {
+      await TrashStorage.purgeExpired();
+    } catch (error) {
+      // Silently fail - purged again on next open
+    }
+
+    await this.loadWorkspaces();
+    await this.restoreCommunityView();
+    await this.loadCommunities();
+    // Settings first: reputation scores depend on them
+    await this.loadSettings();
     await this.loadRules();
     await this.loadUsers();
-    await this.loadSettings();
+    await this.loadHistory();
     this.bindEvents();
     this.bindMessageListener();
     
     // Set initial tab to users
     this.switchTab('users');
+    await this.loadPendingUsername();
     
     // Set rule stats to collapsed by default
     if (this.ruleStatsContent) {
@@ -390,47 +281,259 @@ class PopupUI {
   }
 
   bindMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.action === 'markUserFromTweet') {
-        this.handleMarkUserFromTweet(message.username, message.ruleId)
-          .then(() => {
-            sendResponse({ success: true });
-          })
-          .catch((error) => {
-            sendResponse({ success: false, error: error.message });
-          });
-        return true; // Keep message channel open for async response
+    // Changes made elsewhere (e.g. quick-mark in a tab) are broadcast by the background worker
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'refreshUsers') {
+        this.loadUsers();
+        this.loadAnalyticsData();
+        this.loadHistory();
+        this.loadTrash();
+        this.loadAudit();
+      } else if (message.action === 'refreshRules') {
+        this.loadRules();
+        this.loadHistory();
+        this.loadTrash();
+        this.loadAudit();
+      } else if (message.action === 'refreshCommunities') {
+        this.loadCommunities();
+      } else if (message.action === 'refreshWorkspaces') {
+        this.loadWorkspaces();
       }
       return false;
     });
   }
 
-  async handleMarkUserFromTweet(username, ruleId) {
+  /**
+   * Fill the workspace switcher and the workspace list in Settings
+   */
+  async loadWorkspaces() {
+    const [workspaces, activeWorkspace] = await Promise.all([
+      WorkspaceStorage.getWorkspaces(),
+      WorkspaceStorage.getActiveWorkspace()
+    ]);
+    this.activeWorkspace = activeWorkspace;
+
+    if (this.workspaceSwitcher) {
+      this.workspaceSwitcher.innerHTML = workspaces.map(workspace => `
+        <option value="${SecurityUtils.escapeHtml(workspace.id)}">${SecurityUtils.escapeHtml(workspace.name)}</option>
+      `).join('');
+      this.workspaceSwitcher.value = activeWorkspace.id;
+    }
+
+    if (this.workspaceList) {
+      this.workspaceList.innerHTML = workspaces.map(workspace => {
+        const isActive = workspace.id === activeWorkspace.id;
+        const canDelete = !isActive && workspace.id !== WorkspaceStorage.DEFAULT_ID;
+        const safeId = SecurityUtils.escapeHtml(workspace.id);
+        return `
+          <div class="workspace-item${isActive ? ' active' : ''}">
+            <span class="workspace-item-name">${SecurityUtils.escapeHtml(workspace.name)}${isActive ? '<span class="workspace-item-badge">Active</span>' : ''}</span>
+            <div class="workspace-item-actions">
+              ${isActive ? '' : `<button class="btn btn-secondary btn-small workspace-action-btn" data-action="switch" data-workspace-id="${safeId}">Open</button>`}
+              <button class="btn btn-secondary btn-small workspace-action-btn" data-action="rename" data-workspace-id="${safeId}">Rename</button>
+              ${canDelete ? `<button class="btn btn-secondary btn-small workspace-action-btn" data-action="delete" data-workspace-id="${safeId}">Delete</button>` : ''}
+            </div>
+          </div>
+        `;
+      }).join('');
+    }
+  }
+
+  /**
+   * Make a workspace active and reload every tab with its data
+   * @param {string} workspaceId - Workspace ID
+   */
+  async switchWorkspace(workspaceId) {
     try {
-      // Add user with rule
-      await UserStorage.addUser(username, ruleId);
-      
-      // Refresh UI
-      await this.loadUsers();
-      await this.loadAnalyticsData();
-      
-      // Refresh content scripts
-      chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] }, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, { action: 'refreshUsers' }).catch(() => {});
-        });
-      });
+      const workspace = await WorkspaceStorage.switchWorkspace(workspaceId);
+      await this.reloadWorkspace();
+      this.showNotification(`Switched to workspace "${workspace.name}"`, 'success');
+    } catch (error) {
+      this.showNotification(error.message || 'Error switching workspace!', 'error');
+      await this.loadWorkspaces();
+    }
+  }
+
+  async reloadWorkspace() {
+    this.hideFloatingPanel();
+    // Communities are stored per workspace
+    await this.switchCommunityView(null);
+    await this.loadWorkspaces();
+    await this.loadCommunities();
+    await this.loadSettings();
+    await this.loadRules();
+    await this.loadUsers();
+    await this.loadAnalyticsData();
+    await this.loadHistory();
+    await this.loadTrash();
+    await this.loadAudit();
+  }
+
+  async createWorkspace() {
+    if (!this.workspaceNameInput) return;
+    const name = this.workspaceNameInput.value.trim();
+    if (!name) {
+      this.showNotification('Please enter a workspace name!', 'error');
+      return;
+    }
+
+    try {
+      const workspace = await WorkspaceStorage.createWorkspace(name);
+      this.workspaceNameInput.value = '';
+      await this.switchWorkspace(workspace.id);
+    } catch (error) {
+      this.showNotification(error.message || 'Error creating workspace!', 'error');
+    }
+  }
+
+  async renameWorkspace(workspaceId) {
+    const workspace = (await WorkspaceStorage.getWorkspaces()).find(item => item.id === workspaceId);
+    if (!workspace) return;
+
+    const name = prompt('Workspace name:', workspace.name);
+    if (name === null || name.trim() === workspace.name) {
+      return;
+    }
+
+    try {
+      await WorkspaceStorage.renameWorkspace(workspaceId, name);
+      await this.loadWorkspaces();
+      this.showNotification('Workspace renamed!', 'success');
+    } catch (error) {
+      this.showNotification(error.message || 'Error renaming workspace!', 'error');
+    }
+  }
+
+  async deleteWorkspace(workspaceId) {
+    const workspace = (await WorkspaceStorage.getWorkspaces()).find(item => item.id === workspaceId);
+    if (!workspace) return;
+
+    if (!confirm(`Delete workspace "${workspace.name}" with all of its rules, marked users and settings? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await WorkspaceStorage.deleteWorkspace(workspaceId);
+      await this.loadWorkspaces();
+      this.showNotification(`Workspace "${workspace.name}" deleted`, 'success');
+    } catch (error) {
+      this.showNotification(error.message || 'Error deleting workspace!', 'error');
+    }
+  }
+
+  /**
+   * Restore the community selected in the switcher during this browser session
+   */
+  async restoreCommunityView() {
+    try {
+      const result = await chrome.storage.session.get(['communityView']);
+      this.communityId = result.communityView || null;
+    } catch (error) {
+      this.communityId = null;
+    }
+  }
+
+  /**
+   * Fill the community switcher with the communities seen on X.com
+   */
+  async loadCommunities() {
+    this.communities = await CommunityStorage.getCommunities();
+    if (this.communityId && !this.communities.some(community => community.id === this.communityId)) {
+      this.communityId = null;
+    }
+
+    if (this.communitySwitcher) {
+      this.communitySwitcher.innerHTML = '<option value="">All communities</option>' +
+        this.communities.map(community => `
+          <option value="${SecurityUtils.escapeHtml(community.id)}">${SecurityUtils.escapeHtml(CommunityStorage.getName(community))}</option>
+        `).join('');
+      this.communitySwitcher.value = this.communityId || '';
+    }
+    this.updateRuleScopeToggle();
+  }
+
+  /**
+   * Show a single community (or all of them) in the Users, Rules and Marked tabs
+   * @param {string} communityId - Community ID, empty for the aggregate view
+   */
+  async switchCommunity(communityId) {
+    await this.switchCommunityView(communityId);
+    this.updateRuleScopeToggle();
+    await this.loadRules();
+    await this.loadUsers();
+    await this.loadAnalyticsData();
+  }
+
+  async switchCommunityView(communityId) {
+    this.communityId = communityId || null;
+    try {
+      await chrome.storage.session.set({ communityView: this.communityId });
+    } catch (error) {
+      // Silently fail - the view is only kept for this popup
+    }
+  }
+
+  /**
+   * Filter passed to storage reads so they follow the community switcher
+   * @returns {Object} { communityId }
+   */
+  communityFilter() {
+    return { communityId: this.communityId };
+  }
+
+  getCommunityName(communityId) {
+    const community = this.communities.find(item => item.id === communityId);
+    return community ? CommunityStorage.getName(community) : `Community ${communityId}`;
+  }
+
+  /**
+   * Rules created in the aggregate view are always shared by all communities
+   */
+  updateRuleScopeToggle() {
+    if (!this.ruleSharedToggle) return;
+    this.ruleSharedToggle.disabled = !this.communityId;
+    if (!this.communityId) {
+      this.ruleSharedToggle.checked = true;
+    }
+  }
+
+  /**
+   * Prefill the username requested by a tab's "More" quick-mark button
+   */
+  async loadPendingUsername() {
+    try {
+      const result = await chrome.storage.session.get(['pendingUsername']);
+      if (result.pendingUsername) {
+        await chrome.storage.session.remove(['pendingUsername']);
+        this.usernameInput.value = `@${result.pendingUsername}`;
+        this.ruleSelect.focus();
+      }
     } catch (error) {
-      throw error;
+      // Silently fail - nothing to prefill
     }
   }
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.local.get(['notificationsEnabled']);
+      const settings = await SettingsStorage.getSettings();
       if (this.notificationsToggle) {
-        this.notificationsToggle.checked = result.notificationsEnabled !== false;
+        this.notificationsToggle.checked = settings.notificationsEnabled;
+      }
+      if (this.screenshotEvidenceToggle) {
+        this.screenshotEvidenceToggle.checked = settings.screenshotEvidence;
+      }
+      if (this.trashRetentionSelect) {
+        this.trashRetentionSelect.value = String(settings.trashRetentionDays);
+      }
+      if (this.moderatorNameInput) {
+        this.moderatorNameInput.value = settings.moderatorName;
       }
+      this.reputationConfig = this.getReputationConfig(settings);
+      this.fillReputationForm(settings);
+      this.detectorSettings = settings.detectors;
+      this.renderDetectorSettings(settings.detectors);
+      this.escalationLadder = settings.escalation;
+      this.renderLadderEditor(this.escalationSteps, settings.escalation);
     } catch (error) {
       // Silently fail - use defaults
     }
@@ -443,6 +546,44 @@ class PopupUI {
       this.addUser();
     });
     
+    if (this.communitySwitcher) {
+      this.communitySwitcher.addEventListener('change', (e) => this.switchCommunity(e.target.value));
+    }
+    
+    // Workspace events
+    if (this.workspaceSwitcher) {
+      this.workspaceSwitcher.addEventListener('change', (e) => this.switchWorkspace(e.target.value));
+    }
+    
+    if (this.createWorkspaceBtn) {
+      this.createWorkspaceBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.createWorkspace();
+      });
+    }
+    
+    if (this.workspaceNameInput) {
+      this.workspaceNameInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.createWorkspace();
+      });
+    }
+    
+    if (this.workspaceList) {
+      this.workspaceList.addEventListener('click', (e) => {
+        const btn = e.target.closest('.workspace-action-btn');
+        if (!btn) return;
+        e.preventDefault();
+        const workspaceId = btn.dataset.workspaceId;
+        if (btn.dataset.action === 'switch') {
+          this.switchWorkspace(workspaceId);
+        } else if (btn.dataset.action === 'rename') {
+          this.renameWorkspace(workspaceId);
+        } else if (btn.dataset.action === 'delete') {
+          this.deleteWorkspace(workspaceId);
+        }
+      });
+    }
+    
     // Rule management
     if (this.addRuleBtn) {
       this.addRuleBtn.addEventListener('click', (e) => {
@@ -451,6 +592,45 @@ class PopupUI {
       });
     }
     
+    if (this.newRuleGroupBtn) {
+      this.newRuleGroupBtn.addEventListener('click', () => this.createRuleGroup());
+    }
+    
+    this.bindRuleDragAndDrop();
+    
+    if (this.detectionTestInput) {
+      this.detectionTestInput.addEventListener('input', () => this.updateDetectionTest());
+    }
+    
+    // Rule packs
+    this.renderRulePackPresets();
+    
+    if (this.rulePackSelect) {
+      this.rulePackSelect.addEventListener('change', () => this.updateRulePackDescription());
+    }
+    
+    if (this.addRulePackBtn) {
+      this.addRulePackBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.addPresetRulePack();
+      });
+    }
+    
+    if (this.exportRulePackBtn) {
+      this.exportRulePackBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.exportRulePack();
+      });
+    }
+    
+    if (this.importRulePackInput) {
+      this.importRulePackInput.addEventListener('change', (e) => {
+        if (e.target.files && e.target.files.length > 0) {
+          this.importRulePackFile(e.target.files[0]);
+        }
+      });
+    }
+    
     if (this.ruleColorInput && this.colorPreview) {
       this.ruleColorInput.addEventListener('input', (e) => {
         const validatedColor = SecurityUtils.validateHexColor(e.target.value);
@@ -471,20 +651,71 @@ class PopupUI {
     }
     
     // Notifications toggle
+    if (this.trashRetentionSelect) {
+      this.trashRetentionSelect.addEventListener('change', () => this.updateTrashRetention());
+    }
+    
+    if (this.moderatorNameInput) {
+      this.moderatorNameInput.addEventListener('change', () => this.updateModeratorName());
+    }
+    
     if (this.notificationsToggle) {
       this.notificationsToggle.addEventListener('change', () => this.toggleNotifications());
     }
     
-    this.usernameInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') this.addUser();
+    if (this.screenshotEvidenceToggle) {
+      this.screenshotEvidenceToggle.addEventListener('change', () => this.toggleScreenshotEvidence());
+    }
+    
+    // Reputation scoring: preview every edit, apply on save
+    Object.values(this.reputationInputs).forEach(input => {
+      if (input) {
+        input.addEventListener('input', () => this.updateReputationPreview());
+      }
     });
     
-    // Tab navigation - use event delegation
-    const tabNavigation = document.querySelector('.tab-navigation');
-    if (tabNavigation) {
-      tabNavigation.addEventListener('click', (e) => {
-        const btn = e.target.closest('.tab-btn');
-        if (btn) {
+    if (this.reputationRuleWeights) {
+      this.reputationRuleWeights.addEventListener('input', () => this.updateReputationPreview());
+    }
+    
+    if (this.saveReputationBtn) {
+      this.saveReputationBtn.addEventListener('click', () => this.saveReputationSettings());
+    }
+    
+    if (this.resetReputationBtn) {
+      this.resetReputationBtn.addEventListener('click', () => this.resetReputationForm());
+    }
+    
+    if (this.escalationSteps) {
+      this.bindLadderEditor(this.escalationSteps, this.addEscalationStepBtn);
+    }
+    
+    if (this.saveEscalationBtn) {
+      this.saveEscalationBtn.addEventListener('click', () => this.saveEscalationPolicy());
+    }
+    
+    if (this.resetEscalationBtn) {
+      this.resetEscalationBtn.addEventListener('click', () => this.renderLadderEditor(this.escalationSteps, EscalationPolicy.DEFAULT_LADDER));
+    }
+    
+    if (this.saveDetectorsBtn) {
+      this.saveDetectorsBtn.addEventListener('click', () => this.saveDetectorSettings());
+    }
+    
+    if (this.resetDetectorsBtn) {
+      this.resetDetectorsBtn.addEventListener('click', () => this.renderDetectorSettings(RuleDetection.normalizeDetectorSettings()));
+    }
+    
+    this.usernameInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.addUser();
+    });
+    
+    // Tab navigation - use event delegation
+    const tabNavigation = document.querySelector('.tab-navigation');
+    if (tabNavigation) {
+      tabNavigation.addEventListener('click', (e) => {
+        const btn = e.target.closest('.tab-btn');
+        if (btn) {
           e.preventDefault();
           const tabName = btn.dataset.tab;
           if (tabName) {
@@ -516,6 +747,8 @@ class PopupUI {
     // Rules tab collapse toggles
     const addRuleCollapseBtn = document.getElementById('addRuleCollapseBtn');
     const rulesListCollapseBtn = document.getElementById('rulesListCollapseBtn');
+    const rulePacksCollapseBtn = document.getElementById('rulePacksCollapseBtn');
+    const detectionTestCollapseBtn = document.getElementById('detectionTestCollapseBtn');
     
     if (addRuleCollapseBtn) {
       addRuleCollapseBtn.addEventListener('click', (e) => {
@@ -533,6 +766,22 @@ class PopupUI {
       });
     }
     
+    if (rulePacksCollapseBtn) {
+      rulePacksCollapseBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.toggleCollapse('rulePacksContent', 'rulePacksCollapseBtn');
+      });
+    }
+    
+    if (detectionTestCollapseBtn) {
+      detectionTestCollapseBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.toggleCollapse('detectionTestContent', 'detectionTestCollapseBtn');
+      });
+    }
+    
     // Search and filter events
     if (this.analyticsSearchInput) {
       this.analyticsSearchInput.addEventListener('input', (e) => {
@@ -572,6 +821,101 @@ class PopupUI {
       });
     }
     
+    // Trash events
+    if (this.emptyTrashBtn) {
+      this.emptyTrashBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.emptyTrash();
+      });
+    }
+    
+    if (this.trashList) {
+      this.trashList.addEventListener('click', (e) => {
+        const btn = e.target.closest('.trash-action-btn');
+        if (!btn) return;
+        e.preventDefault();
+        if (btn.dataset.action === 'restore') {
+          this.restoreTrashItem(btn.dataset.itemId);
+        } else {
+          this.deleteTrashItem(btn.dataset.itemId);
+        }
+      });
+    }
+    
+    // Appeal events
+    if (this.appealsList) {
+      this.appealsList.addEventListener('click', (e) => {
+        const btn = e.target.closest('.appeal-action-btn');
+        if (!btn) return;
+        e.preventDefault();
+        const item = btn.closest('.appeal-item');
+        if (btn.dataset.status) {
+          this.updateViolationStatus(item.dataset.username, item.dataset.incidentId, btn.dataset.status);
+        } else {
+          this.showAppealUser(item.dataset.username);
+        }
+      });
+    }
+    
+    // Audit events
+    if (this.auditActionFilter) {
+      Object.entries(AuditStorage.ACTION_LABELS).forEach(([action, label]) => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = label;
+        this.auditActionFilter.appendChild(option);
+      });
+    }
+    
+    [this.auditActionFilter, this.auditOriginFilter].forEach(select => {
+      if (select) {
+        select.addEventListener('change', () => this.loadAudit());
+      }
+    });
+    
+    if (this.auditSearchInput) {
+      let auditSearchTimer = null;
+      this.auditSearchInput.addEventListener('input', () => {
+        clearTimeout(auditSearchTimer);
+        auditSearchTimer = setTimeout(() => this.loadAudit(), 200);
+      });
+    }
+    
+    if (this.exportAuditBtn) {
+      this.exportAuditBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.exportAudit();
+      });
+    }
+    
+    // Undo/redo events
+    if (this.undoBtn) {
+      this.undoBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.undoAction();
+      });
+    }
+    
+    if (this.redoBtn) {
+      this.redoBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.redoAction();
+      });
+    }
+    
+    if (this.historyList) {
+      this.historyList.addEventListener('click', (e) => {
+        const btn = e.target.closest('.history-action-btn');
+        if (!btn) return;
+        e.preventDefault();
+        if (btn.dataset.undone === 'true') {
+          this.redoAction(btn.dataset.historyId);
+        } else {
+          this.undoAction(btn.dataset.historyId);
+        }
+      });
+    }
+    
     // Period selector events
     if (this.periodBtns && this.periodBtns.length > 0) {
       this.periodBtns.forEach(btn => {
@@ -612,6 +956,8 @@ class PopupUI {
     // Make headers clickable
     const addRuleHeader = document.querySelector('.add-rule-card .card-header-collapsible');
     const rulesListHeader = document.querySelector('.rules-list-card .card-header-collapsible');
+    const rulePacksHeader = document.querySelector('.rule-packs-card .card-header-collapsible');
+    const detectionTestHeader = document.querySelector('.detection-test-card .card-header-collapsible');
     
     if (addRuleHeader) {
       addRuleHeader.addEventListener('click', (e) => {
@@ -627,6 +973,20 @@ class PopupUI {
       });
     }
     
+    if (rulePacksHeader) {
+      rulePacksHeader.addEventListener('click', (e) => {
+        if (e.target.closest('.collapse-btn')) return;
+        this.toggleCollapse('rulePacksContent', 'rulePacksCollapseBtn');
+      });
+    }
+    
+    if (detectionTestHeader) {
+      detectionTestHeader.addEventListener('click', (e) => {
+        if (e.target.closest('.collapse-btn')) return;
+        this.toggleCollapse('detectionTestContent', 'detectionTestCollapseBtn');
+      });
+    }
+    
     // Advanced stats header
     const advancedStatsHeader = document.querySelector('.advanced-stats-card .card-header-collapsible');
     const advancedStatsCollapseBtn = document.getElementById('advancedStatsCollapseBtn');
@@ -668,6 +1028,13 @@ class PopupUI {
       });
     }
     
+    if (this.reassignSelectedBtn) {
+      this.reassignSelectedBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.reassignSelectedUsers();
+      });
+    }
+    
     if (this.exportSelectedBtn) {
       this.exportSelectedBtn.addEventListener('click', (e) => {
         e.preventDefault();
@@ -715,25 +1082,10 @@ class PopupUI {
     
     try {
       // Store username with @ for display, but use cleanUsername (without @) for storage key
-      const users = await UserStorage.addUser(cleanUsername, rule);
+      const { historyId } = await StorageBridge.mutate('UserStorage', 'addUser', [cleanUsername, rule, { communityId: this.communityId }]);
       await this.loadUsers();
       this.usernameInput.value = '';
-      this.showNotification(`${username} marked successfully!`, 'success');
-      
-      // Send browser notification if enabled
-      await this.sendBrowserNotification(
-        'User Marked',
-        `${username} has been marked for "${this.getRuleText(parseInt(rule))}".`
-      );
-      
-      // Refresh content script in all X.com/Twitter tabs
-      chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] }, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, { action: 'refreshUsers' }).catch(() => {
-            // Silently fail if tab is not responsive
-          });
-        });
-      });
+      this.showUndoableNotification(`${username} marked successfully!`, historyId);
     } catch (error) {
       this.showNotification('Error marking user! Please try again.', 'error');
     }
@@ -741,7 +1093,7 @@ class PopupUI {
 
 
   async loadRules() {
-    const rules = await RuleStorage.getRules();
+    const rules = await RuleStorage.getRules(this.communityFilter());
     this.currentRules = rules;
     
     // Update rule count
@@ -752,10 +1104,18 @@ class PopupUI {
     
     // Render rules list
     this.renderRulesList(rules);
+    this.updateDetectionTest();
     
     // Update rule dropdown
     this.updateRuleDropdown(rules);
     
+    // Offer existing categories and groups when adding or editing a rule
+    this.updateCategoryList(rules);
+    this.updateGroupList(rules);
+    
+    // Rule weights in the reputation settings
+    this.renderReputationRuleWeights(rules);
+    
     // Update rule legend
     this.updateRuleLegend(rules);
     
@@ -767,7 +1127,7 @@ class PopupUI {
     
     // Update rule statistics if on analytics tab
     if (this.currentTab === 'analytics') {
-      const users = await UserStorage.getMarkedUsers();
+      const users = await UserStorage.getMarkedUsers(this.communityFilter());
       this.updateStats(users);
     }
   }
@@ -784,30 +1144,276 @@ class PopupUI {
       return;
     }
     
-    rules.forEach(rule => {
-      const ruleElement = this.createRuleElement(rule);
-      this.rulesList.appendChild(ruleElement);
+    const groups = RuleStorage.groupRules(rules);
+    
+    // New groups stay as empty drop targets until a rule is dragged into them
+    this.pendingRuleGroups = this.pendingRuleGroups.filter(name => !groups.some(group => group.name === name));
+    this.pendingRuleGroups.forEach(name => groups.push({ name: name, rules: [] }));
+    
+    const grouped = groups.some(group => group.name);
+    // Rules can only be taken out of groups if the ungrouped section exists
+    if (grouped && !groups.some(group => !group.name)) {
+      groups.push({ name: '', rules: [] });
+    }
+    
+    groups.forEach(group => {
+      this.rulesList.appendChild(this.createRuleGroupElement(group, grouped));
+    });
+  }
+
+  /**
+   * Create the Rules tab section of a rule group
+   * @param {Object} group - { name, rules } ('' for ungrouped rules)
+   * @param {boolean} showHeader - Whether any groups exist (otherwise the list looks ungrouped)
+   * @returns {HTMLElement} Section element
+   */
+  createRuleGroupElement(group, showHeader) {
+    const section = document.createElement('div');
+    section.className = 'rule-group';
+    section.dataset.group = group.name;
+    
+    if (showHeader) {
+      const header = document.createElement('div');
+      header.className = 'rule-group-header';
+      header.draggable = true;
+      header.title = 'Drag to move the group';
+      header.innerHTML = `
+        <span class="rule-group-name">${SecurityUtils.escapeHtml(group.name || 'Ungrouped')}</span>
+        <span class="rule-group-count">${group.rules.length}</span>
+        ${group.name ? `
+        <button class="rule-group-rename" title="Rename group">
+          <svg width="10" height="10" viewBox="0 0 512 512" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
+            <path d="M471.6 21.7c-21.9-21.9-57.3-21.9-79.2 0L362.3 51.7l97.9 97.9 30.1-30.1c21.9-21.9 21.9-57.3 0-79.2L471.6 21.7zm-299.2 220c-6.1 6.1-10.8 13.6-13.5 21.9l-29.6 88.8c-2.9 8.6-.6 18.1 5.8 24.6s15.9 8.7 24.6 5.8l88.8-29.6c8.2-2.7 15.7-7.4 21.9-13.5L437.7 172.3 339.7 74.3 172.4 241.7z"/>
+          </svg>
+        </button>` : ''}
+      `;
+      const renameBtn = header.querySelector('.rule-group-rename');
+      if (renameBtn) {
+        renameBtn.addEventListener('click', () => this.renameRuleGroup(group.name));
+      }
+      section.appendChild(header);
+    }
+    
+    const items = document.createElement('div');
+    items.className = 'rule-group-items';
+    if (group.rules.length === 0) {
+      items.dataset.empty = 'Drag rules here';
+    }
+    group.rules.forEach(rule => items.appendChild(this.createRuleElement(rule)));
+    section.appendChild(items);
+    
+    return section;
+  }
+
+  /**
+   * Drag rules within and between groups, and drag groups by their header.
+   * The list is rearranged while dragging and saved when the drag ends.
+   */
+  bindRuleDragAndDrop() {
+    if (!this.rulesList) return;
+    
+    let dragged = null;
+    
+    this.rulesList.addEventListener('dragstart', (e) => {
+      const header = e.target.closest('.rule-group-header');
+      dragged = header ? header.parentElement : e.target.closest('.rule-item');
+      if (!dragged) return;
+      dragged.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', dragged.dataset.ruleId || dragged.dataset.group || '');
+    });
+    
+    this.rulesList.addEventListener('dragover', (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      
+      if (dragged.classList.contains('rule-item')) {
+        const section = e.target.closest('.rule-group');
+        if (!section) return;
+        const items = section.querySelector('.rule-group-items');
+        items.insertBefore(dragged, this.getDragAfterElement(items, '.rule-item', e.clientY));
+      } else {
+        this.rulesList.insertBefore(dragged, this.getDragAfterElement(this.rulesList, '.rule-group', e.clientY));
+      }
+    });
+    
+    this.rulesList.addEventListener('drop', (e) => {
+      if (dragged) {
+        e.preventDefault();
+      }
+    });
+    
+    this.rulesList.addEventListener('dragend', (e) => {
+      if (!dragged) return;
+      dragged.classList.remove('dragging');
+      dragged = null;
+      
+      // Cancelled drags (Escape, dropped outside the list) put everything back
+      if (e.dataTransfer.dropEffect === 'none') {
+        this.renderRulesList(this.currentRules || []);
+        return;
+      }
+      this.saveRuleLayout(this.readRuleLayout());
+    });
+  }
+
+  /**
+   * Find the element the dragged element should be inserted before
+   * @param {HTMLElement} container - Parent element
+   * @param {string} selector - Selector of the sortable children
+   * @param {number} y - Pointer position
+   * @returns {HTMLElement|null} First child whose middle is below the pointer, or null for the end
+   */
+  getDragAfterElement(container, selector, y) {
+    const children = Array.from(container.children)
+      .filter(child => child.matches(selector) && !child.classList.contains('dragging'));
+    return children.find(child => {
+      const box = child.getBoundingClientRect();
+      return y < box.top + box.height / 2;
+    }) || null;
+  }
+
+  /**
+   * Read the rule order and groups shown in the Rules tab
+   * @returns {Array<Object>} [{ id, group }]
+   */
+  readRuleLayout() {
+    const layout = [];
+    this.rulesList.querySelectorAll('.rule-group').forEach(section => {
+      section.querySelectorAll('.rule-item').forEach(item => {
+        layout.push({ id: item.dataset.ruleId, group: section.dataset.group });
+      });
+    });
+    return layout;
+  }
+
+  /**
+   * Save a new rule order and grouping
+   * @param {Array<Object>} layout - [{ id, group }] in the new order
+   */
+  async saveRuleLayout(layout) {
+    const rules = this.currentRules || [];
+    const unchanged = layout.length === rules.length && layout.every((item, index) => {
+      return item.id === rules[index].id && item.group === (rules[index].group || '');
     });
+    if (unchanged) {
+      // Drop the empty sections left behind by the drag
+      this.renderRulesList(rules);
+      return;
+    }
+    
+    try {
+      const { result, historyId } = await StorageBridge.mutate('RuleStorage', 'reorderRules', [layout]);
+      if (!result.success) {
+        this.showNotification(result.error, 'error');
+        this.renderRulesList(rules);
+        return;
+      }
+      await this.loadRules();
+      await this.loadUsers();
+      this.showUndoableNotification('Rule order saved!', historyId);
+    } catch (error) {
+      this.showNotification('Error saving rule order!', 'error');
+    }
+  }
+
+  /**
+   * Ask for a group name
+   * @param {string} message - Prompt text
+   * @param {string} current - Prefilled name
+   * @returns {string|null} Trimmed name, or null if cancelled or invalid
+   */
+  promptRuleGroupName(message, current = '') {
+    const input = prompt(message, current);
+    if (input === null) {
+      return null;
+    }
+    const name = input.trim();
+    const error = RuleStorage.validateFields({ group: name });
+    if (error) {
+      this.showNotification(error, 'error');
+      return null;
+    }
+    return name;
+  }
+
+  createRuleGroup() {
+    const name = this.promptRuleGroupName('Name of the new rule group:');
+    if (!name) return;
+    
+    const exists = this.pendingRuleGroups.includes(name) ||
+      (this.currentRules || []).some(rule => rule.group === name);
+    if (exists) {
+      this.showNotification(`Group "${name}" already exists!`, 'error');
+      return;
+    }
+    
+    this.pendingRuleGroups.push(name);
+    this.renderRulesList(this.currentRules || []);
+    this.showNotification(`Drag rules into "${name}" to fill it`, 'info');
+  }
+
+  /**
+   * Rename a group; an empty name ungroups its rules
+   * @param {string} oldName - Current group name
+   */
+  async renameRuleGroup(oldName) {
+    const name = this.promptRuleGroupName(`Rename group "${oldName}" (leave empty to ungroup its rules):`, oldName);
+    if (name === null || name === oldName) return;
+    
+    if (this.pendingRuleGroups.includes(oldName)) {
+      this.pendingRuleGroups = this.pendingRuleGroups.filter(group => group !== oldName);
+      if (name) {
+        this.pendingRuleGroups.push(name);
+      }
+      this.renderRulesList(this.currentRules || []);
+      return;
+    }
+    
+    await this.saveRuleLayout(this.readRuleLayout().map(item => ({
+      id: item.id,
+      group: item.group === oldName ? name : item.group
+    })));
   }
 
   createRuleElement(rule) {
     const div = document.createElement('div');
-    div.className = 'rule-item';
+    div.className = rule.archived ? 'rule-item archived' : 'rule-item';
+    div.draggable = true;
+    div.dataset.ruleId = rule.id;
     const safeColor = SecurityUtils.validateHexColor(rule.color);
     const safeName = SecurityUtils.escapeHtml(rule.name);
     const safeId = SecurityUtils.escapeHtml(rule.id);
+    const safeScope = SecurityUtils.escapeHtml(rule.communityId ? this.getCommunityName(rule.communityId) : 'All communities');
+    const safeSeverity = SecurityUtils.escapeHtml(rule.severity || RuleStorage.DEFAULT_SEVERITY);
     div.innerHTML = `
       <div class="rule-item-color" style="background-color: ${safeColor}"></div>
       <div class="rule-item-info">
         <div class="rule-item-name">${safeName}</div>
-        <div class="rule-item-id">ID: ${safeId}</div>
+        <div class="rule-item-badges">
+          <span class="rule-badge severity-${safeSeverity}">${safeSeverity}</span>
+          ${typeof rule.weight === 'number' ? `<span class="rule-badge" title="Reputation weight">\u00d7${SecurityUtils.escapeHtml(String(rule.weight))}</span>` : ''}
+          ${rule.category ? `<span class="rule-badge">${SecurityUtils.escapeHtml(rule.category)}</span>` : ''}
+          ${rule.expiryDays ? `<span class="rule-badge" title="Violations stop counting after this many days">Expires after ${rule.expiryDays}d</span>` : ''}
+          ${rule.escalation ? `<span class="rule-badge" title="${SecurityUtils.escapeHtml(EscalationPolicy.describeLadder(rule.escalation))}">Own escalation</span>` : ''}
+          ${RuleDetection.countTerms(rule) ? `<span class="rule-badge" title="Detection terms for quick-mark suggestions">${RuleDetection.countTerms(rule)} detection term(s)</span>` : ''}
+          ${(rule.detectors || []).length ? `<span class="rule-badge" title="${SecurityUtils.escapeHtml(rule.detectors.map(id => RuleDetection.DETECTORS[id].label).join(', '))}">${rule.detectors.length} detector(s)</span>` : ''}
+          ${rule.archived ? '<span class="rule-badge">Archived</span>' : ''}
+        </div>
+        ${rule.description ? `<div class="rule-item-description">${SecurityUtils.escapeHtml(rule.description)}</div>` : ''}
+        <div class="rule-item-id">ID: ${safeId}<span class="rule-item-scope">${safeScope}</span></div>
       </div>
       <div class="rule-item-actions">
-        <button class="rule-item-edit" data-rule-id="${SecurityUtils.escapeHtml(rule.id)}" title="Edit rule color">
+        <button class="rule-item-edit" data-rule-id="${SecurityUtils.escapeHtml(rule.id)}" title="Edit rule">
           <svg width="12" height="12" viewBox="0 0 512 512" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
             <path d="M471.6 21.7c-21.9-21.9-57.3-21.9-79.2 0L362.3 51.7l97.9 97.9 30.1-30.1c21.9-21.9 21.9-57.3 0-79.2L471.6 21.7zm-299.2 220c-6.1 6.1-10.8 13.6-13.5 21.9l-29.6 88.8c-2.9 8.6-.6 18.1 5.8 24.6s15.9 8.7 24.6 5.8l88.8-29.6c8.2-2.7 15.7-7.4 21.9-13.5L437.7 172.3 339.7 74.3 172.4 241.7zM96 64C43 64 0 107 0 160V416c0 53 43 96 96 96H352c53 0 96-43 96-96V320c0-17.7-14.3-32-32-32s-32 14.3-32 32v96c0 17.7-14.3 32-32 32H96c-17.7 0-32-14.3-32-32V160c0-17.7 14.3-32 32-32h96c17.7 0 32-14.3 32-32s-14.3-32-32-32H96z"/>
           </svg>
         </button>
+        <button class="rule-item-merge" data-rule-id="${SecurityUtils.escapeHtml(rule.id)}" title="Merge into another rule">
+          <svg width="12" height="12" viewBox="0 0 448 512" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
+            <path d="M80 56a24 24 0 1 1 0 48 24 24 0 1 1 0-48zm32.4 97.2c28-12.4 47.6-40.5 47.6-73.2c0-44.2-35.8-80-80-80S0 35.8 0 80c0 32.8 19.7 61 48 73.3V358.7C19.7 371 0 399.2 0 432c0 44.2 35.8 80 80 80s80-35.8 80-80c0-32.8-19.7-61-48-73.3V272c26.7 20.1 60 32 96 32h86.7c12.3 28.3 40.5 48 73.3 48c44.2 0 80-35.8 80-80s-35.8-80-80-80c-32.8 0-61 19.7-73.3 48H208c-49.9 0-91-38.1-95.6-86.8zM80 408a24 24 0 1 1 0 48 24 24 0 1 1 0-48zM344 272a24 24 0 1 1 48 0 24 24 0 1 1 -48 0z"/>
+          </svg>
+        </button>
         <button class="rule-item-delete" data-rule-id="${SecurityUtils.escapeHtml(rule.id)}" title="Delete rule">
           <svg width="12" height="12" viewBox="0 0 448 512" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
             <path d="M135.2 17.7L128 32H32C14.3 32 0 46.3 0 64S14.3 96 32 96H416c17.7 0 32-14.3 32-32s-14.3-32-32-32H320l-7.2-14.3C307.4 6.8 296.3 0 284.2 0H163.8c-12.1 0-23.2 6.8-28.6 17.7zM416 128H32L53.2 467c1.6 25.3 22.6 45 47.9 45H346.9c25.3 0 46.3-19.7 47.9-45L416 128z"/>
@@ -818,7 +1424,11 @@ class PopupUI {
     
     // Add edit handler
     const editBtn = div.querySelector('.rule-item-edit');
-    editBtn.addEventListener('click', () => this.editRuleColor(rule.id, rule.color));
+    editBtn.addEventListener('click', () => this.editRule(rule.id));
+    
+    // Add merge handler
+    const mergeBtn = div.querySelector('.rule-item-merge');
+    mergeBtn.addEventListener('click', () => this.mergeRule(rule.id));
     
     // Add delete handler
     const deleteBtn = div.querySelector('.rule-item-delete');
@@ -831,20 +1441,9 @@ class PopupUI {
     const name = this.ruleNameInput.value.trim();
     const color = this.ruleColorInput.value;
     
-    // Validation: Rule name
-    if (!name) {
-      this.showNotification('Please enter a rule name!', 'error');
-      return;
-    }
-    
-    if (name.length > 50) {
-      this.showNotification('Rule name must be 50 characters or less!', 'error');
-      return;
-    }
-    
-    // Validation: Rule name contains only safe characters (alphanumeric, spaces, hyphens, underscores)
-    if (!/^[a-zA-Z0-9\s\-_]+$/.test(name)) {
-      this.showNotification('Rule name contains invalid characters! Only letters, numbers, spaces, hyphens, and underscores are allowed.', 'error');
+    const nameError = this.validateRuleName(name);
+    if (nameError) {
+      this.showNotification(nameError, 'error');
       return;
     }
     
@@ -854,8 +1453,18 @@ class PopupUI {
       this.showNotification('Invalid color format! Using default color.', 'error');
     }
     
+    // Rules are shared unless the moderator limits them to the community being viewed
+    const communityId = this.communityId && this.ruleSharedToggle && !this.ruleSharedToggle.checked
+      ? this.communityId
+      : null;
+    
     try {
-      const result = await RuleStorage.addRule(SecurityUtils.escapeHtml(name), validatedColor);
+      const result = await RuleStorage.addRule(name, validatedColor, communityId, {
+        description: this.ruleDescriptionInput ? this.ruleDescriptionInput.value : '',
+        severity: this.ruleSeveritySelect ? this.ruleSeveritySelect.value : RuleStorage.DEFAULT_SEVERITY,
+        category: this.ruleCategoryInput ? this.ruleCategoryInput.value : '',
+        group: this.ruleGroupInput ? this.ruleGroupInput.value : ''
+      });
       
       if (!result.success) {
         this.showNotification(result.error, 'error');
@@ -864,35 +1473,71 @@ class PopupUI {
       
       await this.loadRules();
       this.ruleNameInput.value = '';
+      if (this.ruleDescriptionInput) this.ruleDescriptionInput.value = '';
+      if (this.ruleSeveritySelect) this.ruleSeveritySelect.value = RuleStorage.DEFAULT_SEVERITY;
+      if (this.ruleCategoryInput) this.ruleCategoryInput.value = '';
+      if (this.ruleGroupInput) this.ruleGroupInput.value = '';
       this.ruleColorInput.value = '#ef4444';
       this.colorPreview.textContent = '#ef4444';
       this.colorPreview.style.color = '#ef4444';
       
       this.showNotification(`Rule "${name}" created successfully!`, 'success');
-      
-      // Refresh content scripts
-      this.refreshAllContentScripts();
     } catch (error) {
       this.showNotification('Error creating rule!', 'error');
     }
   }
 
-  async editRuleColor(ruleId, currentColor) {
-    // Create a simple color picker dialog
-    const newColor = await this.showColorPickerDialog(currentColor);
+  /**
+   * Validate a rule name entered in the popup
+   * @param {string} name - Trimmed rule name
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateRuleName(name) {
+    if (!name) {
+      return 'Please enter a rule name!';
+    }
+    
+    if (name.length > 50) {
+      return 'Rule name must be 50 characters or less!';
+    }
+    
+    // Validation: Rule name contains only safe characters (alphanumeric, spaces, hyphens, underscores)
+    if (!/^[a-zA-Z0-9\s\-_]+$/.test(name)) {
+      return 'Rule name contains invalid characters! Only letters, numbers, spaces, hyphens, and underscores are allowed.';
+    }
+    return null;
+  }
+
+  async editRule(ruleId) {
+    const rule = await RuleStorage.getRule(ruleId);
+    if (!rule) {
+      this.showNotification('Rule not found!', 'error');
+      return;
+    }
     
-    if (!newColor) {
+    const updates = await this.showRuleEditDialog(rule);
+    if (!updates) {
       return; // User cancelled
     }
     
+    const nameError = this.validateRuleName(updates.name);
+    if (nameError) {
+      this.showNotification(nameError, 'error');
+      return;
+    }
+    
     // Validate color format
-    const validatedColor = SecurityUtils.validateHexColor(newColor);
-    if (validatedColor !== newColor) {
+    const validatedColor = SecurityUtils.validateHexColor(updates.color);
+    if (validatedColor !== updates.color) {
       this.showNotification('Invalid color format! Using default color.', 'error');
     }
     
     try {
-      const result = await RuleStorage.updateRule(ruleId, { color: validatedColor });
+      const result = await RuleStorage.updateRule(ruleId, {
+        ...updates,
+        name: updates.name,
+        color: validatedColor
+      });
       
       if (!result.success) {
         this.showNotification(result.error, 'error');
@@ -900,23 +1545,27 @@ class PopupUI {
       }
       
       await this.loadRules();
-      this.showNotification('Rule color updated successfully!', 'success');
-      
-      // Refresh content scripts
-      this.refreshAllContentScripts();
+      await this.loadUsers();
+      this.showNotification('Rule updated successfully!', 'success');
     } catch (error) {
-      this.showNotification('Error updating rule color!', 'error');
+      this.showNotification('Error updating rule!', 'error');
     }
   }
 
-  showColorPickerDialog(currentColor) {
+  /**
+   * Show the rule edit dialog
+   * @param {Object} rule - Rule to edit
+   * @returns {Promise<Object|null>} { name, color, description, severity, category, group, archived, weight, expiryDays, escalation, detectors } and detection term lists, or null if cancelled
+   */
+  showRuleEditDialog(rule) {
     return new Promise((resolve) => {
-      // Validate and sanitize color
-      const safeColor = SecurityUtils.validateHexColor(currentColor);
+      const safeColor = SecurityUtils.validateHexColor(rule.color);
+      const labelStyle = 'display: block; margin-bottom: 6px; color: #E0E0E0; font-size: 12px; font-weight: 500;';
+      const fieldStyle = 'width: 100%; box-sizing: border-box; padding: 8px 10px; background: #1e1e24; border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; font-size: 13px; font-family: inherit;';
       
       // Create modal overlay
       const overlay = document.createElement('div');
-      overlay.className = 'color-picker-modal-overlay';
+      overlay.className = 'rule-edit-modal-overlay';
       overlay.style.cssText = `
         position: fixed;
         top: 0;
@@ -932,28 +1581,119 @@ class PopupUI {
       
       // Create modal
       const modal = document.createElement('div');
-      modal.className = 'color-picker-modal';
+      modal.className = 'rule-edit-modal';
       modal.style.cssText = `
         background: linear-gradient(135deg, #141414 0%, #181818 100%);
-        padding: 24px;
+        padding: 20px;
         border-radius: 12px;
         border: 1px solid rgba(255, 255, 255, 0.12);
-        min-width: 300px;
-        max-width: 400px;
+        width: 340px;
+        max-height: 90vh;
+        overflow-y: auto;
       `;
       
+      const severityOptions = RuleStorage.SEVERITIES.map(severity => `
+        <option value="${severity}" ${severity === rule.severity ? 'selected' : ''}>${severity.charAt(0).toUpperCase() + severity.slice(1)}</option>
+      `).join('');
+      
+      const detectorSettings = RuleDetection.normalizeDetectorSettings(this.detectorSettings);
+      const detectorOptions = Object.entries(RuleDetection.DETECTORS).map(([id, detector]) => {
+        const options = detectorSettings[id];
+        const weight = options.enabled ? `+${options.weight}` : 'off';
+        return `
+          <label title="${SecurityUtils.escapeHtml(detector.description)}" style="display: flex; align-items: center; gap: 8px; color: #E0E0E0; font-size: 12px; cursor: pointer;">
+            <input type="checkbox" data-detector="${id}" ${(rule.detectors || []).includes(id) ? 'checked' : ''}>
+            ${SecurityUtils.escapeHtml(detector.label)} <span style="color: rgba(255, 255, 255, 0.5);">(${weight})</span>
+          </label>
+        `;
+      }).join('');
+      
       modal.innerHTML = `
-        <h3 style="margin: 0 0 16px 0; color: #ffffff; font-size: 18px; font-weight: 600;">Edit Rule Color</h3>
-        <div style="margin-bottom: 20px;">
-          <label style="display: block; margin-bottom: 8px; color: #E0E0E0; font-size: 12px; font-weight: 500;">Select new color:</label>
+        <h3 style="margin: 0 0 16px 0; color: #ffffff; font-size: 18px; font-weight: 600;">Edit Rule</h3>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleName">Name</label>
+          <input type="text" id="editRuleName" maxlength="50" value="${SecurityUtils.escapeHtml(rule.name)}" style="${fieldStyle}">
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleColorInput">Color</label>
           <div style="display: flex; align-items: center; gap: 12px;">
-            <input type="color" id="editRuleColorInput" value="${SecurityUtils.escapeHtml(safeColor)}" style="width: 60px; height: 40px; border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; cursor: pointer;">
+            <input type="color" id="editRuleColorInput" value="${SecurityUtils.escapeHtml(safeColor)}" style="width: 60px; height: 36px; border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; cursor: pointer;">
             <span id="editColorPreview" style="color: ${safeColor}; font-size: 14px; font-weight: 500; font-family: monospace;">${SecurityUtils.escapeHtml(safeColor)}</span>
           </div>
         </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleDescription">Description</label>
+          <textarea id="editRuleDescription" rows="4" maxlength="${RuleStorage.MAX_DESCRIPTION_LENGTH}" style="${fieldStyle} resize: vertical;">${SecurityUtils.escapeHtml(rule.description || '')}</textarea>
+        </div>
+        <div style="display: flex; gap: 10px; margin-bottom: 12px;">
+          <div style="flex: 1;">
+            <label style="${labelStyle}" for="editRuleSeverity">Severity</label>
+            <select id="editRuleSeverity" style="${fieldStyle}">${severityOptions}</select>
+          </div>
+          <div style="flex: 1;">
+            <label style="${labelStyle}" for="editRuleCategory">Category</label>
+            <input type="text" id="editRuleCategory" list="ruleCategoryList" maxlength="${RuleStorage.MAX_CATEGORY_LENGTH}" value="${SecurityUtils.escapeHtml(rule.category || '')}" style="${fieldStyle}">
+          </div>
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleGroup">Group</label>
+          <input type="text" id="editRuleGroup" list="ruleGroupList" maxlength="${RuleStorage.MAX_GROUP_LENGTH}" value="${SecurityUtils.escapeHtml(rule.group || '')}" placeholder="Ungrouped" style="${fieldStyle}">
+        </div>
+        <div style="display: flex; gap: 10px; margin-bottom: 12px;">
+          <div style="flex: 1;">
+            <label style="${labelStyle}" for="editRuleWeight">Reputation weight</label>
+            <input type="number" id="editRuleWeight" min="0" max="${RuleStorage.MAX_WEIGHT}" step="0.1" value="${typeof rule.weight === 'number' ? rule.weight : ''}" placeholder="Severity default" style="${fieldStyle}">
+          </div>
+          <div style="flex: 1;">
+            <label style="${labelStyle}" for="editRuleExpiry">Expires after (days)</label>
+            <input type="number" id="editRuleExpiry" min="1" max="${RuleStorage.MAX_EXPIRY_DAYS}" step="1" value="${rule.expiryDays || ''}" placeholder="Never" style="${fieldStyle}">
+          </div>
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleEscalationMode">Escalation</label>
+          <select id="editRuleEscalationMode" style="${fieldStyle}">
+            <option value="default" ${rule.escalation ? '' : 'selected'}>Workspace ladder (${SecurityUtils.escapeHtml(EscalationPolicy.describeLadder(this.escalationLadder))})</option>
+            <option value="own" ${rule.escalation ? 'selected' : ''}>Own ladder, counting only this rule</option>
+          </select>
+          <div id="editRuleEscalation" style="margin-top: 8px; ${rule.escalation ? '' : 'display: none;'}">
+            <div class="escalation-steps"></div>
+            <button type="button" class="btn btn-secondary escalation-add-btn">Add Step</button>
+          </div>
+        </div>
+        <h4 style="margin: 16px 0 4px 0; color: #ffffff; font-size: 13px; font-weight: 600;">Detection</h4>
+        <p style="margin: 0 0 10px 0; color: rgba(255, 255, 255, 0.6); font-size: 11px; line-height: 1.4;">Used to suggest this rule when marking from a tweet. Keywords match whole words, phrases match word sequences, expressions are case-insensitive; a negative keyword rules the rule out.</p>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleKeywords">Keywords (+${RuleDetection.SCORES.keyword})</label>
+          <textarea id="editRuleKeywords" rows="2" placeholder="Comma-separated, e.g. airdrop, presale" style="${fieldStyle} resize: vertical;">${SecurityUtils.escapeHtml((rule.keywords || []).join(', '))}</textarea>
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRulePhrases">Phrases (+${RuleDetection.SCORES.phrase})</label>
+          <textarea id="editRulePhrases" rows="2" placeholder="One per line, e.g. connect your wallet" style="${fieldStyle} resize: vertical;">${SecurityUtils.escapeHtml((rule.phrases || []).join('\n'))}</textarea>
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRulePatterns">Regular expressions (+${RuleDetection.SCORES.pattern})</label>
+          <textarea id="editRulePatterns" rows="2" placeholder="One per line, e.g. \\bfree\\s+mint\\b" style="${fieldStyle} resize: vertical; font-family: monospace;">${SecurityUtils.escapeHtml((rule.patterns || []).join('\n'))}</textarea>
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleNegativeKeywords">Negative keywords</label>
+          <textarea id="editRuleNegativeKeywords" rows="2" placeholder="Comma-separated, e.g. spoiler free" style="${fieldStyle} resize: vertical;">${SecurityUtils.escapeHtml((rule.negativeKeywords || []).join(', '))}</textarea>
+        </div>
+        <div style="margin-bottom: 12px;">
+          <span style="${labelStyle}">Detectors (weights are set in Settings)</span>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px 10px;">${detectorOptions}</div>
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="editRuleTestText">Test text</label>
+          <textarea id="editRuleTestText" rows="3" placeholder="Paste a sample tweet to see its score" style="${fieldStyle} resize: vertical;"></textarea>
+          <div id="editRuleTestResult" style="margin-top: 6px; color: rgba(255, 255, 255, 0.7); font-size: 11px; line-height: 1.4;"></div>
+        </div>
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 20px; color: #E0E0E0; font-size: 12px; cursor: pointer;">
+          <input type="checkbox" id="editRuleArchived" ${rule.archived ? 'checked' : ''}>
+          Archived (kept in history, hidden when marking users)
+        </label>
         <div style="display: flex; gap: 10px; justify-content: flex-end;">
-          <button id="cancelEditColor" style="padding: 8px 16px; background: rgba(255, 255, 255, 0.1); border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; cursor: pointer; font-size: 14px;">Cancel</button>
-          <button id="saveEditColor" style="padding: 8px 16px; background: #009eff; border: none; border-radius: 8px; color: #ffffff; cursor: pointer; font-size: 14px; font-weight: 500;">Save</button>
+          <button id="cancelEditRule" style="padding: 8px 16px; background: rgba(255, 255, 255, 0.1); border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; cursor: pointer; font-size: 14px;">Cancel</button>
+          <button id="saveEditRule" style="padding: 8px 16px; background: #009eff; border: none; border-radius: 8px; color: #ffffff; cursor: pointer; font-size: 14px; font-weight: 500;">Save</button>
         </div>
       `;
       
@@ -965,23 +1705,78 @@ class PopupUI {
       
       // Update preview on color change
       colorInput.addEventListener('input', (e) => {
-        const newColor = e.target.value;
-        const validatedColor = SecurityUtils.validateHexColor(newColor);
+        const validatedColor = SecurityUtils.validateHexColor(e.target.value);
         colorPreview.textContent = validatedColor;
         colorPreview.style.color = validatedColor;
       });
       
+      // Own escalation ladder, starting from the workspace ladder
+      const escalationMode = modal.querySelector('#editRuleEscalationMode');
+      const escalationEditor = modal.querySelector('#editRuleEscalation');
+      const escalationSteps = escalationEditor.querySelector('.escalation-steps');
+      this.renderLadderEditor(escalationSteps, rule.escalation || this.escalationLadder);
+      this.bindLadderEditor(escalationSteps, escalationEditor.querySelector('.escalation-add-btn'));
+      escalationMode.addEventListener('change', () => {
+        escalationEditor.style.display = escalationMode.value === 'own' ? '' : 'none';
+      });
+      
+      // Detection terms as currently entered
+      const readDetection = () => ({
+        keywords: this.parseTermList(modal.querySelector('#editRuleKeywords').value, ','),
+        phrases: this.parseTermList(modal.querySelector('#editRulePhrases').value, '\n'),
+        patterns: this.parseTermList(modal.querySelector('#editRulePatterns').value, '\n'),
+        negativeKeywords: this.parseTermList(modal.querySelector('#editRuleNegativeKeywords').value, ','),
+        detectors: Array.from(modal.querySelectorAll('input[data-detector]:checked')).map(input => input.dataset.detector)
+      });
+      
+      const testText = modal.querySelector('#editRuleTestText');
+      const testResult = modal.querySelector('#editRuleTestResult');
+      const updateTest = () => {
+        const detection = readDetection();
+        const error = RuleStorage.validateFields(detection);
+        const name = modal.querySelector('#editRuleName').value.trim() || rule.name;
+        testResult.innerHTML = error
+          ? `<span style="color: #ef4444;">${SecurityUtils.escapeHtml(error)}</span>`
+          : testText.value.trim() ? this.renderDetectionResult(RuleDetection.score(
+            { ...rule, name: name, ...detection },
+            testText.value,
+            RuleDetection.runDetectors(testText.value, this.detectorSettings)
+          )) : '';
+      };
+      ['#editRuleName', '#editRuleKeywords', '#editRulePhrases', '#editRulePatterns', '#editRuleNegativeKeywords', '#editRuleTestText'].forEach(selector => {
+        modal.querySelector(selector).addEventListener('input', updateTest);
+      });
+      modal.querySelectorAll('input[data-detector]').forEach(input => {
+        input.addEventListener('change', updateTest);
+      });
+      
       // Cancel button
-      modal.querySelector('#cancelEditColor').addEventListener('click', () => {
+      modal.querySelector('#cancelEditRule').addEventListener('click', () => {
         document.body.removeChild(overlay);
         resolve(null);
       });
       
       // Save button
-      modal.querySelector('#saveEditColor').addEventListener('click', () => {
-        const newColor = colorInput.value;
+      modal.querySelector('#saveEditRule').addEventListener('click', () => {
+        const weight = modal.querySelector('#editRuleWeight').value.trim();
+        const expiryDays = modal.querySelector('#editRuleExpiry').value.trim();
+        const updates = {
+          name: modal.querySelector('#editRuleName').value.trim(),
+          color: colorInput.value,
+          description: modal.querySelector('#editRuleDescription').value.trim(),
+          severity: modal.querySelector('#editRuleSeverity').value,
+          category: modal.querySelector('#editRuleCategory').value.trim(),
+          group: modal.querySelector('#editRuleGroup').value.trim(),
+          ...readDetection(),
+          archived: modal.querySelector('#editRuleArchived').checked,
+          // Empty means the severity decides the weight
+          weight: weight === '' ? null : Number(weight),
+          // Empty means violations never expire
+          expiryDays: expiryDays === '' ? null : Number(expiryDays),
+          escalation: escalationMode.value === 'own' ? this.readLadderEditor(escalationSteps) : null
+        };
         document.body.removeChild(overlay);
-        resolve(newColor);
+        resolve(updates);
       });
       
       // Close on overlay click
@@ -994,32 +1789,562 @@ class PopupUI {
     });
   }
 
-  async deleteRule(ruleId) {
-    // Check if any users are marked with this rule (support both old and new data structure)
-    const users = await UserStorage.getMarkedUsers();
-    const usersWithRule = Object.values(users).filter(u => {
-      if (u.rules && typeof u.rules === 'object') {
-        // New structure: check if rule exists in rules object
-        return u.rules.hasOwnProperty(ruleId) || u.rules.hasOwnProperty(ruleId.toString());
-      } else if (u.rule) {
-        // Old structure: check if rule matches
-        return u.rule === ruleId || u.rule === ruleId.toString();
-      }
-      return false;
+  /**
+   * Merge a rule into another rule, after showing what will move
+   * @param {string} ruleId - Rule to merge away
+   */
+  async mergeRule(ruleId) {
+    const source = this.currentRules?.find(r => r.id === ruleId);
+    if (!source) return;
+
+    const targets = this.currentRules.filter(rule => !RuleStorage.validateMerge(source, rule));
+    if (targets.length === 0) {
+      this.showNotification('No other rule can take over these violations!', 'error');
+      return;
+    }
+
+    // Merging moves the violations of every community, not just the one being viewed
+    const incidents = await UserStorage.getIncidents({ ruleId: source.id });
+    const userCount = new Set(incidents.map(incident => incident.username)).size;
+
+    const choice = await this.showRuleTransferDialog({
+      title: 'Merge Rule',
+      intro: `Move every violation of "${source.name}" to another rule. "${source.name}" then moves to the trash.`,
+      targets: targets,
+      confirmLabel: 'Merge',
+      preview: async ({ target }) => ({
+        text: `${incidents.length} violation(s) of ${userCount} user(s) will move to "${target.name}".`,
+        disabled: false
+      })
+    });
+    if (!choice) return;
+
+    try {
+      const { result, historyId } = await StorageBridge.mutate('RuleStorage', 'mergeRules', [source.id, choice.targetId]);
+      if (!result.success) {
+        this.showNotification(result.error, 'error');
+        return;
+      }
+      await this.loadRules();
+      await this.loadUsers();
+      await this.loadAnalyticsData();
+      this.showUndoableNotification(`Merged ${result.violations} violation(s) of ${result.users} user(s)!`, historyId);
+    } catch (error) {
+      this.showNotification('Error merging rules!', 'error');
+    }
+  }
+
+  /**
+   * Show a dialog to pick the rule violations move to, with a live preview
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.intro - Explanation shown above the fields
+   * @param {Array} options.sources - Optional [{ value, label }] to pick which violations move
+   * @param {Array} options.targets - Rules the violations can move to
+   * @param {string} options.confirmLabel - Label of the confirm button
+   * @param {Function} options.preview - async ({ sourceId, target }) => { text, disabled }
+   * @returns {Promise<Object|null>} { sourceId, targetId } or null if cancelled
+   */
+  showRuleTransferDialog(options) {
+    return new Promise((resolve) => {
+      const labelStyle = 'display: block; margin-bottom: 6px; color: #E0E0E0; font-size: 12px; font-weight: 500;';
+      const fieldStyle = 'width: 100%; box-sizing: border-box; padding: 8px 10px; background: #1e1e24; border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; font-size: 13px; font-family: inherit;';
+      
+      const overlay = document.createElement('div');
+      overlay.className = 'rule-transfer-modal-overlay';
+      overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.7);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+      `;
+      
+      const modal = document.createElement('div');
+      modal.className = 'rule-transfer-modal';
+      modal.style.cssText = `
+        background: linear-gradient(135deg, #141414 0%, #181818 100%);
+        padding: 20px;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        width: 340px;
+        max-height: 90vh;
+        overflow-y: auto;
+      `;
+      
+      const sourceOptions = (options.sources || []).map(source => `
+        <option value="${SecurityUtils.escapeHtml(source.value)}">${SecurityUtils.escapeHtml(source.label)}</option>
+      `).join('');
+      const targetOptions = options.targets.map(rule => `
+        <option value="${SecurityUtils.escapeHtml(rule.id)}">${SecurityUtils.escapeHtml(rule.name)}</option>
+      `).join('');
+      
+      modal.innerHTML = `
+        <h3 style="margin: 0 0 8px 0; color: #ffffff; font-size: 18px; font-weight: 600;">${SecurityUtils.escapeHtml(options.title)}</h3>
+        <p style="margin: 0 0 16px 0; color: rgba(255, 255, 255, 0.7); font-size: 12px; line-height: 1.4;">${SecurityUtils.escapeHtml(options.intro)}</p>
+        ${options.sources ? `
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="transferSource">Violations of</label>
+          <select id="transferSource" style="${fieldStyle}">${sourceOptions}</select>
+        </div>` : ''}
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="transferTarget">Move to rule</label>
+          <select id="transferTarget" style="${fieldStyle}">${targetOptions}</select>
+        </div>
+        <div id="transferPreview" style="margin-bottom: 20px; padding: 10px; border-radius: 8px; background: rgba(0, 158, 255, 0.08); border: 1px solid rgba(0, 158, 255, 0.2); color: #E0E0E0; font-size: 12px; line-height: 1.4;">Counting...</div>
+        <div style="display: flex; gap: 10px; justify-content: flex-end;">
+          <button id="cancelTransfer" style="padding: 8px 16px; background: rgba(255, 255, 255, 0.1); border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; cursor: pointer; font-size: 14px;">Cancel</button>
+          <button id="confirmTransfer" style="padding: 8px 16px; background: #009eff; border: none; border-radius: 8px; color: #ffffff; cursor: pointer; font-size: 14px; font-weight: 500;">${SecurityUtils.escapeHtml(options.confirmLabel)}</button>
+        </div>
+      `;
+      
+      overlay.appendChild(modal);
+      document.body.appendChild(overlay);
+      
+      const sourceSelect = modal.querySelector('#transferSource');
+      const targetSelect = modal.querySelector('#transferTarget');
+      const previewBox = modal.querySelector('#transferPreview');
+      const confirmBtn = modal.querySelector('#confirmTransfer');
+      let previewRun = 0;
+      
+      // Only the latest preview is shown when the selection changes quickly
+      const updatePreview = async () => {
+        const run = ++previewRun;
+        confirmBtn.disabled = true;
+        try {
+          const preview = await options.preview({
+            sourceId: sourceSelect ? sourceSelect.value : null,
+            target: options.targets.find(rule => rule.id === targetSelect.value)
+          });
+          if (run !== previewRun) return;
+          previewBox.textContent = preview.text;
+          confirmBtn.disabled = preview.disabled;
+        } catch (error) {
+          if (run !== previewRun) return;
+          previewBox.textContent = error.message;
+        }
+        confirmBtn.style.opacity = confirmBtn.disabled ? '0.5' : '1';
+      };
+      
+      if (sourceSelect) {
+        sourceSelect.addEventListener('change', updatePreview);
+      }
+      targetSelect.addEventListener('change', updatePreview);
+      updatePreview();
+      
+      const close = (value) => {
+        document.body.removeChild(overlay);
+        resolve(value);
+      };
+      
+      modal.querySelector('#cancelTransfer').addEventListener('click', () => close(null));
+      
+      confirmBtn.addEventListener('click', () => {
+        close({ sourceId: sourceSelect ? sourceSelect.value : null, targetId: targetSelect.value });
+      });
+      
+      // Close on overlay click
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+          close(null);
+        }
+      });
     });
+  }
+
+  /**
+   * Split entered detection terms
+   * @param {string} value - Input text
+   * @param {string} separator - ',' for word lists, '\n' for phrases and expressions
+   * @returns {Array<string>} Non-empty terms
+   */
+  parseTermList(value, separator) {
+    return value.split(separator).map(term => term.trim()).filter(Boolean);
+  }
+
+  /**
+   * Describe the detection score of one rule
+   * @param {Object} result - Result of RuleDetection.score
+   * @returns {string} HTML
+   */
+  renderDetectionResult(result) {
+    if (result.blockedBy) {
+      return `Ruled out by negative keyword "${SecurityUtils.escapeHtml(result.blockedBy)}"`;
+    }
+    const verdict = result.score >= RuleDetection.MIN_SCORE
+      ? `${result.confidence}% confidence`
+      : `needs ${RuleDetection.MIN_SCORE} to be suggested`;
+    const matches = result.matches.map(match => `${SecurityUtils.escapeHtml(RuleDetection.describeMatch(match))} +${match.points}`).join(', ');
+    return `<strong>Score ${result.score}</strong> (${verdict})${matches ? `<br>${matches}` : ''}`;
+  }
+
+  /**
+   * Score the tester text against every rule that can be suggested
+   */
+  updateDetectionTest() {
+    if (!this.detectionTestInput || !this.detectionTestResults) return;
     
-    if (usersWithRule.length > 0) {
-      this.showNotification(`Cannot delete rule: ${usersWithRule.length} users are marked with this rule!`, 'error');
+    const text = this.detectionTestInput.value;
+    this.detectionTestResults.innerHTML = '';
+    if (!text.trim()) {
+      return;
+    }
+    
+    const rules = (this.currentRules || []).filter(rule => !rule.archived);
+    const signals = RuleDetection.runDetectors(text, this.detectorSettings);
+    const results = rules
+      .map(rule => ({ rule: rule, ...RuleDetection.score(rule, text, signals) }))
+      .filter(result => result.score > 0 || result.blockedBy)
+      .sort((a, b) => b.score - a.score);
+    const suggested = RuleDetection.suggest(rules, text, this.detectorSettings).map(suggestion => suggestion.rule.id);
+    
+    if (results.length === 0) {
+      this.detectionTestResults.innerHTML = '<div class="detection-test-empty">No rule matches this text.</div>';
+      return;
+    }
+    
+    results.forEach(result => {
+      const item = document.createElement('div');
+      const rank = suggested.indexOf(result.rule.id);
+      item.className = rank >= 0 ? 'detection-test-item suggested' : 'detection-test-item';
+      item.innerHTML = `
+        <div class="detection-test-rule">
+          <span class="legend-color" style="background-color: ${SecurityUtils.validateHexColor(result.rule.color)}"></span>
+          ${SecurityUtils.escapeHtml(result.rule.name)}
+          ${rank >= 0 ? `<span class="rule-badge">Suggestion ${rank + 1}</span>` : ''}
+        </div>
+        <div class="detection-test-detail">${this.renderDetectionResult(result)}</div>
+      `;
+      this.detectionTestResults.appendChild(item);
+    });
+  }
+
+  renderRulePackPresets() {
+    if (!this.rulePackSelect) return;
+    
+    this.rulePackSelect.innerHTML = RulePacks.PRESETS.map(preset => `
+      <option value="${SecurityUtils.escapeHtml(preset.id)}">${SecurityUtils.escapeHtml(preset.name)} (${preset.rules.length} rules)</option>
+    `).join('');
+    this.updateRulePackDescription();
+  }
+
+  updateRulePackDescription() {
+    if (!this.rulePackDescription || !this.rulePackSelect) return;
+    
+    const preset = RulePacks.PRESETS.find(candidate => candidate.id === this.rulePackSelect.value);
+    this.rulePackDescription.textContent = preset ? preset.description : '';
+  }
+
+  async addPresetRulePack() {
+    const pack = RulePacks.getPreset(this.rulePackSelect ? this.rulePackSelect.value : '');
+    if (!pack) {
+      this.showNotification('Please choose a rule pack!', 'error');
       return;
     }
+    await this.addRulePack(pack);
+  }
+
+  async importRulePackFile(file) {
+    let pack;
+    try {
+      pack = RulePacks.normalize(JSON.parse(await file.text()));
+    } catch (error) {
+      this.showNotification(error instanceof SyntaxError ? 'Invalid rule pack file!' : error.message, 'error');
+      this.importRulePackInput.value = '';
+      return;
+    }
+    this.importRulePackInput.value = '';
+    await this.addRulePack(pack);
+  }
+
+  /**
+   * Preview a rule pack and merge it into the rules once confirmed
+   * @param {Object} pack - Normalized rule pack
+   */
+  async addRulePack(pack) {
+    const choice = await this.showRulePackDialog(pack);
+    if (!choice) {
+      return; // User cancelled
+    }
     
     try {
-      await RuleStorage.removeRule(ruleId);
+      const { result, historyId } = await StorageBridge.mutate('RuleStorage', 'importPack', [pack, choice.communityId]);
+      if (!result.success) {
+        this.showNotification(result.error, 'error');
+        return;
+      }
+      if (!result.added && !result.updated) {
+        this.showNotification(`All rules of "${pack.name}" already exist`, 'info');
+        return;
+      }
+      
       await this.loadRules();
-      this.showNotification('Rule deleted successfully!', 'success');
+      await this.loadUsers();
+      this.showUndoableNotification(`"${pack.name}": ${result.added} rule(s) added, ${result.updated} extended`, historyId);
+    } catch (error) {
+      this.showNotification('Error adding rule pack!', 'error');
+    }
+  }
+
+  /**
+   * Show what a rule pack adds before it is merged
+   * @param {Object} pack - Normalized rule pack
+   * @returns {Promise<Object|null>} { communityId } or null if cancelled
+   */
+  showRulePackDialog(pack) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'rule-pack-modal-overlay';
+      overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.7);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+      `;
+      
+      const modal = document.createElement('div');
+      modal.className = 'rule-pack-modal';
+      modal.style.cssText = `
+        background: linear-gradient(135deg, #141414 0%, #181818 100%);
+        padding: 20px;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        width: 340px;
+        max-height: 90vh;
+        overflow-y: auto;
+      `;
+      
+      modal.innerHTML = `
+        <h3 style="margin: 0 0 8px 0; color: #ffffff; font-size: 18px; font-weight: 600;">Add "${SecurityUtils.escapeHtml(pack.name)}"</h3>
+        ${pack.description ? `<p style="margin: 0 0 16px 0; color: rgba(255, 255, 255, 0.7); font-size: 12px; line-height: 1.4;">${SecurityUtils.escapeHtml(pack.description)}</p>` : ''}
+        ${this.communityId ? `
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 12px; color: #E0E0E0; font-size: 12px; cursor: pointer;">
+          <input type="checkbox" id="rulePackShared" checked>
+          Shared by all communities
+        </label>` : ''}
+        <div id="rulePackPreview" style="margin-bottom: 20px; padding: 10px; border-radius: 8px; background: rgba(0, 158, 255, 0.08); border: 1px solid rgba(0, 158, 255, 0.2); color: #E0E0E0; font-size: 12px; line-height: 1.4;">Checking rules...</div>
+        <div style="display: flex; gap: 10px; justify-content: flex-end;">
+          <button id="cancelRulePack" style="padding: 8px 16px; background: rgba(255, 255, 255, 0.1); border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; cursor: pointer; font-size: 14px;">Cancel</button>
+          <button id="confirmRulePack" style="padding: 8px 16px; background: #009eff; border: none; border-radius: 8px; color: #ffffff; cursor: pointer; font-size: 14px; font-weight: 500;">Add Rules</button>
+        </div>
+      `;
       
-      // Refresh content scripts
-      this.refreshAllContentScripts();
+      overlay.appendChild(modal);
+      document.body.appendChild(overlay);
+      
+      const sharedToggle = modal.querySelector('#rulePackShared');
+      const previewBox = modal.querySelector('#rulePackPreview');
+      const confirmBtn = modal.querySelector('#confirmRulePack');
+      const getCommunityId = () => sharedToggle && !sharedToggle.checked ? this.communityId : null;
+      let previewRun = 0;
+      
+      // Rules are matched by name among the rules that apply in the chosen scope
+      const updatePreview = async () => {
+        const run = ++previewRun;
+        confirmBtn.disabled = true;
+        try {
+          const preview = await RuleStorage.previewPackImport(pack, getCommunityId());
+          if (run !== previewRun) return;
+          const list = (title, names) => names.length ? `
+            <div style="margin-bottom: 6px;"><strong>${title} (${names.length})</strong><br>${names.map(name => SecurityUtils.escapeHtml(name)).join(', ')}</div>
+          ` : '';
+          previewBox.innerHTML = list('New rules', preview.added) +
+            list('Get missing detection terms, detectors or description', preview.updated) +
+            list('Already up to date', preview.unchanged);
+          confirmBtn.disabled = !preview.added.length && !preview.updated.length;
+        } catch (error) {
+          if (run !== previewRun) return;
+          previewBox.textContent = error.message;
+        }
+        confirmBtn.style.opacity = confirmBtn.disabled ? '0.5' : '1';
+      };
+      
+      if (sharedToggle) {
+        sharedToggle.addEventListener('change', updatePreview);
+      }
+      updatePreview();
+      
+      const close = (value) => {
+        document.body.removeChild(overlay);
+        resolve(value);
+      };
+      
+      modal.querySelector('#cancelRulePack').addEventListener('click', () => close(null));
+      confirmBtn.addEventListener('click', () => close({ communityId: getCommunityId() }));
+      
+      // Close on overlay click
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+          close(null);
+        }
+      });
+    });
+  }
+
+  async exportRulePack() {
+    const rules = this.currentRules || [];
+    if (rules.length === 0) {
+      this.showNotification('No rules to export!', 'error');
+      return;
+    }
+    
+    const choice = await this.showRulePackExportDialog(rules);
+    if (!choice) {
+      return; // User cancelled
+    }
+    
+    let pack;
+    try {
+      pack = RulePacks.create(choice.name, rules.filter(rule => choice.ruleIds.includes(rule.id)), choice.description);
+    } catch (error) {
+      this.showNotification(error.message, 'error');
+      return;
+    }
+    
+    const jsonStr = JSON.stringify({ ...pack, exportDate: new Date().toISOString() }, null, 2);
+    const blob = new Blob([jsonStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `x-flagr-rules-${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack'}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    this.showNotification(`Exported ${pack.rules.length} rule(s) as "${pack.name}"`, 'success');
+  }
+
+  /**
+   * Ask for the name, description and rules of a rule pack to export
+   * @param {Array} rules - Rules that can be exported
+   * @returns {Promise<Object|null>} { name, description, ruleIds } or null if cancelled
+   */
+  showRulePackExportDialog(rules) {
+    return new Promise((resolve) => {
+      const labelStyle = 'display: block; margin-bottom: 6px; color: #E0E0E0; font-size: 12px; font-weight: 500;';
+      const fieldStyle = 'width: 100%; box-sizing: border-box; padding: 8px 10px; background: #1e1e24; border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; font-size: 13px; font-family: inherit;';
+      
+      const overlay = document.createElement('div');
+      overlay.className = 'rule-pack-modal-overlay';
+      overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.7);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+      `;
+      
+      const modal = document.createElement('div');
+      modal.className = 'rule-pack-modal';
+      modal.style.cssText = `
+        background: linear-gradient(135deg, #141414 0%, #181818 100%);
+        padding: 20px;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        width: 340px;
+        max-height: 90vh;
+        overflow-y: auto;
+      `;
+      
+      // Archived rules are left out unless picked explicitly
+      const ruleOptions = rules.map(rule => `
+        <label style="display: flex; align-items: center; gap: 8px; padding: 4px 0; color: #E0E0E0; font-size: 12px; cursor: pointer;">
+          <input type="checkbox" class="rule-pack-export-rule" value="${SecurityUtils.escapeHtml(rule.id)}" ${rule.archived ? '' : 'checked'}>
+          <span style="width: 10px; height: 10px; border-radius: 50%; flex-shrink: 0; background: ${SecurityUtils.validateHexColor(rule.color)};"></span>
+          ${SecurityUtils.escapeHtml(rule.name)}${rule.group ? ` <span style="color: rgba(255, 255, 255, 0.5);">(${SecurityUtils.escapeHtml(rule.group)})</span>` : ''}
+        </label>
+      `).join('');
+      
+      modal.innerHTML = `
+        <h3 style="margin: 0 0 16px 0; color: #ffffff; font-size: 18px; font-weight: 600;">Export Rule Pack</h3>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="rulePackName">Pack name</label>
+          <input type="text" id="rulePackName" maxlength="${RulePacks.MAX_NAME_LENGTH}" placeholder="e.g. Our Community Rules" style="${fieldStyle}">
+        </div>
+        <div style="margin-bottom: 12px;">
+          <label style="${labelStyle}" for="rulePackDescriptionInput">Description</label>
+          <textarea id="rulePackDescriptionInput" rows="2" maxlength="${RulePacks.MAX_DESCRIPTION_LENGTH}" placeholder="Optional" style="${fieldStyle} resize: vertical;"></textarea>
+        </div>
+        <div style="margin-bottom: 20px;">
+          <span style="${labelStyle}">Rules</span>
+          ${ruleOptions}
+        </div>
+        <div style="display: flex; gap: 10px; justify-content: flex-end;">
+          <button id="cancelRulePackExport" style="padding: 8px 16px; background: rgba(255, 255, 255, 0.1); border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; cursor: pointer; font-size: 14px;">Cancel</button>
+          <button id="confirmRulePackExport" style="padding: 8px 16px; background: #009eff; border: none; border-radius: 8px; color: #ffffff; cursor: pointer; font-size: 14px; font-weight: 500;">Export</button>
+        </div>
+      `;
+      
+      overlay.appendChild(modal);
+      document.body.appendChild(overlay);
+      
+      const nameInput = modal.querySelector('#rulePackName');
+      nameInput.focus();
+      
+      const close = (value) => {
+        document.body.removeChild(overlay);
+        resolve(value);
+      };
+      
+      modal.querySelector('#cancelRulePackExport').addEventListener('click', () => close(null));
+      
+      modal.querySelector('#confirmRulePackExport').addEventListener('click', () => {
+        const ruleIds = Array.from(modal.querySelectorAll('.rule-pack-export-rule:checked')).map(checkbox => checkbox.value);
+        if (!nameInput.value.trim()) {
+          this.showNotification('Please enter a pack name!', 'error');
+          return;
+        }
+        if (ruleIds.length === 0) {
+          this.showNotification('Please select at least one rule!', 'error');
+          return;
+        }
+        close({
+          name: nameInput.value.trim(),
+          description: modal.querySelector('#rulePackDescriptionInput').value.trim(),
+          ruleIds: ruleIds
+        });
+      });
+      
+      // Close on overlay click
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+          close(null);
+        }
+      });
+    });
+  }
+
+  async deleteRule(ruleId) {
+    // Check if any users are marked with this rule
+    const incidents = await UserStorage.getIncidents({ ruleId: ruleId });
+    const usersWithRule = new Set(incidents.map(incident => incident.username));
+    
+    if (usersWithRule.size > 0) {
+      this.showNotification(`Cannot delete rule: ${usersWithRule.size} users are marked with this rule! Merge or archive it instead.`, 'error');
+      return;
+    }
+    
+    try {
+      const { historyId } = await StorageBridge.mutate('RuleStorage', 'removeRule', [ruleId]);
+      await this.loadRules();
+      this.showUndoableNotification('Rule moved to trash!', historyId);
     } catch (error) {
       this.showNotification('Error deleting rule!', 'error');
     }
@@ -1031,15 +2356,41 @@ class PopupUI {
     // Clear existing options
     this.ruleSelect.innerHTML = '<option value="">Select a rule...</option>';
     
-    // Add rules as options
-    rules.forEach(rule => {
-      const option = document.createElement('option');
-      option.value = SecurityUtils.escapeHtml(rule.id);
-      option.textContent = SecurityUtils.escapeHtml(rule.name);
-      this.ruleSelect.appendChild(option);
+    // Add rules as options (archived rules can't be used for new marks), grouped like the Rules tab
+    RuleStorage.groupRules(rules.filter(rule => !rule.archived)).forEach(group => {
+      let parent = this.ruleSelect;
+      if (group.name) {
+        parent = document.createElement('optgroup');
+        parent.label = group.name;
+        this.ruleSelect.appendChild(parent);
+      }
+      group.rules.forEach(rule => {
+        const option = document.createElement('option');
+        option.value = rule.id;
+        option.textContent = rule.name;
+        parent.appendChild(option);
+      });
     });
   }
 
+  updateCategoryList(rules) {
+    if (!this.ruleCategoryList) return;
+    
+    const categories = [...new Set(rules.map(rule => rule.category).filter(Boolean))].sort();
+    this.ruleCategoryList.innerHTML = categories.map(category => `
+      <option value="${SecurityUtils.escapeHtml(category)}"></option>
+    `).join('');
+  }
+
+  updateGroupList(rules) {
+    if (!this.ruleGroupList) return;
+    
+    this.ruleGroupList.innerHTML = RuleStorage.groupRules(rules)
+      .filter(group => group.name)
+      .map(group => `<option value="${SecurityUtils.escapeHtml(group.name)}"></option>`)
+      .join('');
+  }
+
   updateRuleLegend(rules) {
     if (!this.ruleLegendGrid) return;
     
@@ -1054,25 +2405,36 @@ class PopupUI {
       return;
     }
     
-    rules.forEach(rule => {
-      const legendItem = document.createElement('div');
-      // Convert rule.id to string for consistent validation
-      const ruleIdStr = String(rule.id);
-      // Validate rule.id: allow numeric IDs (Date.now() generates numbers) and alphanumeric with underscore
-      const safeId = /^[0-9]+$/.test(ruleIdStr) || /^[a-zA-Z0-9_]+$/.test(ruleIdStr)
-        ? ruleIdStr
-        : 'invalid';
-      const safeColor = SecurityUtils.validateHexColor(rule.color);
-      const safeName = SecurityUtils.escapeHtml(rule.name);
-      legendItem.className = `legend-item rule-${safeId}`;
-      legendItem.innerHTML = `
-        <div class="legend-color" style="background-color: ${safeColor}"></div>
-        <span>${safeName}</span>
-      `;
-      this.ruleLegendGrid.appendChild(legendItem);
+    const groups = RuleStorage.groupRules(rules);
+    groups.forEach(group => {
+      if (group.name || groups.length > 1) {
+        const heading = document.createElement('div');
+        heading.className = 'legend-group';
+        heading.textContent = group.name || 'Ungrouped';
+        this.ruleLegendGrid.appendChild(heading);
+      }
+      group.rules.forEach(rule => this.ruleLegendGrid.appendChild(this.createLegendItem(rule)));
     });
   }
 
+  createLegendItem(rule) {
+    const legendItem = document.createElement('div');
+    // Convert rule.id to string for consistent validation
+    const ruleIdStr = String(rule.id);
+    // Validate rule.id: allow numeric IDs (Date.now() generates numbers) and alphanumeric with underscore
+    const safeId = /^[0-9]+$/.test(ruleIdStr) || /^[a-zA-Z0-9_]+$/.test(ruleIdStr)
+      ? ruleIdStr
+      : 'invalid';
+    const safeColor = SecurityUtils.validateHexColor(rule.color);
+    const safeName = SecurityUtils.escapeHtml(rule.name);
+    legendItem.className = `legend-item rule-${safeId}`;
+    legendItem.innerHTML = `
+      <div class="legend-color" style="background-color: ${safeColor}"></div>
+      <span>${safeName}</span>
+    `;
+    return legendItem;
+  }
+
   injectRuleCSS(rules) {
     // Remove old style element if exists
     const oldStyle = document.getElementById('dynamic-rule-styles');
@@ -1108,22 +2470,14 @@ class PopupUI {
     document.head.appendChild(style);
   }
 
-  refreshAllContentScripts() {
-    chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] }, (tabs) => {
-      tabs.forEach(tab => {
-        chrome.tabs.sendMessage(tab.id, { action: 'refreshRules' }).catch(() => {
-          // Silently fail if tab is not responsive
-        });
-      });
-    });
-  }
-
   async loadUsers() {
-    const users = await UserStorage.getMarkedUsers();
+    const users = await UserStorage.getMarkedUsers(this.communityFilter());
+    this.markedUsers = users;
     this.renderAnalyticsUsersList(users);
     this.renderRuleSpecificLists(users);
     this.updateStats(users);
     this.updateAdvancedStats(users);
+    this.updateReputationPreview();
     
     // Also update stats when switching to analytics tab
     if (this.tabContents && this.tabContents.length > 0) {
@@ -1212,12 +2566,77 @@ class PopupUI {
   }
 
   getTotalViolations(userData) {
-    if (userData.rules && typeof userData.rules === 'object') {
-      return Object.values(userData.rules).reduce((sum, ruleData) => {
-        return sum + (ruleData.count || 1);
-      }, 0);
+    // Overturned violations stay in the history but are not counted
+    return this.getUserIncidents(userData).filter(incident => !UserStorage.isOverturned(incident)).length;
+  }
+
+  /**
+   * Count the overturned violations of a rule
+   * @param {Object} ruleData - Violations of one rule
+   * @returns {number} Overturned violations
+   */
+  countOverturned(ruleData) {
+    return (ruleData.incidents || []).filter(incident => UserStorage.isOverturned(incident)).length;
+  }
+
+  /**
+   * User data with only the violations that have neither expired nor been overturned
+   * @param {Object} userData - User data (or null)
+   * @returns {Object} User data with active violations
+   */
+  getActiveUserData(userData) {
+    return userData ? UserStorage.getActiveUser(userData, this.currentRules) : userData;
+  }
+
+  /**
+   * Get all incidents of a user, oldest first
+   * @param {Object} userData - User data
+   * @returns {Array<Object>} Incident records
+   */
+  getUserIncidents(userData) {
+    if (!userData) {
+      return [];
+    }
+    return Object.values(userData.rules)
+      .flatMap(ruleData => ruleData.incidents)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Reputation scoring options from the workspace settings
+   * @param {Object} settings - Settings object
+   * @param {Object} ruleWeights - Optional { [ruleId]: weight|null } overriding the stored rule weights
+   * @returns {Object} { halfLifeDays, recencyDays, cleanDays, bands, ruleWeights }
+   */
+  getReputationConfig(settings, ruleWeights = {}) {
+    return {
+      halfLifeDays: settings.reputationHalfLifeDays,
+      recencyDays: settings.reputationRecencyDays,
+      cleanDays: settings.reputationCleanDays,
+      // Checked top to bottom; the first band the score reaches wins
+      bands: [
+        { label: 'Excellent', min: settings.reputationBandExcellent, color: '#10b981' },
+        { label: 'Good', min: settings.reputationBandGood, color: '#84cc16' },
+        { label: 'Fair', min: settings.reputationBandFair, color: '#fbbf24' },
+        { label: 'Poor', min: settings.reputationBandPoor, color: '#f59e0b' },
+        { label: 'Critical', min: 0, color: '#ef4444' }
+      ],
+      ruleWeights: ruleWeights
+    };
+  }
+
+  /**
+   * Weight of one violation of a rule under a scoring config
+   * @param {string} ruleId - Rule ID
+   * @param {Object} config - Reputation config
+   * @returns {number} Weight
+   */
+  getRuleWeight(ruleId, config) {
+    const rule = this.currentRules?.find(r => r.id === ruleId || r.id === String(ruleId));
+    if (rule && config.ruleWeights[rule.id] !== undefined) {
+      return RuleStorage.getWeight({ ...rule, weight: config.ruleWeights[rule.id] });
     }
-    return userData.count || 1;
+    return RuleStorage.getWeight(rule);
   }
 
   /**
@@ -1226,130 +2645,147 @@ class PopupUI {
    * Higher score = better reputation (fewer violations)
    * 
    * Factors:
-   * - Total violations (negative impact)
+   * - Weighted violations: each counts its rule's weight, halved every half-life (negative impact)
    * - Number of different rules violated (negative impact)
-   * - Time since first violation (positive if long time, negative if recent)
-   * - Time since last violation (positive if long time, negative if recent)
+   * - A violation within the recency window (negative, scaled by its weight)
    * - Violation frequency (negative if frequent)
+   * - No violations for longer than the clean period (positive impact)
+   * 
+   * @param {Object} userData - User data
+   * @param {Object} config - Reputation config (defaults to the saved settings)
+   * @returns {Object} { score, trend, label, color, totalViolations, daysSinceLast, factors }
    */
-  calculateReputationScore(userData) {
-    if (!userData || (!userData.rules && !userData.rule)) {
-      return { score: 100, trend: 'stable', label: 'No violations' };
-    }
-
-    const now = Date.now();
-    let totalViolations = 0;
-    let uniqueRules = 0;
-    let firstViolationTime = now;
-    let lastViolationTime = 0;
-    let violationTimestamps = [];
-
-    // Support both old and new data structure
-    if (userData.rules && typeof userData.rules === 'object') {
-      // New structure: multiple rules
-      Object.values(userData.rules).forEach(ruleData => {
-        const count = ruleData.count || 1;
-        const firstTimestamp = ruleData.firstTimestamp || userData.timestamp;
-        totalViolations += count;
-        uniqueRules++;
-        
-        if (firstTimestamp < firstViolationTime) {
-          firstViolationTime = firstTimestamp;
-        }
-        
-        // Estimate violation timestamps (spread evenly from first to last)
-        const lastTimestamp = userData.timestamp || firstTimestamp;
-        for (let i = 0; i < count; i++) {
-          if (count === 1) {
-            violationTimestamps.push(firstTimestamp);
-          } else {
-            const progress = i / (count - 1);
-            violationTimestamps.push(firstTimestamp + (lastTimestamp - firstTimestamp) * progress);
-          }
-        }
-      });
-      lastViolationTime = userData.timestamp || firstViolationTime;
-    } else if (userData.rule) {
-      // Old structure: single rule
-      totalViolations = userData.count || 1;
-      uniqueRules = 1;
-      firstViolationTime = userData.timestamp || now;
-      lastViolationTime = userData.timestamp || now;
-      for (let i = 0; i < totalViolations; i++) {
-        violationTimestamps.push(firstViolationTime);
-      }
-    }
+  calculateReputationScore(userData, config = this.reputationConfig) {
+    // Expired violations no longer count
+    const incidents = this.getUserIncidents(this.getActiveUserData(userData));
+    const totalViolations = incidents.length;
 
     if (totalViolations === 0) {
-      return { score: 100, trend: 'stable', label: 'No violations' };
+      const label = userData && this.getTotalViolations(userData) > 0 ? 'No active violations' : 'No violations';
+      return { score: 100, trend: 'stable', label: label, color: '#10b981', totalViolations: 0, factors: [] };
     }
 
-    // Calculate time factors (in days)
-    const daysSinceFirst = (now - firstViolationTime) / (1000 * 60 * 60 * 24);
-    const daysSinceLast = (now - lastViolationTime) / (1000 * 60 * 60 * 24);
-    const totalTimeSpan = daysSinceFirst;
+    const now = Date.now();
+    const dayMs = 1000 * 60 * 60 * 24;
+    const ageInDays = incident => Math.max(0, (now - incident.timestamp) / dayMs);
+    const weightOf = incident => this.getRuleWeight(incident.ruleId, config);
+    const decayOf = incident => config.halfLifeDays > 0 ? Math.pow(0.5, ageInDays(incident) / config.halfLifeDays) : 1;
 
-    // Base score starts at 100, deduct points for violations
-    let score = 100;
+    const uniqueRules = new Set(incidents.map(incident => incident.ruleId)).size;
+    const lastIncident = incidents[incidents.length - 1];
+    const daysSinceFirst = ageInDays(incidents[0]);
+    const daysSinceLast = ageInDays(lastIncident);
+    const factors = [];
 
-    // Deduct for total violations (logarithmic scale - diminishing returns)
-    // 1 violation: -5, 2: -10, 5: -20, 10: -30, 20: -40, 50: -50
-    score -= Math.min(50, Math.log(totalViolations + 1) * 15);
+    // Weighted violations (logarithmic scale - diminishing returns)
+    // Weighted 1: -10, 2: -16, 5: -27, 10: -36, 20: -46, 28+: -50
+    const weightedViolations = incidents.reduce((sum, incident) => sum + weightOf(incident) * decayOf(incident), 0);
+    factors.push({
+      label: `${totalViolations} violation(s), weighted ${weightedViolations.toFixed(1)}`,
+      points: -Math.min(50, Math.log(weightedViolations + 1) * 15)
+    });
 
     // Deduct for number of different rules (more variety = worse)
     // 1 rule: 0, 2 rules: -5, 3 rules: -10, 4+ rules: -15
-    score -= Math.min(15, (uniqueRules - 1) * 5);
+    if (uniqueRules > 1) {
+      factors.push({
+        label: `${uniqueRules} different rules broken`,
+        points: -Math.min(15, (uniqueRules - 1) * 5)
+      });
+    }
 
-    // Time-based adjustments
-    // If violations are recent (last 7 days), additional penalty
-    if (daysSinceLast < 7) {
-      score -= (7 - daysSinceLast) * 2; // Up to -14 points
+    // Latest violation inside the recency window, fading out over the window
+    if (daysSinceLast < config.recencyDays) {
+      factors.push({
+        label: `Last violation ${this.formatDays(daysSinceLast)} ago (recency window ${config.recencyDays}d)`,
+        points: -Math.min(20, 14 * (1 - daysSinceLast / config.recencyDays) * weightOf(lastIncident)) // Up to -20 points
+      });
     }
 
     // If violations are frequent (many in short time), additional penalty
-    if (totalTimeSpan > 0 && totalViolations > 1) {
-      const violationsPerDay = totalViolations / Math.max(1, totalTimeSpan);
+    if (daysSinceFirst > 0 && totalViolations > 1) {
+      const weightedTotal = incidents.reduce((sum, incident) => sum + weightOf(incident), 0);
+      const violationsPerDay = weightedTotal / Math.max(1, daysSinceFirst);
       if (violationsPerDay > 1) {
-        score -= Math.min(20, (violationsPerDay - 1) * 10); // Up to -20 points
+        factors.push({
+          label: `${violationsPerDay.toFixed(1)} weighted violations per day`,
+          points: -Math.min(20, (violationsPerDay - 1) * 10) // Up to -20 points
+        });
       }
     }
 
-    // Bonus for time since last violation (if no violations in 30+ days)
-    if (daysSinceLast > 30) {
-      score += Math.min(10, (daysSinceLast - 30) / 10); // Up to +10 points
+    // Bonus for a clean record since the last violation
+    if (daysSinceLast > config.cleanDays) {
+      factors.push({
+        label: `No violations for ${this.formatDays(daysSinceLast)}`,
+        points: Math.min(10, (daysSinceLast - config.cleanDays) / 10) // Up to +10 points
+      });
     }
 
     // Clamp score between 0 and 100
-    score = Math.max(0, Math.min(100, Math.round(score)));
+    const rawScore = factors.reduce((sum, factor) => sum + factor.points, 100);
+    const score = Math.max(0, Math.min(100, Math.round(rawScore)));
 
     // Determine trend (compare recent vs older violations)
     let trend = 'stable';
-    if (violationTimestamps.length >= 2) {
-      const recentViolations = violationTimestamps.filter(ts => (now - ts) < 7 * 24 * 60 * 60 * 1000).length;
-      const olderViolations = violationTimestamps.length - recentViolations;
+    if (totalViolations >= 2) {
+      const recentViolations = incidents.filter(incident => ageInDays(incident) < config.recencyDays).length;
+      const olderViolations = totalViolations - recentViolations;
       
-      if (recentViolations > olderViolations && totalViolations > 1) {
+      if (recentViolations > olderViolations) {
         trend = 'down'; // Getting worse
-      } else if (recentViolations === 0 && daysSinceLast > 14) {
+      } else if (recentViolations === 0 && daysSinceLast > config.recencyDays * 2) {
         trend = 'up'; // Getting better (no recent violations)
       }
     }
 
-    // Determine label
-    let label = '';
-    if (score >= 80) {
-      label = 'Excellent';
-    } else if (score >= 60) {
-      label = 'Good';
-    } else if (score >= 40) {
-      label = 'Fair';
-    } else if (score >= 20) {
-      label = 'Poor';
-    } else {
-      label = 'Critical';
+    const band = config.bands.find(b => score >= b.min) || config.bands[config.bands.length - 1];
+
+    return { score, rawScore, trend, label: band.label, color: band.color, totalViolations, daysSinceLast, factors };
+  }
+
+  /**
+   * Breakdown of the factors behind a reputation score
+   * @param {Object} reputation - Result of calculateReputationScore
+   * @returns {string} HTML
+   */
+  renderReputationFactors(reputation) {
+    if (!reputation.factors || reputation.factors.length === 0) {
+      return '';
     }
 
-    return { score, trend, label, totalViolations, daysSinceLast };
+    const formatPoints = points => `${points >= 0 ? '+' : '\u2212'}${Math.abs(points).toFixed(1)}`;
+    const rows = [{ label: 'Starting score', points: 100, base: true }, ...reputation.factors].map(factor => `
+      <div class="reputation-factor">
+        <span class="reputation-factor-label">${SecurityUtils.escapeHtml(factor.label)}</span>
+        <span class="reputation-factor-points ${factor.base ? '' : (factor.points < 0 ? 'negative' : 'positive')}">${factor.base ? '100' : formatPoints(factor.points)}</span>
+      </div>
+    `).join('');
+
+    // Say so when the total fell outside 0-100
+    const rounded = Math.round(reputation.rawScore);
+    const clampNote = rounded !== reputation.score
+      ? `<div class="reputation-factor-note">Total ${rounded} capped at ${reputation.score}</div>`
+      : '';
+
+    return `<div class="reputation-factors">${rows}${clampNote}</div>`;
+  }
+
+  /**
+   * Format a number of days for the reputation breakdown, e.g. '3 days' or '5 hours'
+   * @param {number} days - Days
+   * @returns {string} Formatted duration
+   */
+  formatDays(days) {
+    if (days < 1 / 24) {
+      return 'under an hour';
+    }
+    if (days < 1) {
+      const hours = Math.floor(days * 24);
+      return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    const wholeDays = Math.floor(days);
+    return `${wholeDays} day${wholeDays === 1 ? '' : 's'}`;
   }
 
   renderRuleSpecificLists(users) {
@@ -1366,26 +2802,16 @@ class PopupUI {
     const sortedUsers = Object.entries(users)
       .sort(([,a], [,b]) => b.timestamp - a.timestamp);
 
-    // Group users by rule (support both old and new data structure)
+    // Group users by rule
     const usersByRule = {};
     
     sortedUsers.forEach(([username, data]) => {
-      if (data.rules && typeof data.rules === 'object') {
-        // New structure: multiple rules
-        Object.keys(data.rules).forEach(ruleId => {
-          if (!usersByRule[ruleId]) {
-            usersByRule[ruleId] = [];
-          }
-          usersByRule[ruleId].push([username, data]);
-        });
-      } else if (data.rule) {
-        // Old structure: single rule
-        const ruleId = data.rule.toString();
+      Object.keys(data.rules).forEach(ruleId => {
         if (!usersByRule[ruleId]) {
           usersByRule[ruleId] = [];
         }
         usersByRule[ruleId].push([username, data]);
-      }
+      });
     });
 
     // Render each rule's users
@@ -1415,13 +2841,14 @@ class PopupUI {
   updateRuleFilters(rules) {
     if (!this.ruleTabsNavigation) return;
     
-    // Remove all existing rule buttons except "all"
+    // Remove all existing rule buttons except "all", and the group labels
     const allRuleBtns = this.ruleTabsNavigation.querySelectorAll('.rule-tab-btn');
     allRuleBtns.forEach(btn => {
       if (btn.dataset.rule !== 'all') {
         btn.remove();
       }
     });
+    this.ruleTabsNavigation.querySelectorAll('.rule-tab-group').forEach(label => label.remove());
     
     // Remove all existing rule content divs except "all"
     const allRuleContents = document.querySelectorAll('.rule-tab-content');
@@ -1431,8 +2858,21 @@ class PopupUI {
       }
     });
     
-    // Create buttons and content divs for each rule
+    // Create buttons and content divs for each rule, in rule order after "all"
+    let previousTab = this.ruleTabsNavigation.querySelector('.rule-tab-btn[data-rule="all"]');
+    let previousContent = document.getElementById('rule-tab-all');
+    let currentGroup = '';
     rules.forEach(rule => {
+      // Label the tabs of each group
+      if ((rule.group || '') !== currentGroup && previousTab) {
+        const label = document.createElement('span');
+        label.className = 'rule-tab-group';
+        label.textContent = rule.group || 'Ungrouped';
+        previousTab.parentNode.insertBefore(label, previousTab.nextSibling);
+        previousTab = label;
+      }
+      currentGroup = rule.group || '';
+      
       const safeRuleName = SecurityUtils.escapeHtml(rule.name);
       const safeRuleId = SecurityUtils.escapeHtml(rule.id);
       const safeColor = SecurityUtils.validateHexColor(rule.color);
@@ -1448,10 +2888,9 @@ class PopupUI {
         ${safeRuleName}
       `;
       
-      // Insert after "all" button
-      const allBtn = this.ruleTabsNavigation.querySelector('.rule-tab-btn[data-rule="all"]');
-      if (allBtn) {
-        allBtn.parentNode.insertBefore(btn, allBtn.nextSibling);
+      if (previousTab) {
+        previousTab.parentNode.insertBefore(btn, previousTab.nextSibling);
+        previousTab = btn;
       }
       
       // Create content div
@@ -1466,10 +2905,9 @@ class PopupUI {
         </div>
       `;
       
-      // Insert after "all" content div
-      const allContent = document.getElementById('rule-tab-all');
-      if (allContent && allContent.parentNode) {
-        allContent.parentNode.insertBefore(contentDiv, allContent.nextSibling);
+      if (previousContent && previousContent.parentNode) {
+        previousContent.parentNode.insertBefore(contentDiv, previousContent.nextSibling);
+        previousContent = contentDiv;
       }
     });
     
@@ -1541,37 +2979,28 @@ class PopupUI {
     const div = document.createElement('div');
     div.className = 'analytics-user-item slide-in';
     
-    // Support both old and new data structure
     let rulesList = [];
     let totalViolations = 0;
-    
-    if (data.rules && typeof data.rules === 'object') {
-      // New structure: multiple rules
-      Object.keys(data.rules).forEach(ruleId => {
-        const ruleData = data.rules[ruleId];
-        const rule = this.currentRules?.find(r => r.id === ruleId || r.id === ruleId.toString());
-        if (rule) {
-          rulesList.push({
-            name: rule.name,
-            color: rule.color,
-            ruleId: ruleId,
-            count: ruleData.count || 1
-          });
-          totalViolations += ruleData.count || 1;
-        }
-      });
-    } else if (data.rule) {
-      // Old structure: single rule
-      const ruleId = data.rule.toString();
-      const rule = this.currentRules?.find(r => r.id === ruleId || r.id === ruleId.toString());
-      rulesList.push({
-        name: rule ? rule.name : this.getRuleText(data.rule),
-        color: rule ? rule.color : '#cccccc',
-        ruleId: ruleId,
-        count: data.count || 1
-      });
-      totalViolations = data.count || 1;
-    }
+    const active = this.getActiveUserData(data);
+    
+    Object.keys(data.rules).forEach(ruleId => {
+      const ruleData = data.rules[ruleId];
+      const rule = this.currentRules?.find(r => r.id === ruleId);
+      if (rule) {
+        // Counts are active violations; expired and overturned ones are only listed
+        const count = active.rules[ruleId] ? active.rules[ruleId].count : 0;
+        const overturned = this.countOverturned(ruleData);
+        rulesList.push({
+          name: rule.name,
+          color: rule.color,
+          ruleId: ruleId,
+          count: count,
+          expired: ruleData.count - overturned - count,
+          overturned: overturned
+        });
+        totalViolations += count;
+      }
+    });
     
     // Build rules display HTML with rule colors
     let rulesHTML = '';
@@ -1591,7 +3020,15 @@ class PopupUI {
         const safeRuleName = SecurityUtils.escapeHtml(r.name);
         const safeColor = SecurityUtils.validateHexColor(r.color);
         const safeCount = SecurityUtils.escapeHtml(r.count.toString());
-        return `<span style="color: ${safeColor};">${safeRuleName} (${safeCount}x)</span>`;
+        const inactive = [
+          r.expired > 0 ? `${r.expired} expired` : '',
+          r.overturned > 0 ? `${r.overturned} overturned` : ''
+        ].filter(Boolean).join(', ');
+        if (r.count === 0) {
+          return `<span class="violation-expired" style="color: ${safeColor};">${safeRuleName} (${inactive})</span>`;
+        }
+        const expired = inactive ? ` <span class="violation-expired">+${inactive}</span>` : '';
+        return `<span style="color: ${safeColor};">${safeRuleName} (${safeCount}x${expired})</span>`;
       }).join(', ');
     } else {
       rulesHTML = 'No violations';
@@ -1608,18 +3045,6 @@ class PopupUI {
     const safeTotalViolations = SecurityUtils.escapeHtml(totalViolations.toString());
     const safeDominantColor = SecurityUtils.validateHexColor(dominantRuleColor);
     
-    // Reputation score color based on score
-    let reputationColor = '#10b981'; // Green (good)
-    if (reputation.score < 20) {
-      reputationColor = '#ef4444'; // Red (critical)
-    } else if (reputation.score < 40) {
-      reputationColor = '#f59e0b'; // Orange (poor)
-    } else if (reputation.score < 60) {
-      reputationColor = '#fbbf24'; // Yellow (fair)
-    } else if (reputation.score < 80) {
-      reputationColor = '#84cc16'; // Light green (good)
-    }
-    
     // Trend indicator
     let trendIcon = '';
     if (reputation.trend === 'up') {
@@ -1630,7 +3055,7 @@ class PopupUI {
     
     const safeReputationScore = SecurityUtils.escapeHtml(reputation.score.toString());
     const safeReputationLabel = SecurityUtils.escapeHtml(reputation.label);
-    const safeReputationColor = SecurityUtils.validateHexColor(reputationColor);
+    const safeReputationColor = SecurityUtils.validateHexColor(reputation.color);
     
     // Check if user has a note
     const hasNote = data.note && data.note.trim().length > 0;
@@ -1688,24 +3113,15 @@ class PopupUI {
     if (!username) return;
     
     try {
-      await UserStorage.removeUser(username);
+      const { historyId } = await StorageBridge.mutate('UserStorage', 'removeUser', [username, this.communityFilter()]);
       await this.loadUsers();
       await this.loadAnalyticsData();
-      this.showNotification(`@${username} has been removed!`, 'success');
+      this.showUndoableNotification(`@${username} moved to trash!`, historyId);
       
       // Close user details panel if open
       if (this.floatingPanelUsername && this.floatingPanelUsername.textContent === `@${username}`) {
         this.floatingPanel.style.display = 'none';
       }
-      
-      // Refresh content script in all X.com/Twitter tabs immediately
-      chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] }, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, { action: 'refreshUsers' }).catch(() => {
-            // Silently fail if tab is not responsive
-          });
-        });
-      });
     } catch (error) {
       this.showNotification('Error removing user!', 'error');
     }
@@ -1714,38 +3130,37 @@ class PopupUI {
   showUserDetails(username, data) {
     this.floatingPanelUsername.textContent = `@${username}`;
     
-    // Support both old and new data structure
     let rulesList = [];
     let totalViolations = 0;
-    
-    if (data.rules && typeof data.rules === 'object') {
-      // New structure: multiple rules
-      Object.keys(data.rules).forEach(ruleId => {
-        const ruleData = data.rules[ruleId];
-        const rule = this.currentRules?.find(r => r.id === ruleId || r.id === ruleId.toString());
-        if (rule) {
-          rulesList.push({
-            ruleId: ruleId,
-            name: rule.name,
-            count: ruleData.count || 1,
-            firstTimestamp: ruleData.firstTimestamp || data.timestamp,
-            color: rule.color
-          });
-          totalViolations += ruleData.count || 1;
-        }
-      });
-    } else if (data.rule) {
-      // Old structure: single rule
-      const rule = this.currentRules?.find(r => r.id === data.rule || r.id === data.rule.toString());
-      rulesList.push({
-        ruleId: data.rule,
-        name: this.getRuleText(data.rule),
-        count: data.count || 1,
-        firstTimestamp: data.timestamp,
-        color: rule?.color || '#cccccc'
-      });
-      totalViolations = data.count || 1;
-    }
+    let expiredViolations = 0;
+    let overturnedViolations = 0;
+    const active = this.getActiveUserData(data);
+    
+    Object.keys(data.rules).forEach(ruleId => {
+      const ruleData = data.rules[ruleId];
+      const rule = this.currentRules?.find(r => r.id === ruleId);
+      if (rule) {
+        const count = active.rules[ruleId] ? active.rules[ruleId].count : 0;
+        const overturned = this.countOverturned(ruleData);
+        rulesList.push({
+          ruleId: ruleId,
+          name: rule.name,
+          count: count,
+          expired: ruleData.count - overturned - count,
+          overturned: overturned,
+          expiryDays: rule.expiryDays,
+          incidents: ruleData.incidents,
+          activeIds: new Set(active.rules[ruleId] ? active.rules[ruleId].incidents.map(incident => incident.id) : []),
+          // Dates of the violations that count; a fully expired rule shows its expired ones
+          firstTimestamp: (active.rules[ruleId] || ruleData).firstTimestamp,
+          lastTimestamp: (active.rules[ruleId] || ruleData).lastTimestamp,
+          color: rule.color
+        });
+        totalViolations += count;
+        expiredViolations += ruleData.count - overturned - count;
+        overturnedViolations += overturned;
+      }
+    });
     
     // Build rules HTML (escape all user input)
     let rulesHTML = '';
@@ -1755,21 +3170,36 @@ class PopupUI {
         const safeColor = SecurityUtils.validateHexColor(ruleInfo.color);
         const safeCount = SecurityUtils.escapeHtml(ruleInfo.count.toString());
         const safeDate = SecurityUtils.escapeHtml(new Date(ruleInfo.firstTimestamp).toLocaleString('en-US'));
+        const safeLastDate = SecurityUtils.escapeHtml(new Date(ruleInfo.lastTimestamp).toLocaleString('en-US'));
         const safeRuleId = SecurityUtils.escapeHtml(ruleInfo.ruleId);
+        const allExpired = ruleInfo.count === 0;
         rulesHTML += `
-          <div class="violation-card" style="background: rgba(255, 255, 255, 0.03); border: 1px solid rgba(255, 255, 255, 0.08); border-left: 3px solid ${safeColor}; border-radius: 8px; padding: 12px; margin-bottom: ${index < rulesList.length - 1 ? '12px' : '0'};">
+          <div class="violation-card${allExpired ? ' violation-expired' : ''}" style="background: rgba(255, 255, 255, 0.03); border: 1px solid rgba(255, 255, 255, 0.08); border-left: 3px solid ${safeColor}; border-radius: 8px; padding: 12px; margin-bottom: ${index < rulesList.length - 1 ? '12px' : '0'};">
             <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px;">
               <div style="flex: 1;">
                 <div style="font-size: 11px; font-weight: 600; color: #ffffff; margin-bottom: 6px;">
                   ${safeRuleName}
                 </div>
                 <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap;">
+                  ${allExpired ? '' : `
                   <span class="rule-label" style="background-color: ${safeColor}; color: white; padding: 4px 8px; border-radius: 6px; font-size: 10px; font-weight: 600;">
                     ${safeCount}x violation${ruleInfo.count > 1 ? 's' : ''}
-                  </span>
+                  </span>`}
+                  ${ruleInfo.expired > 0 ? `
+                  <span class="violation-expired" style="font-size: 10px; color: rgba(255, 255, 255, 0.6);" title="Older than ${ruleInfo.expiryDays} days, no longer counted">
+                    ${ruleInfo.expired} expired
+                  </span>` : ''}
+                  ${ruleInfo.overturned > 0 ? `
+                  <span class="violation-expired" style="font-size: 10px; color: rgba(255, 255, 255, 0.6);" title="Overturned on appeal, no longer counted">
+                    ${ruleInfo.overturned} overturned
+                  </span>` : ''}
                   <span style="font-size: 10px; color: rgba(255, 255, 255, 0.6);">
                     First: ${safeDate}
                   </span>
+                  ${ruleInfo.count + ruleInfo.expired + ruleInfo.overturned > 1 ? `
+                  <span style="font-size: 10px; color: rgba(255, 255, 255, 0.6);">
+                    Last: ${safeLastDate}
+                  </span>` : ''}
                 </div>
               </div>
               <button class="remove-violation-btn" data-rule-id="${safeRuleId}" style="background: rgba(239, 68, 68, 0.1); border: 1px solid rgba(239, 68, 68, 0.3); color: #ef4444; padding: 6px 10px; border-radius: 6px; cursor: pointer; font-size: 10px; white-space: nowrap; transition: all 0.2s; flex-shrink: 0; display: flex; align-items: center; justify-content: center; gap: 4px; align-self: center; height: fit-content;" title="Remove one violation">
@@ -1781,6 +3211,9 @@ class PopupUI {
                 Remove
               </button>
             </div>
+            <div class="violation-actions">
+              ${ruleInfo.incidents.slice().reverse().map(incident => this.renderViolationRow(incident, !allExpired && !ruleInfo.activeIds.has(incident.id))).join('')}
+            </div>
           </div>
         `;
       });
@@ -1790,18 +3223,7 @@ class PopupUI {
     
     // Calculate reputation score
     const reputation = this.calculateReputationScore(data);
-    
-    // Reputation score color based on score
-    let reputationColor = '#10b981'; // Green (good)
-    if (reputation.score < 20) {
-      reputationColor = '#ef4444'; // Red (critical)
-    } else if (reputation.score < 40) {
-      reputationColor = '#f59e0b'; // Orange (poor)
-    } else if (reputation.score < 60) {
-      reputationColor = '#fbbf24'; // Yellow (fair)
-    } else if (reputation.score < 80) {
-      reputationColor = '#84cc16'; // Light green (good)
-    }
+    const escalation = EscalationPolicy.evaluate(active, this.currentRules, this.escalationLadder);
     
     // Trend indicator
     let trendText = '';
@@ -1815,13 +3237,30 @@ class PopupUI {
     const safeTotalViolations = SecurityUtils.escapeHtml(totalViolations.toString());
     const safeReputationScore = SecurityUtils.escapeHtml(reputation.score.toString());
     const safeReputationLabel = SecurityUtils.escapeHtml(reputation.label);
-    const safeReputationColor = SecurityUtils.validateHexColor(reputationColor);
+    const safeReputationColor = SecurityUtils.validateHexColor(reputation.color);
     const safeTrendText = SecurityUtils.escapeHtml(trendText);
+    const factorsHTML = this.renderReputationFactors(reputation);
     
     // Get user note
     const userNote = data.note || '';
     const safeNote = SecurityUtils.escapeHtml(userNote);
     
+    // Account ID and previous handles (known once the account was seen on X.com)
+    const safeAliases = (data.aliases || []).map(alias => `@${SecurityUtils.escapeHtml(alias)}`).join(', ');
+    const accountHTML = data.userId ? `
+        <div class="user-detail-section">
+          <div class="user-detail-item">
+            <label>X Account ID:</label>
+            <span style="font-size: 12px; color: rgba(255, 255, 255, 0.8); font-family: monospace;">${SecurityUtils.escapeHtml(data.userId)}</span>
+          </div>
+          ${safeAliases ? `
+          <div class="user-detail-item">
+            <label>Previously known as:</label>
+            <span style="font-size: 12px; color: rgba(255, 255, 255, 0.8);">${safeAliases}</span>
+          </div>` : ''}
+        </div>
+    ` : '';
+    
     this.floatingUserContent.innerHTML = `
       <div class="user-details-content">
         <div class="user-detail-section">
@@ -1833,21 +3272,40 @@ class PopupUI {
               </span>
               <span style="font-size: 14px; color: rgba(255, 255, 255, 0.8); font-weight: 500;">${safeReputationLabel}${safeTrendText}</span>
             </div>
+            ${factorsHTML}
           </div>
         </div>
         
         <div class="user-detail-section">
           <div class="user-detail-item">
-            <label>Total Violations:</label>
+            <label>Active Violations:</label>
             <span style="font-size: 18px; font-weight: 600; color: #ffffff;">${safeTotalViolations}</span>
+            ${expiredViolations > 0 ? `<span class="violation-expired" style="font-size: 12px; color: rgba(255, 255, 255, 0.6);">+${expiredViolations} expired</span>` : ''}
+            ${overturnedViolations > 0 ? `<span class="violation-expired" style="font-size: 12px; color: rgba(255, 255, 255, 0.6);">+${overturnedViolations} overturned</span>` : ''}
+          </div>
+        </div>
+        
+        <div class="user-detail-section">
+          <div class="user-detail-item">
+            <label>Escalation:</label>
+            <div class="escalation-status">
+              <div class="escalation-status-current${escalation.current ? ` escalation-${SecurityUtils.escapeHtml(escalation.current.action)}` : ''}">${SecurityUtils.escapeHtml(EscalationPolicy.describeStep(escalation.current))}</div>
+              <div class="escalation-status-next">Next: ${SecurityUtils.escapeHtml(EscalationPolicy.describeNext(escalation.next))}</div>
+            </div>
           </div>
         </div>
+        ${accountHTML}
         
         <div class="user-detail-section" style="margin-top: 4px;">
           <label style="font-size: 9px; color: rgba(255, 255, 255, 0.7); font-weight: 500; text-transform: uppercase; letter-spacing: 0.3px; margin-bottom: 10px; display: block;">Violations:</label>
           ${rulesHTML}
         </div>
         
+        <div class="user-detail-section evidence-gallery-section" id="evidenceGallerySection" hidden>
+          <label style="font-size: 9px; color: rgba(255, 255, 255, 0.7); font-weight: 500; text-transform: uppercase; letter-spacing: 0.3px; margin-bottom: 10px; display: block;">Evidence Gallery:</label>
+          <div id="evidenceGallery" class="evidence-gallery"></div>
+        </div>
+        
         <div class="user-detail-section" style="margin-top: 16px;">
           <div class="user-detail-item">
             <label>Notes:</label>
@@ -1866,6 +3324,9 @@ class PopupUI {
       });
     }
     
+    this.bindViolationRows(username);
+    this.loadEvidenceGallery(username, rulesList);
+    
     // Add remove violation button handlers
     const removeViolationBtns = this.floatingUserContent.querySelectorAll('.remove-violation-btn');
     removeViolationBtns.forEach(btn => {
@@ -1873,30 +3334,25 @@ class PopupUI {
         e.stopPropagation();
         const ruleId = btn.getAttribute('data-rule-id');
         if (ruleId && confirm(`Remove one violation for "${rulesList.find(r => r.ruleId === ruleId)?.name || 'this rule'}"?`)) {
-          await this.removeViolation(username, ruleId);
+          let historyId;
+          try {
+            historyId = await this.removeViolation(username, ruleId);
+          } catch (error) {
+            this.showNotification(`Error removing violation: ${error.message}`, 'error');
+            return;
+          }
           // Reload user data and refresh display
           await this.loadUsers();
           await this.loadAnalyticsData();
           // Re-show user details with updated data
-          const updatedUsers = await UserStorage.getMarkedUsers();
-          const updatedData = updatedUsers[username.toLowerCase()];
+          const updatedData = await UserStorage.getUser(username, this.communityFilter());
           if (updatedData) {
             this.showUserDetails(username, updatedData);
           } else {
             // User was completely removed, close panel
             this.floatingPanel.style.display = 'none';
           }
-          this.showNotification('Violation removed successfully!', 'success');
-          
-          // Refresh content script
-          try {
-            const tabs = await chrome.tabs.query({ url: ['*://x.com/*', '*://twitter.com/*'] });
-            tabs.forEach(tab => {
-              chrome.tabs.sendMessage(tab.id, { action: 'refreshUsers' }).catch(() => {});
-            });
-          } catch (error) {
-            // Ignore errors
-          }
+          this.showUndoableNotification('Violation moved to trash!', historyId);
         }
       });
       
@@ -1914,18 +3370,285 @@ class PopupUI {
     this.floatingPanel.style.display = 'block';
   }
 
+  /**
+   * Render the status and action editor of one violation in the user details panel
+   * @param {Object} incident - Incident record
+   * @param {boolean} inactive - Whether to grey out the violation as no longer counting
+   * @returns {string} HTML
+   */
+  renderViolationRow(incident, inactive) {
+    const safeIncidentId = SecurityUtils.escapeHtml(incident.id);
+    const status = UserStorage.getStatus(incident);
+    let rowClass = '';
+    if (status === 'overturned') {
+      rowClass = ' violation-overturned';
+    } else if (inactive) {
+      rowClass = ' violation-expired';
+    }
+    const timed = UserStorage.TIMED_ACTIONS.includes(incident.action);
+    const durations = UserStorage.ACTION_DURATIONS.includes(incident.actionDuration)
+      ? UserStorage.ACTION_DURATIONS
+      : [...UserStorage.ACTION_DURATIONS, incident.actionDuration].filter(Boolean).sort((a, b) => a - b);
+    return `
+      <div class="violation-action-row${rowClass}" data-incident-id="${safeIncidentId}" data-status="${status}">
+        <span class="violation-action-date">${SecurityUtils.escapeHtml(new Date(incident.timestamp).toLocaleString('en-US'))}</span>
+        <select class="violation-status-select" title="Appeal status">
+          ${Object.entries(UserStorage.VIOLATION_STATUSES).map(([value, label]) => `
+            <option value="${value}" ${status === value ? 'selected' : ''}>${SecurityUtils.escapeHtml(label)}</option>
+          `).join('')}
+        </select>
+        <select class="violation-action-select" title="Action taken">
+          <option value="">No action taken</option>
+          ${Object.entries(UserStorage.ENFORCEMENT_ACTIONS).map(([action, label]) => `
+            <option value="${action}" ${incident.action === action ? 'selected' : ''}>${SecurityUtils.escapeHtml(label)}</option>
+          `).join('')}
+        </select>
+        <select class="violation-duration-select" title="Duration" ${timed ? '' : 'hidden'}>
+          <option value="">No duration</option>
+          ${durations.map(hours => `
+            <option value="${hours}" ${incident.actionDuration === hours ? 'selected' : ''}>${UserStorage.formatDuration(hours)}</option>
+          `).join('')}
+        </select>
+        ${incident.statusDate ? `
+        <div class="violation-status-note">
+          ${SecurityUtils.escapeHtml(UserStorage.describeStatus(incident))} · ${SecurityUtils.escapeHtml(new Date(incident.statusDate).toLocaleDateString('en-US'))}
+        </div>` : ''}
+        ${this.renderEvidence(incident)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the tweet evidence kept with a violation, linking back to X.com
+   * @param {Object} incident - Incident record
+   * @returns {string} HTML (empty without evidence)
+   */
+  renderEvidence(incident) {
+    const evidence = incident.evidence || {};
+    let permalink = null;
+    if (incident.tweetUrl && UserStorage.isEvidenceUrl(incident.tweetUrl)) {
+      permalink = incident.tweetUrl;
+    } else if (evidence.statusId) {
+      permalink = `https://x.com/i/status/${encodeURIComponent(evidence.statusId)}`;
+    }
+    const media = (evidence.media || []).filter(url => UserStorage.isEvidenceUrl(url));
+    if (!permalink && !evidence.text && media.length === 0) {
+      return '';
+    }
+
+    const meta = [
+      permalink ? `<a href="${SecurityUtils.escapeHtml(permalink)}" target="_blank" rel="noopener noreferrer">View tweet</a>` : '',
+      evidence.statusId ? `ID ${SecurityUtils.escapeHtml(evidence.statusId)}` : '',
+      evidence.postedAt ? `Posted ${SecurityUtils.escapeHtml(new Date(evidence.postedAt).toLocaleString('en-US'))}` : '',
+      evidence.capturedAt ? `Captured ${SecurityUtils.escapeHtml(new Date(evidence.capturedAt).toLocaleString('en-US'))}` : ''
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <div class="violation-evidence">
+        <div class="violation-evidence-meta">${meta}</div>
+        ${evidence.text ? `<div class="violation-evidence-text">${SecurityUtils.escapeHtml(evidence.text)}</div>` : ''}
+        ${media.length > 0 ? `
+        <div class="violation-evidence-media">
+          ${media.map((url, index) => `<a href="${SecurityUtils.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">Media ${index + 1}</a>`).join('')}
+        </div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Show the screenshots taken of the listed violations in the details panel
+   * @param {string} username - Username
+   * @param {Array<Object>} rulesList - Violations by rule ({ name, incidents }) as shown in the panel
+   */
+  async loadEvidenceGallery(username, rulesList) {
+    const section = document.getElementById('evidenceGallerySection');
+    const gallery = document.getElementById('evidenceGallery');
+    if (!section || !gallery) return;
+
+    const ruleNames = new Map();
+    rulesList.forEach(ruleInfo => {
+      ruleInfo.incidents.forEach(incident => ruleNames.set(incident.id, ruleInfo.name));
+    });
+    const screenshots = (await ScreenshotStorage.getScreenshots(Array.from(ruleNames.keys())))
+      .filter(screenshot => ScreenshotStorage.isValidImage(screenshot.image));
+    // The panel may have been re-rendered for another user in the meantime
+    if (!gallery.isConnected || screenshots.length === 0) return;
+
+    gallery.innerHTML = screenshots.map(screenshot => `
+      <div class="evidence-shot" data-screenshot-id="${SecurityUtils.escapeHtml(screenshot.id)}">
+        <img class="evidence-shot-thumb" src="${SecurityUtils.escapeHtml(screenshot.image)}" alt="Screenshot of a tweet by @${SecurityUtils.escapeHtml(username)}" title="View full size">
+        <div class="evidence-shot-caption">
+          ${SecurityUtils.escapeHtml(ruleNames.get(screenshot.incidentId))} · ${SecurityUtils.escapeHtml(new Date(screenshot.capturedAt).toLocaleString('en-US'))}
+        </div>
+        <div class="evidence-shot-actions">
+          <button class="evidence-shot-view">View</button>
+          <button class="evidence-shot-download">Download</button>
+        </div>
+      </div>
+    `).join('');
+    section.hidden = false;
+
+    gallery.querySelectorAll('.evidence-shot').forEach(element => {
+      const screenshot = screenshots.find(item => item.id === element.dataset.screenshotId);
+      const caption = `@${username} · ${ruleNames.get(screenshot.incidentId)} · ${new Date(screenshot.capturedAt).toLocaleString('en-US')}`;
+      element.querySelector('.evidence-shot-thumb').addEventListener('click', () => this.showScreenshot(screenshot, caption, username));
+      element.querySelector('.evidence-shot-view').addEventListener('click', () => this.showScreenshot(screenshot, caption, username));
+      element.querySelector('.evidence-shot-download').addEventListener('click', () => this.downloadScreenshot(screenshot, username));
+    });
+  }
+
+  /**
+   * Show a screenshot at full size
+   * @param {Object} screenshot - Screenshot record
+   * @param {string} caption - Text shown below the image
+   * @param {string} username - Username (for the download file name)
+   */
+  showScreenshot(screenshot, caption, username) {
+    const overlay = document.createElement('div');
+    overlay.className = 'screenshot-modal-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.85);
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 10px;
+      padding: 16px;
+      z-index: 10000;
+    `;
+
+    overlay.innerHTML = `
+      <img src="${SecurityUtils.escapeHtml(screenshot.image)}" alt="Screenshot of a tweet by @${SecurityUtils.escapeHtml(username)}" style="max-width: 100%; max-height: calc(100% - 70px); object-fit: contain; border-radius: 8px; border: 1px solid rgba(255, 255, 255, 0.12);">
+      <div style="color: rgba(255, 255, 255, 0.7); font-size: 11px; text-align: center;">${SecurityUtils.escapeHtml(caption)} · ${screenshot.width}×${screenshot.height}</div>
+      <div style="display: flex; gap: 10px;">
+        <button id="downloadScreenshot" style="padding: 8px 16px; background: #009eff; border: none; border-radius: 8px; color: #ffffff; cursor: pointer; font-size: 14px; font-weight: 500;">Download</button>
+        <button id="closeScreenshot" style="padding: 8px 16px; background: rgba(255, 255, 255, 0.1); border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 8px; color: #E0E0E0; cursor: pointer; font-size: 14px;">Close</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const close = () => {
+      document.removeEventListener('keydown', onKeydown);
+      overlay.remove();
+    };
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') {
+        close();
+      }
+    };
+    document.addEventListener('keydown', onKeydown);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        close();
+      }
+    });
+    overlay.querySelector('#closeScreenshot').addEventListener('click', close);
+    overlay.querySelector('#downloadScreenshot').addEventListener('click', () => this.downloadScreenshot(screenshot, username));
+  }
+
+  /**
+   * Save a screenshot as an image file
+   * @param {Object} screenshot - Screenshot record
+   * @param {string} username - Username
+   */
+  async downloadScreenshot(screenshot, username) {
+    try {
+      const blob = await (await fetch(screenshot.image)).blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      const timestamp = new Date(screenshot.capturedAt).toISOString().replace(/[:.]/g, '-').split('-').slice(0, 5).join('-');
+      a.download = `x-flagr-${username}-${timestamp}.${blob.type === 'image/png' ? 'png' : 'jpg'}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      this.showNotification('Error downloading screenshot!', 'error');
+    }
+  }
+
+  /**
+   * Save the status or action of a violation as soon as it is changed in the details panel
+   * @param {string} username - Username
+   */
+  bindViolationRows(username) {
+    this.floatingUserContent.querySelectorAll('.violation-action-row').forEach(row => {
+      const statusSelect = row.querySelector('.violation-status-select');
+      statusSelect.addEventListener('change', async () => {
+        if (!await this.updateViolationStatus(username, row.dataset.incidentId, statusSelect.value)) {
+          statusSelect.value = row.dataset.status;
+        }
+      });
+
+      const actionSelect = row.querySelector('.violation-action-select');
+      const durationSelect = row.querySelector('.violation-duration-select');
+      const save = async () => {
+        durationSelect.hidden = !UserStorage.TIMED_ACTIONS.includes(actionSelect.value);
+        if (durationSelect.hidden) {
+          durationSelect.value = '';
+        }
+        try {
+          const { historyId } = await StorageBridge.mutate('UserStorage', 'updateAction', [
+            username,
+            row.dataset.incidentId,
+            actionSelect.value || null,
+            durationSelect.value ? parseInt(durationSelect.value, 10) : null
+          ]);
+          this.showUndoableNotification('Action saved!', historyId);
+        } catch (error) {
+          this.showNotification(`Error saving action: ${error.message}`, 'error');
+        }
+      };
+      actionSelect.addEventListener('change', save);
+      durationSelect.addEventListener('change', save);
+    });
+  }
+
+  /**
+   * Change the appeal status of a violation after asking for a reason
+   * @param {string} username - Username
+   * @param {string} incidentId - Incident ID
+   * @param {string} status - Key of UserStorage.VIOLATION_STATUSES
+   * @returns {Promise<boolean>} True if the status was saved
+   */
+  async updateViolationStatus(username, incidentId, status) {
+    const reason = prompt(`Reason for "${UserStorage.VIOLATION_STATUSES[status]}" (optional):`, '');
+    if (reason === null) {
+      return false;
+    }
+
+    try {
+      const { historyId } = await StorageBridge.mutate('UserStorage', 'updateStatus', [username, incidentId, status, reason]);
+      // Overturning changes counts, labels and reputation everywhere
+      await this.loadUsers();
+      await this.loadAnalyticsData();
+      if (this.floatingPanel.style.display === 'block' && this.floatingPanelUsername.textContent === `@${username}`) {
+        const updatedData = await UserStorage.getUser(username, this.communityFilter());
+        if (updatedData) {
+          this.showUserDetails(username, updatedData);
+        }
+      }
+      this.showUndoableNotification(`Violation set to ${UserStorage.VIOLATION_STATUSES[status].toLowerCase()}!`, historyId);
+      return true;
+    } catch (error) {
+      this.showNotification(`Error saving status: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
   async saveUserNote(username) {
     const noteInput = document.getElementById('userNoteInput');
     if (!noteInput) return;
     
     const note = noteInput.value.trim();
     try {
-      const users = await UserStorage.getMarkedUsers();
-      const usernameLower = username.toLowerCase();
-      
-      if (users[usernameLower]) {
-        users[usernameLower].note = note;
-        await UserStorage.saveMarkedUsers(users);
+      if (await UserStorage.updateNote(username, note)) {
         this.showNotification('Note saved successfully!', 'success');
       }
     } catch (error) {
@@ -1933,12 +3656,18 @@ class PopupUI {
     }
   }
 
+  /**
+   * Move the most recent violation of a rule visible in the current community to the trash
+   * @param {string} username - Username
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<string|null>} History entry of the removal
+   */
   async removeViolation(username, ruleId) {
-    try {
-      await UserStorage.removeViolation(username, ruleId);
-    } catch (error) {
-      throw error;
-    }
+    const userData = await UserStorage.getUser(username, this.communityFilter());
+    const incidents = userData && userData.rules[ruleId] ? userData.rules[ruleId].incidents : [];
+    const latest = incidents.reduce((last, incident) => (!last || incident.timestamp >= last.timestamp ? incident : last), null);
+    const { historyId } = await StorageBridge.mutate('UserStorage', 'removeViolation', [username, ruleId, latest ? latest.id : null]);
+    return historyId;
   }
 
   hideFloatingPanel() {
@@ -1964,12 +3693,16 @@ class PopupUI {
     // Load analytics data when switching to analytics tab
     if (tabName === 'analytics') {
       this.loadAnalyticsData();
+    } else if (tabName === 'trash') {
+      this.loadTrash();
+    } else if (tabName === 'audit') {
+      this.loadAudit();
     }
   }
 
   async loadAnalyticsData() {
-    const users = await UserStorage.getMarkedUsers();
-    const rules = await RuleStorage.getRules();
+    const users = await UserStorage.getMarkedUsers(this.communityFilter());
+    const rules = await RuleStorage.getRules(this.communityFilter());
     this.currentRules = rules;
     
     // Get current search and sort values
@@ -1980,6 +3713,7 @@ class PopupUI {
     this.renderRuleSpecificLists(users);
     this.updateStats(users);
     this.updateAdvancedStats(users);
+    this.loadAppeals();
     
     // Force update of rule statistics
     setTimeout(() => {
@@ -2000,7 +3734,7 @@ class PopupUI {
     }
     
     // Refresh advanced stats
-    UserStorage.getMarkedUsers().then(users => {
+    UserStorage.getMarkedUsers(this.communityFilter()).then(users => {
       this.updateAdvancedStats(users);
     });
   }
@@ -2022,29 +3756,33 @@ class PopupUI {
     }
   }
 
-  updateAdvancedStats(users) {
+  async updateAdvancedStats(users) {
     if (!users || typeof users !== 'object') {
       users = {};
     }
     
     // Calculate time-based data
-    const timeData = this.calculateTimeData(users);
+    const timeData = await this.calculateTimeData();
     this.renderViolationsChart(timeData);
     
     // Calculate top violations
     const topViolations = this.calculateTopViolations(users);
     this.renderTopViolations(topViolations);
     
+    // Calculate actions taken
+    const actionsTaken = this.calculateActionsTaken(users);
+    this.renderActionsTaken(actionsTaken);
+    
     // Calculate trends
-    const trends = this.calculateTrends(users);
+    const trends = await this.calculateTrends();
     this.renderTrends(trends);
     
     // Calculate week comparison
-    const weekComparison = this.calculateWeekComparison(users);
+    const weekComparison = await this.calculateWeekComparison();
     this.renderWeekComparison(weekComparison);
     
     // Calculate heatmap
-    const heatmap = this.calculateHeatmap(users);
+    const heatmap = await this.calculateHeatmap();
     this.renderHeatmap(heatmap);
     
     // Calculate top offenders
@@ -2052,7 +3790,7 @@ class PopupUI {
     this.renderTopOffenders(topOffenders);
   }
 
-  calculateTimeData(users) {
+  async calculateTimeData() {
     const now = new Date();
     const period = this.currentPeriod === 'all' ? 365 : this.currentPeriod;
     const startDate = new Date(now);
@@ -2060,40 +3798,18 @@ class PopupUI {
     
     // Group violations by day
     const dailyData = {};
-    
-    Object.values(users).forEach(user => {
-      // Support both old and new data structure
-      let violations = [];
-      
-      if (user.rules && typeof user.rules === 'object') {
-        // New structure: multiple rules
-        Object.values(user.rules).forEach(ruleData => {
-          const count = ruleData.count || 1;
-          const firstTimestamp = ruleData.firstTimestamp || user.timestamp;
-          for (let i = 0; i < count; i++) {
-            violations.push(firstTimestamp);
-          }
-        });
-      } else {
-        // Old structure: single violation
-        const count = user.count || 1;
-        for (let i = 0; i < count; i++) {
-          violations.push(user.timestamp);
+
+    (await UserStorage.getIncidents({ ...this.communityFilter(), since: startDate.getTime() })).forEach(incident => {
+      const date = new Date(incident.timestamp);
+      date.setHours(0, 0, 0, 0);
+      const dateKey = date.toISOString().split('T')[0];
+
+      if (date >= startDate) {
+        if (!dailyData[dateKey]) {
+          dailyData[dateKey] = 0;
         }
+        dailyData[dateKey]++;
       }
-      
-      violations.forEach(timestamp => {
-        const date = new Date(timestamp);
-        date.setHours(0, 0, 0, 0);
-        const dateKey = date.toISOString().split('T')[0];
-        
-        if (date >= startDate) {
-          if (!dailyData[dateKey]) {
-            dailyData[dateKey] = 0;
-          }
-          dailyData[dateKey]++;
-        }
-      });
     });
     
     // Create array of dates in period
@@ -2189,22 +3905,16 @@ class PopupUI {
     const ruleCounts = {};
     
     Object.values(users).forEach(user => {
-      if (user.rules && typeof user.rules === 'object') {
-        // New structure: multiple rules
-        Object.entries(user.rules).forEach(([ruleId, ruleData]) => {
-          if (!ruleCounts[ruleId]) {
-            ruleCounts[ruleId] = 0;
-          }
-          ruleCounts[ruleId] += ruleData.count || 1;
-        });
-      } else if (user.rule) {
-        // Old structure: single rule
-        const ruleId = user.rule.toString();
+      Object.entries(user.rules).forEach(([ruleId, ruleData]) => {
+        const count = ruleData.count - this.countOverturned(ruleData);
+        if (count === 0) {
+          return;
+        }
         if (!ruleCounts[ruleId]) {
           ruleCounts[ruleId] = 0;
         }
-        ruleCounts[ruleId] += user.count || 1;
-      }
+        ruleCounts[ruleId] += count;
+      });
     });
     
     // Convert to array and sort
@@ -2245,20 +3955,69 @@ class PopupUI {
         <div class="top-violation-item">
           <div class="top-violation-rank">#${index + 1}</div>
           <div class="top-violation-info">
-            <div class="top-violation-name">${safeRuleName}</div>
+            <div class="top-violation-name">${safeRuleName}</div>
+            <div class="top-violation-bar">
+              <div class="top-violation-bar-fill" style="width: ${percentage}%; background-color: ${safeColor};"></div>
+            </div>
+          </div>
+          <div class="top-violation-count">${safeCount}</div>
+        </div>
+      `;
+    });
+    
+    this.topViolationsList.innerHTML = html;
+  }
+
+  /**
+   * Count the violations per enforcement action taken
+   * @param {Object} users - Marked users
+   * @returns {Array<Object>} { action, label, count }, most frequent first; violations
+   *   without a recorded action come last
+   */
+  calculateActionsTaken(users) {
+    const counts = {};
+    Object.values(users).forEach(user => {
+      this.getUserIncidents(user).forEach(incident => {
+        const action = UserStorage.ENFORCEMENT_ACTIONS[incident.action] ? incident.action : '';
+        counts[action] = (counts[action] || 0) + 1;
+      });
+    });
+
+    return Object.entries(counts)
+      .map(([action, count]) => ({
+        action,
+        label: action ? UserStorage.ENFORCEMENT_ACTIONS[action] : 'No action recorded',
+        count
+      }))
+      .sort((a, b) => (a.action ? 0 : 1) - (b.action ? 0 : 1) || b.count - a.count);
+  }
+
+  renderActionsTaken(actionsTaken) {
+    if (!this.actionsTakenList) return;
+
+    if (actionsTaken.length === 0) {
+      this.actionsTakenList.innerHTML = '<div class="empty-state"><p>No violations recorded yet.</p></div>';
+      return;
+    }
+
+    const total = actionsTaken.reduce((sum, item) => sum + item.count, 0);
+    this.actionsTakenList.innerHTML = actionsTaken.map(item => {
+      const percentage = Math.round((item.count / total) * 100);
+      return `
+        <div class="top-violation-item${item.action ? '' : ' actions-taken-none'}">
+          <div class="top-violation-info">
+            <div class="top-violation-name">${SecurityUtils.escapeHtml(item.label)}</div>
             <div class="top-violation-bar">
-              <div class="top-violation-bar-fill" style="width: ${percentage}%; background-color: ${safeColor};"></div>
+              <div class="top-violation-bar-fill actions-taken-bar" style="width: ${percentage}%;"></div>
             </div>
           </div>
-          <div class="top-violation-count">${safeCount}</div>
+          <div class="top-violation-count">${SecurityUtils.escapeHtml(item.count.toString())} (${percentage}%)</div>
         </div>
       `;
-    });
-    
-    this.topViolationsList.innerHTML = html;
+    }).join('');
   }
 
-  calculateTrends(users) {
+  async calculateTrends() {
     const now = new Date();
     const period = this.currentPeriod === 'all' ? 30 : Math.min(this.currentPeriod, 30);
     
@@ -2271,33 +4030,14 @@ class PopupUI {
     
     let currentCount = 0;
     let previousCount = 0;
-    
-    Object.values(users).forEach(user => {
-      let violations = [];
-      
-      if (user.rules && typeof user.rules === 'object') {
-        Object.values(user.rules).forEach(ruleData => {
-          const count = ruleData.count || 1;
-          const firstTimestamp = ruleData.firstTimestamp || user.timestamp;
-          for (let i = 0; i < count; i++) {
-            violations.push(firstTimestamp);
-          }
-        });
-      } else {
-        const count = user.count || 1;
-        for (let i = 0; i < count; i++) {
-          violations.push(user.timestamp);
-        }
+
+    (await UserStorage.getIncidents({ ...this.communityFilter(), since: previousStart.getTime() })).forEach(incident => {
+      const date = new Date(incident.timestamp);
+      if (date >= currentStart && date <= now) {
+        currentCount++;
+      } else if (date >= previousStart && date < currentStart) {
+        previousCount++;
       }
-      
-      violations.forEach(timestamp => {
-        const date = new Date(timestamp);
-        if (date >= currentStart && date <= now) {
-          currentCount++;
-        } else if (date >= previousStart && date < currentStart) {
-          previousCount++;
-        }
-      });
     });
     
     const change = previousCount > 0 
@@ -2350,7 +4090,7 @@ class PopupUI {
     `;
   }
 
-  calculateWeekComparison(users) {
+  async calculateWeekComparison() {
     const now = new Date();
     const thisWeekStart = new Date(now);
     thisWeekStart.setDate(now.getDate() - now.getDay()); // Start of this week (Sunday)
@@ -2364,33 +4104,14 @@ class PopupUI {
     
     let thisWeekCount = 0;
     let lastWeekCount = 0;
-    
-    Object.values(users).forEach(user => {
-      let violations = [];
-      
-      if (user.rules && typeof user.rules === 'object') {
-        Object.values(user.rules).forEach(ruleData => {
-          const count = ruleData.count || 1;
-          const firstTimestamp = ruleData.firstTimestamp || user.timestamp;
-          for (let i = 0; i < count; i++) {
-            violations.push(firstTimestamp);
-          }
-        });
-      } else {
-        const count = user.count || 1;
-        for (let i = 0; i < count; i++) {
-          violations.push(user.timestamp);
-        }
+
+    (await UserStorage.getIncidents({ ...this.communityFilter(), since: lastWeekStart.getTime() })).forEach(incident => {
+      const date = new Date(incident.timestamp);
+      if (date >= thisWeekStart && date <= now) {
+        thisWeekCount++;
+      } else if (date >= lastWeekStart && date < thisWeekStart) {
+        lastWeekCount++;
       }
-      
-      violations.forEach(timestamp => {
-        const date = new Date(timestamp);
-        if (date >= thisWeekStart && date <= now) {
-          thisWeekCount++;
-        } else if (date >= lastWeekStart && date < thisWeekStart) {
-          lastWeekCount++;
-        }
-      });
     });
     
     const change = lastWeekCount > 0 
@@ -2443,7 +4164,7 @@ class PopupUI {
     `;
   }
 
-  calculateHeatmap(users) {
+  async calculateHeatmap() {
     const heatmap = {};
     const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     const hours = Array.from({ length: 24 }, (_, i) => i);
@@ -2456,32 +4177,13 @@ class PopupUI {
       });
     });
     
-    Object.values(users).forEach(user => {
-      let violations = [];
-      
-      if (user.rules && typeof user.rules === 'object') {
-        Object.values(user.rules).forEach(ruleData => {
-          const count = ruleData.count || 1;
-          const firstTimestamp = ruleData.firstTimestamp || user.timestamp;
-          for (let i = 0; i < count; i++) {
-            violations.push(firstTimestamp);
-          }
-        });
-      } else {
-        const count = user.count || 1;
-        for (let i = 0; i < count; i++) {
-          violations.push(user.timestamp);
-        }
+    (await UserStorage.getIncidents(this.communityFilter())).forEach(incident => {
+      const date = new Date(incident.timestamp);
+      const day = daysOfWeek[date.getDay()];
+      const hour = date.getHours();
+      if (heatmap[day] && heatmap[day][hour] !== undefined) {
+        heatmap[day][hour]++;
       }
-      
-      violations.forEach(timestamp => {
-        const date = new Date(timestamp);
-        const day = daysOfWeek[date.getDay()];
-        const hour = date.getHours();
-        if (heatmap[day] && heatmap[day][hour] !== undefined) {
-          heatmap[day][hour]++;
-        }
-      });
     });
     
     return { heatmap, maxCount: Math.max(...Object.values(heatmap).flatMap(day => Object.values(day)), 1) };
@@ -2524,48 +4226,41 @@ class PopupUI {
   calculateTopOffenders(users) {
     const offenders = [];
     
-    Object.entries(users).forEach(([username, userData]) => {
+    Object.entries(users).forEach(([username, allUserData]) => {
+      // Only violations that still count make someone an offender
+      const userData = this.getActiveUserData(allUserData);
       const totalViolations = this.getTotalViolations(userData);
+      if (totalViolations === 0) {
+        return;
+      }
       const reputation = this.calculateReputationScore(userData);
       
       // Get most recent violation and dominant rule color
       let lastViolation = 0;
       let dominantRuleColor = '#009eff'; // Default color
       
-      if (userData.rules && typeof userData.rules === 'object') {
-        let rulesList = [];
-        Object.entries(userData.rules).forEach(([ruleId, ruleData]) => {
-          const rule = this.currentRules?.find(r => r.id === ruleId || r.id === ruleId.toString());
-          if (rule) {
-            rulesList.push({
-              count: ruleData.count || 1,
-              color: rule.color
-            });
-          }
-          const timestamp = ruleData.firstTimestamp || userData.timestamp;
-          if (timestamp > lastViolation) {
-            lastViolation = timestamp;
-          }
-        });
-        
-        // Find dominant rule (rule with most violations)
-        if (rulesList.length > 0) {
-          const dominantRule = rulesList.length === 1 
-            ? rulesList[0]
-            : rulesList.reduce((prev, current) => 
-                (prev.count > current.count) ? prev : current
-              );
-          dominantRuleColor = dominantRule.color || '#009eff';
-        }
-      } else if (userData.rule) {
-        lastViolation = userData.timestamp || 0;
-        const ruleId = userData.rule.toString();
-        const rule = this.currentRules?.find(r => r.id === ruleId || r.id === ruleId.toString());
+      let rulesList = [];
+      Object.entries(userData.rules).forEach(([ruleId, ruleData]) => {
+        const rule = this.currentRules?.find(r => r.id === ruleId);
         if (rule) {
-          dominantRuleColor = rule.color || '#009eff';
+          rulesList.push({
+            count: ruleData.count,
+            color: rule.color
+          });
         }
-      } else {
-        lastViolation = userData.timestamp || 0;
+        if (ruleData.lastTimestamp > lastViolation) {
+          lastViolation = ruleData.lastTimestamp;
+        }
+      });
+      
+      // Find dominant rule (rule with most violations)
+      if (rulesList.length > 0) {
+        const dominantRule = rulesList.length === 1 
+          ? rulesList[0]
+          : rulesList.reduce((prev, current) => 
+              (prev.count > current.count) ? prev : current
+            );
+        dominantRuleColor = dominantRule.color || '#009eff';
       }
       
       offenders.push({
@@ -2690,20 +4385,12 @@ class PopupUI {
     }
     
     try {
-      for (const username of selectedUsernames) {
-        await UserStorage.removeUser(username);
-      }
+      // One change, so a single undo restores every removed user
+      const { historyId } = await StorageBridge.mutate('UserStorage', 'removeUsers', [selectedUsernames, this.communityFilter()]);
       
       await this.loadUsers();
       await this.loadAnalyticsData();
-      this.showNotification(`${selectedUsernames.length} user(s) removed successfully!`, 'success');
-      
-      // Refresh content script in all X.com/Twitter tabs immediately
-      chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] }, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, { action: 'refreshUsers' }).catch(() => {});
-        });
-      });
+      this.showUndoableNotification(`${selectedUsernames.length} user(s) moved to trash!`, historyId);
       
       this.updateBulkActionsBar();
     } catch (error) {
@@ -2711,6 +4398,63 @@ class PopupUI {
     }
   }
 
+  async reassignSelectedUsers() {
+    const selectedUsernames = this.getSelectedUsers();
+    
+    if (selectedUsernames.length === 0) {
+      this.showNotification('No users selected!', 'error');
+      return;
+    }
+    
+    const targets = (this.currentRules || []).filter(rule => !rule.archived);
+    if (targets.length === 0) {
+      this.showNotification('No rule to reassign to!', 'error');
+      return;
+    }
+    
+    // Only the violations visible in the current community view move
+    const filterFor = sourceId => ({
+      ...this.communityFilter(),
+      usernames: selectedUsernames,
+      ruleId: sourceId || undefined
+    });
+    
+    const choice = await this.showRuleTransferDialog({
+      title: 'Reassign Violations',
+      intro: `Move violations of the ${selectedUsernames.length} selected user(s) to another rule. Dates, sources and tweets are kept.`,
+      sources: [
+        { value: '', label: 'All rules' },
+        ...this.currentRules.map(rule => ({ value: rule.id, label: rule.name }))
+      ],
+      targets: targets,
+      confirmLabel: 'Reassign',
+      preview: async ({ sourceId, target }) => {
+        const preview = await UserStorage.previewReassign(target.id, filterFor(sourceId));
+        const skipped = preview.skipped > 0
+          ? ` ${preview.skipped} violation(s) from other communities stay, because "${target.name}" only applies in its own community.`
+          : '';
+        return {
+          text: preview.violations > 0
+            ? `${preview.violations} violation(s) of ${preview.users} user(s) will move to "${target.name}".${skipped}`
+            : `Nothing to move.${skipped}`,
+          disabled: preview.violations === 0
+        };
+      }
+    });
+    if (!choice) return;
+    
+    try {
+      // One change, so a single undo restores every reassigned violation
+      const { result, historyId } = await StorageBridge.mutate('UserStorage', 'reassignViolations', [choice.targetId, filterFor(choice.sourceId)]);
+      
+      await this.loadUsers();
+      await this.loadAnalyticsData();
+      this.showUndoableNotification(`${result.violations} violation(s) of ${result.users} user(s) reassigned!`, historyId);
+    } catch (error) {
+      this.showNotification('Error reassigning violations!', 'error');
+    }
+  }
+
   async exportSelectedUsers() {
     const selectedUsernames = this.getSelectedUsers();
     
@@ -2720,18 +4464,18 @@ class PopupUI {
     }
     
     try {
-      const allUsers = await UserStorage.getMarkedUsers();
       const selectedUsers = {};
       
-      selectedUsernames.forEach(username => {
-        const usernameLower = username.toLowerCase();
-        if (allUsers[usernameLower]) {
-          selectedUsers[usernameLower] = allUsers[usernameLower];
+      for (const username of selectedUsernames) {
+        const userData = await UserStorage.getUser(username, this.communityFilter());
+        if (userData) {
+          selectedUsers[username.toLowerCase()] = userData;
         }
-      });
+      }
       
       const exportData = {
         version: '1.0.0',
+        schemaVersion: StorageMigrations.CURRENT_VERSION,
         exportDate: new Date().toISOString(),
         exportType: 'selected_users',
         users: selectedUsers
@@ -2755,7 +4499,7 @@ class PopupUI {
   }
 
   async handleSearch(searchTerm) {
-    const users = await UserStorage.getMarkedUsers();
+    const users = await UserStorage.searchUsers(searchTerm, this.communityFilter());
     const sortBy = this.analyticsSortSelect ? this.analyticsSortSelect.value : 'newest';
     
     // Show/hide clear button
@@ -2767,8 +4511,8 @@ class PopupUI {
   }
 
   async handleSort(sortBy) {
-    const users = await UserStorage.getMarkedUsers();
     const searchTerm = this.analyticsSearchInput ? this.analyticsSearchInput.value : '';
+    const users = await UserStorage.searchUsers(searchTerm, this.communityFilter());
     this.renderAnalyticsUsersList(users, searchTerm, sortBy);
   }
 
@@ -2779,20 +4523,13 @@ class PopupUI {
     }
     
     const totalUsers = Object.keys(users).length;
-    const activeLabels = this.showLabels && this.showLabels.checked ? totalUsers : 0;
+    const activeLabels = this.showLabels && this.showLabels.checked
+      ? Object.values(users).filter(user => Object.keys(this.getActiveUserData(user).rules).length > 0).length
+      : 0;
     
-    // Calculate total violations (support both old and new data structure)
+    // Calculate total violations
     const totalViolations = Object.values(users).reduce((sum, user) => {
-      if (user.rules && typeof user.rules === 'object') {
-        // New structure: sum all rule violations
-        return sum + Object.values(user.rules).reduce((ruleSum, ruleData) => {
-          return ruleSum + (ruleData.count || 1);
-        }, 0);
-      } else if (user.count) {
-        // Old structure: single count
-        return sum + user.count;
-      }
-      return sum + 1; // Default to 1 if no count
+      return sum + this.getTotalViolations(user);
     }, 0);
     
     // Calculate today's activity (users marked today)
@@ -2806,7 +4543,7 @@ class PopupUI {
       return userDate.getTime() === todayTimestamp;
     }).length;
     
-    // Rule counts (support both old and new data structure)
+    // Rule counts
     const ruleCounts = {};
     // Initialize with current rules
     if (this.currentRules) {
@@ -2816,20 +4553,11 @@ class PopupUI {
     }
     
     Object.values(users).forEach(user => {
-      if (user.rules && typeof user.rules === 'object') {
-        // New structure: count each rule
-        Object.keys(user.rules).forEach(ruleId => {
-          if (ruleCounts[ruleId] !== undefined) {
-            ruleCounts[ruleId] += 1; // Count users with this rule, not violations
-          }
-        });
-      } else if (user.rule) {
-        // Old structure: single rule
-        const ruleId = user.rule.toString();
+      Object.keys(user.rules).forEach(ruleId => {
         if (ruleCounts[ruleId] !== undefined) {
-          ruleCounts[ruleId] += 1;
+          ruleCounts[ruleId] += 1; // Count users with this rule, not violations
         }
-      }
+      });
     });
     
     // Update UI
@@ -2842,89 +4570,458 @@ class PopupUI {
     this.renderRuleStatistics(this.currentRules || [], ruleCounts);
   }
 
-  renderRuleStatistics(rules, ruleCounts) {
-    const grid = document.getElementById('ruleStatsGrid');
-    if (!grid) return;
-
-    // Clear existing content
-    grid.innerHTML = '';
+  renderRuleStatistics(rules, ruleCounts) {
+    const grid = document.getElementById('ruleStatsGrid');
+    if (!grid) return;
+
+    // Clear existing content
+    grid.innerHTML = '';
+
+    if (!rules || rules.length === 0) {
+      grid.innerHTML = '<div class="empty-state"><p>No rules created yet.</p></div>';
+      return;
+    }
+
+    // Render each rule
+    rules.forEach(rule => {
+      const count = ruleCounts[rule.id] || 0;
+      const safeRuleId = /^[0-9]+$/.test(String(rule.id)) || /^[a-zA-Z0-9_]+$/.test(String(rule.id))
+        ? String(rule.id)
+        : 'invalid';
+      const safeRuleName = SecurityUtils.escapeHtml(rule.name);
+      const safeColor = SecurityUtils.validateHexColor(rule.color);
+
+      const ruleItem = document.createElement('div');
+      ruleItem.className = `rule-stat-item rule-${safeRuleId}`;
+      ruleItem.style.borderLeft = `3px solid ${safeColor}`;
+      ruleItem.innerHTML = `
+        <div class="rule-stat-label">${safeRuleName}</div>
+        <div class="rule-stat-count" data-rule-id="${safeRuleId}">${count}</div>
+      `;
+      grid.appendChild(ruleItem);
+    });
+  }
+
+  async toggleLabels() {
+    if (!this.showLabels) return;
+    const enabled = this.showLabels.checked;
+    await SettingsStorage.saveSettings({ labelsEnabled: enabled });
+    
+    // Update stats
+    this.updateStats(await UserStorage.getMarkedUsers(this.communityFilter()));
+  }
+
+  async updateTrashRetention() {
+    if (!this.trashRetentionSelect) return;
+    const days = parseInt(this.trashRetentionSelect.value, 10);
+    await SettingsStorage.saveSettings({ trashRetentionDays: isNaN(days) ? 30 : days });
+    await TrashStorage.purgeExpired();
+    await this.loadTrash();
+  }
+
+  async updateModeratorName() {
+    if (!this.moderatorNameInput) return;
+    const name = this.moderatorNameInput.value.trim().substring(0, 50);
+    this.moderatorNameInput.value = name;
+    await SettingsStorage.saveSettings({ moderatorName: name });
+    this.showNotification(name ? `Audit entries will be signed as "${name}"` : 'Moderator name cleared', 'info');
+  }
+
+  /**
+   * Turn screenshots of marked tweets on or off, asking for (or giving
+   * back) the permission to capture tabs
+   */
+  async toggleScreenshotEvidence() {
+    if (!this.screenshotEvidenceToggle) return;
+    const enabled = this.screenshotEvidenceToggle.checked;
+    try {
+      if (enabled && !await chrome.permissions.request(ScreenshotStorage.PERMISSIONS)) {
+        this.screenshotEvidenceToggle.checked = false;
+        this.showNotification('Screenshots need permission to capture the tab', 'error');
+        return;
+      }
+      if (!enabled) {
+        await chrome.permissions.remove(ScreenshotStorage.PERMISSIONS);
+      }
+    } catch (error) {
+      this.screenshotEvidenceToggle.checked = !enabled;
+      this.showNotification(`Error changing permissions: ${error.message}`, 'error');
+      return;
+    }
+    await SettingsStorage.saveSettings({ screenshotEvidence: enabled });
+    
+    this.showNotification(
+      enabled ? 'Screenshot evidence enabled' : 'Screenshot evidence disabled',
+      'info'
+    );
+  }
+
+  async toggleNotifications() {
+    if (!this.notificationsToggle) return;
+    const enabled = this.notificationsToggle.checked;
+    await SettingsStorage.saveSettings({ notificationsEnabled: enabled });
+    
+    this.showNotification(
+      enabled ? 'Notifications enabled' : 'Notifications disabled',
+      'info'
+    );
+  }
+
+  /**
+   * Show reputation settings in the Settings form
+   * @param {Object} settings - Settings object
+   */
+  fillReputationForm(settings) {
+    Object.entries(this.reputationInputs).forEach(([key, input]) => {
+      if (input) {
+        input.value = String(settings[key]);
+      }
+    });
+    this.updateReputationPreview();
+  }
+
+  /**
+   * Render one weight input per rule; empty inputs use the severity weight
+   * @param {Array} rules - Rules
+   */
+  renderReputationRuleWeights(rules) {
+    if (!this.reputationRuleWeights) return;
+
+    this.reputationRuleWeights.innerHTML = rules.map(rule => {
+      const safeRuleId = /^[a-zA-Z0-9_]+$/.test(String(rule.id)) ? String(rule.id) : 'invalid';
+      const safeColor = SecurityUtils.validateHexColor(rule.color);
+      const severityWeight = RuleStorage.SEVERITY_WEIGHTS[rule.severity];
+      return `
+        <label class="reputation-rule-weight">
+          <span style="width: 8px; height: 8px; border-radius: 50%; background: ${safeColor}; flex-shrink: 0;"></span>
+          <span class="reputation-rule-weight-name">${SecurityUtils.escapeHtml(rule.name)}</span>
+          <span class="rule-badge severity-${SecurityUtils.escapeHtml(rule.severity)}">${SecurityUtils.escapeHtml(rule.severity)}</span>
+          <input type="number" class="analytics-search-input setting-number-input" data-rule-id="${safeRuleId}" min="0" max="${RuleStorage.MAX_WEIGHT}" step="0.1" value="${typeof rule.weight === 'number' ? rule.weight : ''}" placeholder="${severityWeight}">
+        </label>
+      `;
+    }).join('');
+
+    this.updateReputationPreview();
+  }
+
+  /**
+   * Read the reputation settings and rule weights entered in the form
+   * @returns {Object} { settings, ruleWeights } or { error }
+   */
+  readReputationForm() {
+    const settings = {};
+    for (const [key, input] of Object.entries(this.reputationInputs)) {
+      if (!input) continue;
+      const [min, max] = SettingsStorage.RANGES[key];
+      const value = Number(input.value);
+      if (input.value.trim() === '' || !Number.isInteger(value) || value < min || value > max) {
+        const name = input.closest('label')?.querySelector('span')?.textContent || key;
+        return { error: `${name} must be a whole number from ${min} to ${max}` };
+      }
+      settings[key] = value;
+    }
+
+    if (!(settings.reputationBandExcellent > settings.reputationBandGood &&
+          settings.reputationBandGood > settings.reputationBandFair &&
+          settings.reputationBandFair > settings.reputationBandPoor)) {
+      return { error: 'Score bands must go down from Excellent to Poor' };
+    }
+
+    const ruleWeights = {};
+    const weightInputs = this.reputationRuleWeights
+      ? this.reputationRuleWeights.querySelectorAll('input[data-rule-id]')
+      : [];
+    for (const input of weightInputs) {
+      const value = input.value.trim();
+      const weight = value === '' ? null : Number(value);
+      if (weight !== null && (!Number.isFinite(weight) || weight < 0 || weight > RuleStorage.MAX_WEIGHT)) {
+        return { error: `Rule weights must be between 0 and ${RuleStorage.MAX_WEIGHT}` };
+      }
+      ruleWeights[input.dataset.ruleId] = weight;
+    }
+
+    return { settings: { ...SettingsStorage.DEFAULTS, ...settings }, ruleWeights: ruleWeights };
+  }
+
+  /**
+   * Score the current users with the values in the form, next to their saved scores
+   */
+  updateReputationPreview() {
+    if (!this.reputationPreview) return;
+
+    const form = this.readReputationForm();
+    if (form.error) {
+      this.reputationPreview.innerHTML = `<div class="reputation-preview-empty">${SecurityUtils.escapeHtml(form.error)}</div>`;
+      return;
+    }
+
+    const users = Object.entries(this.markedUsers || {});
+    if (users.length === 0) {
+      this.reputationPreview.innerHTML = '<div class="reputation-preview-empty">No marked users to preview</div>';
+      return;
+    }
+
+    const config = this.getReputationConfig(form.settings, form.ruleWeights);
+    const scored = users.map(([username, userData]) => ({
+      username: username,
+      current: this.calculateReputationScore(userData),
+      preview: this.calculateReputationScore(userData, config)
+    }));
+
+    const bandsHTML = config.bands.map(band => {
+      const previewCount = scored.filter(user => user.preview.label === band.label).length;
+      const currentCount = scored.filter(user => user.current.label === band.label).length;
+      const change = previewCount === currentCount ? '' : ` (was ${currentCount})`;
+      return `<span class="reputation-preview-band" style="color: ${SecurityUtils.validateHexColor(band.color)};">${band.label}: ${previewCount}${change}</span>`;
+    }).join('');
+
+    const changed = scored
+      .filter(user => user.preview.score !== user.current.score || user.preview.label !== user.current.label)
+      .sort((a, b) => Math.abs(b.preview.score - b.current.score) - Math.abs(a.preview.score - a.current.score))
+      .slice(0, 10);
+
+    const usersHTML = changed.length > 0
+      ? changed.map(user => `
+          <div class="reputation-preview-user">
+            <span>@${SecurityUtils.escapeHtml(user.username)}</span>
+            <span>
+              ${user.current.score} ${SecurityUtils.escapeHtml(user.current.label)}
+              &rarr;
+              <span style="color: ${SecurityUtils.validateHexColor(user.preview.color)}; font-weight: 600;">${user.preview.score} ${SecurityUtils.escapeHtml(user.preview.label)}</span>
+            </span>
+          </div>
+        `).join('')
+      : '<div class="reputation-preview-empty">No scores change with these values</div>';
+
+    this.reputationPreview.innerHTML = `<div class="reputation-preview-bands">${bandsHTML}</div>${usersHTML}`;
+  }
+
+  /**
+   * Put the default reputation values in the form (saved with Save)
+   */
+  resetReputationForm() {
+    Object.entries(this.reputationInputs).forEach(([key, input]) => {
+      if (input) {
+        input.value = String(SettingsStorage.DEFAULTS[key]);
+      }
+    });
+    if (this.reputationRuleWeights) {
+      this.reputationRuleWeights.querySelectorAll('input[data-rule-id]').forEach(input => {
+        input.value = '';
+      });
+    }
+    this.updateReputationPreview();
+  }
+
+  async saveReputationSettings() {
+    const form = this.readReputationForm();
+    if (form.error) {
+      this.showNotification(form.error, 'error');
+      return;
+    }
+
+    try {
+      const updates = {};
+      Object.keys(this.reputationInputs).forEach(key => {
+        updates[key] = form.settings[key];
+      });
+      await SettingsStorage.saveSettings(updates);
+
+      // Only touch rules whose weight changed
+      for (const [ruleId, weight] of Object.entries(form.ruleWeights)) {
+        const rule = this.currentRules?.find(r => r.id === ruleId);
+        if (rule && rule.weight !== weight) {
+          const result = await RuleStorage.updateRule(ruleId, { weight: weight });
+          if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return;
+          }
+        }
+      }
+
+      await this.loadSettings();
+      await this.loadRules();
+      await this.loadUsers();
+      this.showNotification('Reputation scoring saved', 'success');
+    } catch (error) {
+      this.showNotification('Error saving reputation scoring!', 'error');
+    }
+  }
+
+  /**
+   * Render an escalation ladder as editable steps
+   * @param {HTMLElement} container - Editor element
+   * @param {Array} ladder - Steps
+   */
+  renderLadderEditor(container, ladder) {
+    if (!container) return;
+
+    container.innerHTML = '';
+    ladder.forEach(step => this.addLadderStep(container, step));
+  }
+
+  /**
+   * Append a step to a ladder editor
+   * @param {HTMLElement} container - Editor element
+   * @param {Object} step - { strikes, action }
+   */
+  addLadderStep(container, step) {
+    const options = Object.entries(EscalationPolicy.ACTIONS).map(([action, label]) => `
+      <option value="${action}" ${action === step.action ? 'selected' : ''}>${SecurityUtils.escapeHtml(label)}</option>
+    `).join('');
+    const row = document.createElement('div');
+    row.className = 'escalation-step';
+    row.innerHTML = `
+      <input type="number" class="analytics-search-input setting-number-input" data-field="strikes" min="1" max="${EscalationPolicy.MAX_STRIKES}" step="1" value="${step.strikes}">
+      <span class="escalation-step-unit">strike(s)</span>
+      <select class="analytics-sort-select" data-field="action">${options}</select>
+      <button type="button" class="escalation-step-remove" title="Remove step">×</button>
+    `;
+    container.appendChild(row);
+  }
+
+  /**
+   * Handle adding and removing steps in a ladder editor
+   * @param {HTMLElement} container - Editor element
+   * @param {HTMLElement} addButton - Button that adds a step
+   */
+  bindLadderEditor(container, addButton) {
+    container.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.escalation-step-remove');
+      if (removeBtn) {
+        removeBtn.closest('.escalation-step').remove();
+      }
+    });
+
+    if (addButton) {
+      addButton.addEventListener('click', () => {
+        if (container.querySelectorAll('.escalation-step').length >= EscalationPolicy.MAX_STEPS) {
+          this.showNotification(`A ladder can have up to ${EscalationPolicy.MAX_STEPS} steps`, 'error');
+          return;
+        }
+        // Continue after the last step with the same action
+        const ladder = this.readLadderEditor(container);
+        const last = ladder[ladder.length - 1];
+        this.addLadderStep(container, {
+          strikes: last && Number.isInteger(last.strikes) ? Math.min(EscalationPolicy.MAX_STRIKES, last.strikes + 1) : 1,
+          action: last ? last.action : 'warn'
+        });
+      });
+    }
+  }
+
+  /**
+   * Read the steps entered in a ladder editor
+   * @param {HTMLElement} container - Editor element
+   * @returns {Array} Steps in the order entered
+   */
+  readLadderEditor(container) {
+    return Array.from(container.querySelectorAll('.escalation-step')).map(row => ({
+      strikes: Number(row.querySelector('[data-field="strikes"]').value),
+      action: row.querySelector('[data-field="action"]').value
+    }));
+  }
 
-    if (!rules || rules.length === 0) {
-      grid.innerHTML = '<div class="empty-state"><p>No rules created yet.</p></div>';
+  async saveEscalationPolicy() {
+    const ladder = this.readLadderEditor(this.escalationSteps);
+    const error = EscalationPolicy.validateLadder(ladder);
+    if (error) {
+      this.showNotification(error, 'error');
       return;
     }
 
-    // Render each rule
-    rules.forEach(rule => {
-      const count = ruleCounts[rule.id] || 0;
-      const safeRuleId = /^[0-9]+$/.test(String(rule.id)) || /^[a-zA-Z0-9_]+$/.test(String(rule.id))
-        ? String(rule.id)
-        : 'invalid';
-      const safeRuleName = SecurityUtils.escapeHtml(rule.name);
-      const safeColor = SecurityUtils.validateHexColor(rule.color);
-
-      const ruleItem = document.createElement('div');
-      ruleItem.className = `rule-stat-item rule-${safeRuleId}`;
-      ruleItem.style.borderLeft = `3px solid ${safeColor}`;
-      ruleItem.innerHTML = `
-        <div class="rule-stat-label">${safeRuleName}</div>
-        <div class="rule-stat-count" data-rule-id="${safeRuleId}">${count}</div>
-      `;
-      grid.appendChild(ruleItem);
-    });
+    try {
+      await SettingsStorage.saveSettings({ escalation: EscalationPolicy.normalizeLadder(ladder) });
+      await this.loadSettings();
+      await this.loadUsers();
+      this.showNotification('Escalation policy saved', 'success');
+    } catch (error) {
+      this.showNotification('Error saving escalation policy!', 'error');
+    }
   }
 
-  async toggleLabels() {
-    if (!this.showLabels) return;
-    const enabled = this.showLabels.checked;
-    await chrome.storage.local.set({ labelsEnabled: enabled });
-    
-    // Update stats
-    this.updateStats(await UserStorage.getMarkedUsers());
-    
-    // Notify content script in all X.com/Twitter tabs
-    chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] }, (tabs) => {
-      tabs.forEach(tab => {
-        chrome.tabs.sendMessage(tab.id, { 
-          action: 'toggleLabels', 
-          enabled: enabled 
-        }).catch(() => {
-          // Silently fail if tab is not responsive
-        });
-      });
-    });
+  /**
+   * Render the toggle, weight and options of every detector
+   * @param {Object} settings - Detector settings
+   */
+  renderDetectorSettings(settings) {
+    if (!this.detectorSettingsList) return;
+
+    const optionLabels = { weight: 'Weight', domains: 'Domains', threshold: 'Minimum', ratio: 'Share (%)', length: 'Characters' };
+    this.detectorSettingsList.innerHTML = Object.entries(RuleDetection.DETECTORS).map(([id, detector]) => {
+      const { enabled, ...options } = settings[id];
+      const ranges = { weight: [0, RuleDetection.MAX_DETECTOR_WEIGHT], ...detector.ranges };
+      const inputs = Object.entries(options).map(([key, value]) => {
+        const input = typeof value === 'number'
+          ? `<input type="number" class="analytics-search-input setting-number-input" data-option="${key}" min="${ranges[key][0]}" max="${ranges[key][1]}" step="1" value="${value}">`
+          : `<input type="text" class="analytics-search-input setting-text-input" data-option="${key}" value="${SecurityUtils.escapeHtml(value)}">`;
+        return `
+          <label class="detector-option">
+            <span>${optionLabels[key] || key}</span>
+            ${input}
+          </label>
+        `;
+      }).join('');
+      return `
+        <div class="detector-setting" data-detector="${id}">
+          <label class="setting-label">
+            <span>${SecurityUtils.escapeHtml(detector.label)}</span>
+            <div class="toggle-switch">
+              <input type="checkbox" data-option="enabled" ${enabled ? 'checked' : ''}>
+              <span class="slider"></span>
+            </div>
+          </label>
+          <div class="detector-description">${SecurityUtils.escapeHtml(detector.description)}</div>
+          <div class="detector-options">${inputs}</div>
+        </div>
+      `;
+    }).join('');
   }
 
-  async toggleNotifications() {
-    if (!this.notificationsToggle) return;
-    const enabled = this.notificationsToggle.checked;
-    await chrome.storage.local.set({ notificationsEnabled: enabled });
-    
-    this.showNotification(
-      enabled ? 'Notifications enabled' : 'Notifications disabled',
-      'info'
-    );
+  /**
+   * Read the detector settings entered in the form
+   * @returns {Object} { settings } or { error }
+   */
+  readDetectorForm() {
+    const settings = {};
+    for (const [id, detector] of Object.entries(RuleDetection.DETECTORS)) {
+      const element = this.detectorSettingsList.querySelector(`[data-detector="${id}"]`);
+      if (!element) continue;
+      const ranges = { weight: [0, RuleDetection.MAX_DETECTOR_WEIGHT], ...detector.ranges };
+      settings[id] = {};
+      for (const input of element.querySelectorAll('[data-option]')) {
+        const key = input.dataset.option;
+        if (input.type === 'checkbox') {
+          settings[id][key] = input.checked;
+        } else if (input.type === 'number') {
+          const [min, max] = ranges[key];
+          const value = Number(input.value);
+          if (input.value.trim() === '' || !Number.isInteger(value) || value < min || value > max) {
+            return { error: `${detector.label}: ${input.closest('label').querySelector('span').textContent} must be a whole number from ${min} to ${max}` };
+          }
+          settings[id][key] = value;
+        } else {
+          settings[id][key] = input.value.trim();
+        }
+      }
+    }
+    return { settings: RuleDetection.normalizeDetectorSettings(settings) };
   }
 
+  async saveDetectorSettings() {
+    const form = this.readDetectorForm();
+    if (form.error) {
+      this.showNotification(form.error, 'error');
+      return;
+    }
 
-  async sendBrowserNotification(title, message) {
     try {
-      const result = await chrome.storage.local.get(['notificationsEnabled']);
-      const notificationsEnabled = result.notificationsEnabled !== false;
-      
-      if (!notificationsEnabled) {
-        return;
-      }
-      
-      await chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon128.png',
-        title: title,
-        message: message,
-        priority: 2
-      });
+      await SettingsStorage.saveSettings({ detectors: form.settings });
+      await this.loadSettings();
+      this.updateDetectionTest();
+      this.showNotification('Suggestion detectors saved', 'success');
     } catch (error) {
-      // Silently fail if notifications are not supported
+      this.showNotification('Error saving suggestion detectors!', 'error');
     }
   }
 
@@ -2933,17 +5030,20 @@ class PopupUI {
     try {
       const users = await UserStorage.getMarkedUsers();
       const rules = await RuleStorage.getRules();
-      const settings = await chrome.storage.local.get(['notificationsEnabled', 'labelsEnabled']);
+      const settings = await SettingsStorage.getSettings();
+      const communities = await CommunityStorage.getCommunities();
+      const workspace = await WorkspaceStorage.getActiveWorkspace();
       
       const exportData = {
         version: '1.0.0',
+        schemaVersion: StorageMigrations.CURRENT_VERSION,
         exportDate: new Date().toISOString(),
+        workspace: workspace.name,
         users: users,
         rules: rules,
-        settings: {
-          notificationsEnabled: settings.notificationsEnabled,
-          labelsEnabled: settings.labelsEnabled
-        }
+        communities: communities,
+        // Screenshots are left out to keep backups small
+        settings: settings
       };
       
       const jsonStr = JSON.stringify(exportData, null, 2);
@@ -2951,13 +5051,17 @@ class PopupUI {
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `x-flagr-backup-${new Date().toISOString().split('T')[0]}.json`;
+      // Backups of other workspaces carry the workspace name
+      const workspaceSlug = workspace.id === WorkspaceStorage.DEFAULT_ID
+        ? ''
+        : `${workspace.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || workspace.id}-`;
+      a.download = `x-flagr-backup-${workspaceSlug}${new Date().toISOString().split('T')[0]}.json`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
       
-      this.showNotification('Data exported successfully!', 'success');
+      this.showNotification('Data exported successfully! Screenshots are not included.', 'success');
     } catch (error) {
       this.showNotification('Error exporting data!', 'error');
     }
@@ -2974,41 +5078,32 @@ class PopupUI {
         return;
       }
       
-      // Confirm import
-      if (!confirm('This will replace all your current data. Are you sure?')) {
+      // Upgrade older backups to the current schema
+      let data;
+      try {
+        data = StorageMigrations.migrateBackup(importData);
+      } catch (error) {
+        this.showNotification(error.message, 'error');
         this.importDataInput.value = '';
         return;
       }
       
-      // Import users
-      await UserStorage.saveMarkedUsers(importData.users || {});
-      
-      // Import rules
-      await RuleStorage.saveRules(importData.rules || []);
-      
-      // Import settings
-      if (importData.settings) {
-        await chrome.storage.local.set({
-          notificationsEnabled: importData.settings.notificationsEnabled !== undefined ? importData.settings.notificationsEnabled : true,
-          labelsEnabled: importData.settings.labelsEnabled !== undefined ? importData.settings.labelsEnabled : true
-        });
-        
+      // Confirm import
+      const workspace = await WorkspaceStorage.getActiveWorkspace();
+      if (!confirm(`This will replace all data in the "${workspace.name}" workspace. Backups don't contain screenshots, so screenshots of violations that aren't in the backup are deleted. Are you sure?`)) {
+        this.importDataInput.value = '';
+        return;
       }
       
+      // Import users, rules and settings as one undoable change
+      const { historyId } = await StorageBridge.mutate('BackupStorage', 'restore', [data]);
+      
       // Refresh UI
       await this.loadRules();
       await this.loadUsers();
       await this.loadSettings();
       
-      // Refresh content scripts
-      chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] }, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, { action: 'refreshUsers' }).catch(() => {});
-          chrome.tabs.sendMessage(tab.id, { action: 'refreshRules' }).catch(() => {});
-        });
-      });
-      
-      this.showNotification('Data imported successfully!', 'success');
+      this.showUndoableNotification('Data imported successfully!', historyId);
       this.importDataInput.value = '';
     } catch (error) {
       this.showNotification('Error importing data! Invalid file format.', 'error');
@@ -3016,58 +5111,54 @@ class PopupUI {
     }
   }
 
+  /**
+   * Build a CSV report with one row per violation
+   * @param {Array<Object>} incidents - Incidents to include, with their username
+   * @param {Array} rules - Rules list
+   * @returns {string} CSV content
+   */
+  buildReportCsv(incidents, rules) {
+    const ruleMap = {};
+    rules.forEach(rule => {
+      ruleMap[rule.id] = rule.name;
+    });
+
+    const escapeCsv = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+    const reportData = incidents.map(incident => {
+      const violationDate = new Date(incident.timestamp);
+      return {
+        username: incident.username,
+        rule: ruleMap[incident.ruleId] || 'Unknown',
+        date: violationDate.toISOString().split('T')[0],
+        timestamp: violationDate.toISOString(),
+        source: incident.source || '',
+        tweetUrl: incident.tweetUrl || '',
+        community: incident.communityId ? this.getCommunityName(incident.communityId) : '',
+        action: UserStorage.describeAction(incident) || '',
+        status: UserStorage.describeStatus(incident)
+      };
+    });
+
+    // Generate CSV
+    const csvHeader = 'Username,Rule,Date,Timestamp,Source,Tweet URL,Community,Action,Status\n';
+    const csvRows = reportData.map(row =>
+      [row.username, row.rule, row.date, row.timestamp, row.source, row.tweetUrl, row.community, row.action, row.status].map(escapeCsv).join(',')
+    ).join('\n');
+    return csvHeader + csvRows;
+  }
+
   async exportWeeklyReport() {
     try {
-      const users = await UserStorage.getMarkedUsers();
-      const rules = await RuleStorage.getRules();
+      const rules = await RuleStorage.getRules(this.communityFilter());
       const now = new Date();
       const weekStart = new Date(now);
       weekStart.setDate(now.getDate() - now.getDay()); // Start of this week (Sunday)
       weekStart.setHours(0, 0, 0, 0);
       
       // Collect violations from this week
-      const reportData = [];
-      const ruleMap = {};
-      rules.forEach(rule => {
-        ruleMap[rule.id] = rule.name;
-      });
-      
-      Object.entries(users).forEach(([username, userData]) => {
-        if (userData.rules && typeof userData.rules === 'object') {
-          Object.entries(userData.rules).forEach(([ruleId, ruleData]) => {
-            const violationDate = new Date(ruleData.firstTimestamp || userData.timestamp);
-            if (violationDate >= weekStart) {
-              const ruleName = ruleMap[ruleId] || 'Unknown';
-              reportData.push({
-                username,
-                rule: ruleName,
-                count: ruleData.count || 1,
-                date: violationDate.toISOString().split('T')[0],
-                timestamp: violationDate.toISOString()
-              });
-            }
-          });
-        } else if (userData.rule) {
-          const violationDate = new Date(userData.timestamp);
-          if (violationDate >= weekStart) {
-            const ruleName = ruleMap[userData.rule] || 'Unknown';
-            reportData.push({
-              username,
-              rule: ruleName,
-              count: userData.count || 1,
-              date: violationDate.toISOString().split('T')[0],
-              timestamp: violationDate.toISOString()
-            });
-          }
-        }
-      });
-      
-      // Generate CSV
-      const csvHeader = 'Username,Rule,Violations,Date,Timestamp\n';
-      const csvRows = reportData.map(row => 
-        `"${row.username}","${row.rule}",${row.count},"${row.date}","${row.timestamp}"`
-      ).join('\n');
-      const csv = csvHeader + csvRows;
+      const incidents = await UserStorage.getIncidents({ ...this.communityFilter(), since: weekStart.getTime() });
+      const csv = this.buildReportCsv(incidents, rules);
       
       const blob = new Blob([csv], { type: 'text/csv' });
       const url = URL.createObjectURL(blob);
@@ -3089,55 +5180,14 @@ class PopupUI {
 
   async exportMonthlyReport() {
     try {
-      const users = await UserStorage.getMarkedUsers();
-      const rules = await RuleStorage.getRules();
+      const rules = await RuleStorage.getRules(this.communityFilter());
       const now = new Date();
       const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
       monthStart.setHours(0, 0, 0, 0);
       
       // Collect violations from this month
-      const reportData = [];
-      const ruleMap = {};
-      rules.forEach(rule => {
-        ruleMap[rule.id] = rule.name;
-      });
-      
-      Object.entries(users).forEach(([username, userData]) => {
-        if (userData.rules && typeof userData.rules === 'object') {
-          Object.entries(userData.rules).forEach(([ruleId, ruleData]) => {
-            const violationDate = new Date(ruleData.firstTimestamp || userData.timestamp);
-            if (violationDate >= monthStart) {
-              const ruleName = ruleMap[ruleId] || 'Unknown';
-              reportData.push({
-                username,
-                rule: ruleName,
-                count: ruleData.count || 1,
-                date: violationDate.toISOString().split('T')[0],
-                timestamp: violationDate.toISOString()
-              });
-            }
-          });
-        } else if (userData.rule) {
-          const violationDate = new Date(userData.timestamp);
-          if (violationDate >= monthStart) {
-            const ruleName = ruleMap[userData.rule] || 'Unknown';
-            reportData.push({
-              username,
-              rule: ruleName,
-              count: userData.count || 1,
-              date: violationDate.toISOString().split('T')[0],
-              timestamp: violationDate.toISOString()
-            });
-          }
-        }
-      });
-      
-      // Generate CSV
-      const csvHeader = 'Username,Rule,Violations,Date,Timestamp\n';
-      const csvRows = reportData.map(row => 
-        `"${row.username}","${row.rule}",${row.count},"${row.date}","${row.timestamp}"`
-      ).join('\n');
-      const csv = csvHeader + csvRows;
+      const incidents = await UserStorage.getIncidents({ ...this.communityFilter(), since: monthStart.getTime() });
+      const csv = this.buildReportCsv(incidents, rules);
       
       const blob = new Blob([csv], { type: 'text/csv' });
       const url = URL.createObjectURL(blob);
@@ -3156,20 +5206,366 @@ class PopupUI {
     }
   }
 
-  showNotification(message, type = 'info') {
+  /**
+   * Render the trash tab
+   */
+  async loadTrash() {
+    if (!this.trashList) return;
+    
+    const [items, settings] = await Promise.all([TrashStorage.getTrash(), SettingsStorage.getSettings()]);
+    const ruleNames = {};
+    (this.currentRules || []).forEach(rule => {
+      ruleNames[rule.id] = rule.name;
+    });
+    
+    if (this.trashInfo) {
+      this.trashInfo.textContent = settings.trashRetentionDays > 0
+        ? `Removed users, violations and rules are deleted permanently after ${settings.trashRetentionDays} days.`
+        : 'Removed users, violations and rules are kept until you delete them.';
+    }
+    if (this.emptyTrashBtn) {
+      this.emptyTrashBtn.disabled = items.length === 0;
+    }
+    
+    if (items.length === 0) {
+      this.trashList.innerHTML = `
+        <div class="empty-state">
+          <p>Trash is empty</p>
+        </div>
+      `;
+      return;
+    }
+    
+    const typeLabels = { user: 'User', violation: 'Violation', rule: 'Rule' };
+    this.trashList.innerHTML = items.map(item => {
+      let title;
+      let details;
+      if (item.type === 'rule') {
+        title = item.rule.name;
+        details = 'Rule';
+      } else {
+        title = `@${item.username}`;
+        const names = [...new Set(item.incidents.map(incident => ruleNames[incident.ruleId] || 'Unknown rule'))];
+        details = `${item.incidents.length} violation(s): ${names.join(', ')}`;
+      }
+      
+      return `
+        <div class="trash-item">
+          <div class="trash-item-info">
+            <span class="trash-item-title">
+              <span class="trash-item-type">${typeLabels[item.type]}</span>
+              ${SecurityUtils.escapeHtml(title)}
+            </span>
+            <span class="trash-item-meta">${SecurityUtils.escapeHtml(details)} · Deleted ${new Date(item.deletedAt).toLocaleString()}</span>
+          </div>
+          <div class="trash-item-actions">
+            <button class="btn btn-secondary btn-small trash-action-btn" data-action="restore" data-item-id="${SecurityUtils.escapeHtml(item.id)}">Restore</button>
+            <button class="btn btn-secondary btn-small trash-action-btn" data-action="delete" data-item-id="${SecurityUtils.escapeHtml(item.id)}">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render the open appeals in the Marked tab, longest waiting first
+   */
+  async loadAppeals() {
+    if (!this.appealsList) return;
+
+    const appeals = await UserStorage.getAppeals(this.communityFilter());
+    if (this.appealsCount) {
+      this.appealsCount.textContent = appeals.length.toString();
+    }
+
+    if (appeals.length === 0) {
+      this.appealsList.innerHTML = `
+        <div class="empty-state">
+          <p>No open appeals</p>
+        </div>
+      `;
+      return;
+    }
+
+    const now = Date.now();
+    this.appealsList.innerHTML = appeals.map(incident => {
+      const rule = (this.currentRules || []).find(r => r.id === incident.ruleId);
+      const days = Math.floor((now - (incident.statusDate || incident.timestamp)) / RuleStorage.DAY);
+      const age = days === 0 ? 'Appealed today' : `Waiting ${days} day${days === 1 ? '' : 's'}`;
+      const meta = [
+        age,
+        `Violation of ${new Date(incident.timestamp).toLocaleDateString('en-US')}`,
+        incident.statusReason
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <div class="trash-item appeal-item" data-username="${SecurityUtils.escapeHtml(incident.username)}" data-incident-id="${SecurityUtils.escapeHtml(incident.id)}">
+          <div class="trash-item-info">
+            <span class="trash-item-title">
+              <span class="trash-item-type" style="color: ${SecurityUtils.validateHexColor(rule ? rule.color : '#cccccc')};">${SecurityUtils.escapeHtml(rule ? rule.name : 'Unknown rule')}</span>
+              @${SecurityUtils.escapeHtml(incident.username)}
+            </span>
+            <span class="trash-item-meta">${SecurityUtils.escapeHtml(meta)}</span>
+          </div>
+          <div class="trash-item-actions">
+            <button class="btn btn-secondary btn-small appeal-action-btn">Details</button>
+            <button class="btn btn-secondary btn-small appeal-action-btn" data-status="upheld">Uphold</button>
+            <button class="btn btn-secondary btn-small appeal-action-btn" data-status="overturned">Overturn</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Open the details panel of a user with an open appeal
+   * @param {string} username - Username
+   */
+  async showAppealUser(username) {
+    const userData = await UserStorage.getUser(username, this.communityFilter());
+    if (userData) {
+      this.showUserDetails(username, userData);
+    }
+  }
+  
+  async restoreTrashItem(itemId) {
+    try {
+      const { result: item, historyId } = await StorageBridge.mutate('TrashStorage', 'restore', [itemId]);
+      await this.loadRules();
+      await this.loadUsers();
+      await this.loadTrash();
+      const name = item.type === 'rule' ? `"${item.rule.name}"` : `@${item.username}`;
+      this.showUndoableNotification(`${name} restored!`, historyId);
+    } catch (error) {
+      this.showNotification(error.message || 'Error restoring item!', 'error');
+    }
+  }
+  
+  async deleteTrashItem(itemId) {
+    if (!confirm('Delete this item permanently? This cannot be undone.')) {
+      return;
+    }
+    
+    try {
+      await TrashStorage.deleteForever(itemId);
+      await this.loadTrash();
+      this.showNotification('Item deleted permanently', 'success');
+    } catch (error) {
+      this.showNotification('Error deleting item!', 'error');
+    }
+  }
+  
+  async emptyTrash() {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      return;
+    }
+    
+    try {
+      await TrashStorage.emptyTrash();
+      await this.loadTrash();
+      this.showNotification('Trash emptied', 'success');
+    } catch (error) {
+      this.showNotification('Error emptying trash!', 'error');
+    }
+  }
+
+  /**
+   * Current audit log filters from the Audit tab
+   * @returns {Object} Filter for AuditStorage.getEntries
+   */
+  getAuditFilter() {
+    return {
+      action: this.auditActionFilter ? this.auditActionFilter.value : '',
+      origin: this.auditOriginFilter ? this.auditOriginFilter.value : '',
+      search: this.auditSearchInput ? this.auditSearchInput.value : ''
+    };
+  }
+  
+  /**
+   * Render the audit tab (the most recent 200 matching entries)
+   */
+  async loadAudit() {
+    if (!this.auditList || this.currentTab !== 'audit') return;
+    
+    const entries = await AuditStorage.getEntries(this.getAuditFilter());
+    
+    if (entries.length === 0) {
+      this.auditList.innerHTML = `
+        <div class="empty-state">
+          <p>No matching actions</p>
+        </div>
+      `;
+      return;
+    }
+    
+    const shown = entries.slice(0, 200);
+    const change = (entry) => {
+      if (entry.before !== null && entry.after !== null) {
+        return `${SecurityUtils.escapeHtml(entry.before || '(empty)')} → ${SecurityUtils.escapeHtml(entry.after || '(empty)')}`;
+      }
+      return SecurityUtils.escapeHtml(entry.after ?? entry.before ?? '');
+    };
+    
+    this.auditList.innerHTML = shown.map(entry => `
+      <div class="audit-item">
+        <div class="audit-item-header">
+          <span class="audit-item-action">
+            ${SecurityUtils.escapeHtml(AuditStorage.ACTION_LABELS[entry.action] || entry.action)}
+            <span class="audit-item-target">${SecurityUtils.escapeHtml(entry.target)}</span>
+          </span>
+          <span class="audit-item-origin">${SecurityUtils.escapeHtml(entry.origin)}</span>
+        </div>
+        <div class="audit-item-change">${change(entry)}</div>
+        <div class="audit-item-meta">
+          ${new Date(entry.timestamp).toLocaleString()}${entry.moderator ? ` · by ${SecurityUtils.escapeHtml(entry.moderator)}` : ''}
+        </div>
+      </div>
+    `).join('') + (entries.length > shown.length
+      ? `<div class="audit-more">Showing ${shown.length} of ${entries.length} entries. Export to see all.</div>`
+      : '');
+  }
+  
+  /**
+   * Export the audit entries matching the current filters as CSV
+   */
+  async exportAudit() {
+    try {
+      const entries = await AuditStorage.getEntries(this.getAuditFilter());
+      const escapeCsv = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+      
+      const csvHeader = 'Timestamp,Moderator,Action,Target,Before,After,Origin\n';
+      const csvRows = entries.map(entry => [
+        new Date(entry.timestamp).toISOString(),
+        entry.moderator,
+        AuditStorage.ACTION_LABELS[entry.action] || entry.action,
+        entry.target,
+        entry.before,
+        entry.after,
+        entry.origin
+      ].map(escapeCsv).join(',')).join('\n');
+      
+      const blob = new Blob([csvHeader + csvRows], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `x-flagr-audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      
+      this.showNotification('Audit log exported successfully!', 'success');
+    } catch (error) {
+      this.showNotification('Error exporting audit log!', 'error');
+    }
+  }
+
+  /**
+   * Load the undo/redo history into the settings tab
+   */
+  async loadHistory() {
+    if (!this.historyList) return;
+    
+    const history = await HistoryStorage.getHistory();
+    
+    if (this.undoBtn) {
+      this.undoBtn.disabled = !history.some(entry => !entry.undone);
+    }
+    if (this.redoBtn) {
+      this.redoBtn.disabled = !history.some(entry => entry.undone);
+    }
+    
+    if (history.length === 0) {
+      this.historyList.innerHTML = '<div class="history-empty">No recent actions</div>';
+      return;
+    }
+    
+    this.historyList.innerHTML = history.map(entry => `
+      <div class="history-item${entry.undone ? ' undone' : ''}">
+        <div class="history-item-info">
+          <span class="history-item-label">${SecurityUtils.escapeHtml(entry.label)}</span>
+          <span class="history-item-time">${new Date(entry.timestamp).toLocaleString()}</span>
+        </div>
+        <button class="btn btn-secondary btn-small history-action-btn" data-history-id="${SecurityUtils.escapeHtml(entry.id)}" data-undone="${entry.undone}">
+          ${entry.undone ? 'Redo' : 'Undo'}
+        </button>
+      </div>
+    `).join('');
+  }
+  
+  /**
+   * Undo the latest action, or every action back to the given one
+   * @param {string} historyId - Optional history entry ID
+   */
+  async undoAction(historyId = null) {
+    try {
+      const { count, label } = await HistoryStorage.undo(historyId);
+      await this.reloadAfterHistoryChange();
+      this.showNotification(count > 1 ? `Undid ${count} actions` : `Undid: ${label}`, 'success');
+    } catch (error) {
+      this.showNotification(error.message || 'Error undoing action!', 'error');
+    }
+  }
+  
+  /**
+   * Redo the next undone action, or every undone action up to the given one
+   * @param {string} historyId - Optional history entry ID
+   */
+  async redoAction(historyId = null) {
+    try {
+      const { count, label } = await HistoryStorage.redo(historyId);
+      await this.reloadAfterHistoryChange();
+      this.showNotification(count > 1 ? `Redid ${count} actions` : `Redid: ${label}`, 'success');
+    } catch (error) {
+      this.showNotification(error.message || 'Error redoing action!', 'error');
+    }
+  }
+  
+  async reloadAfterHistoryChange() {
+    this.hideFloatingPanel();
+    await this.loadRules();
+    await this.loadUsers();
+    await this.loadSettings();
+    await this.loadAnalyticsData();
+    await this.loadHistory();
+    await this.loadTrash();
+  }
+  
+  /**
+   * Show a success notification with an Undo button for a recorded action
+   * @param {string} message - Notification text
+   * @param {string} historyId - History entry of the action (no button if missing)
+   */
+  showUndoableNotification(message, historyId) {
+    const action = historyId ? { label: 'Undo', handler: () => this.undoAction(historyId) } : null;
+    this.showNotification(message, 'success', action);
+  }
+
+  showNotification(message, type = 'info', action = null) {
     // Create notification element
     const notification = document.createElement('div');
     notification.className = `notification ${type}`;
     notification.textContent = message;
     
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'notification-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        notification.remove();
+        action.handler();
+      });
+      notification.appendChild(actionBtn);
+    }
+    
     document.body.appendChild(notification);
     
-    // Remove after 3 seconds
+    // Remove after 3 seconds (longer when there is something to click)
     setTimeout(() => {
       if (notification.parentNode) {
         notification.parentNode.removeChild(notification);
       }
-    }, 3000);
+    }, action ? 6000 : 3000);
   }
 }
 
@@ -0,0 +1,4750 @@
+/**
+ * X-Flagr (X.com Mod Community Tool)
+ * Storage Layer
+ * 
+ * Shared data access for the popup, the content script and the background
+ * worker. Owns reads, writes, validation and schema migration of rules,
+ * marked users and settings. Writes are serialized by the background worker.
+ * 
+ * @version 1.0.1
+ * 
+ * Copyright (c) 2025 by Lomaxxx
+ * 
+ * This software and associated documentation files (the "Software") are 
+ * proprietary and confidential. Unauthorized copying, modification, 
+ * distribution, or use of this Software, via any medium, is strictly 
+ * prohibited without the express written permission of Lomaxxx.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, 
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF 
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+/**
+ * Database - IndexedDB connection and promise helpers
+ *
+ * Stores:
+ * - users: { username, timestamp, note, userId, aliases } (timestamp = last violation,
+ *   userId = numeric X account ID, aliases = previous handles of that account)
+ * - incidents: { id, username, ruleId, timestamp, source, tweetUrl, communityId, action, actionDuration,
+ *   status, statusReason, statusDate, evidence } (action = enforcement action taken, actionDuration = its
+ *   length in hours, status = appeal status, see UserStorage.VIOLATION_STATUSES, evidence = snapshot
+ *   of the marked tweet: { statusId, text, postedAt, media, capturedAt }, tweetUrl = its permalink)
+ * - screenshots: { id, incidentId, capturedAt, width, height, image } (image = JPEG or PNG data URL
+ *   of the marked tweet, cropped to its visible part, see ScreenshotStorage)
+ * - rules: { id, name, color, createdAt, description, severity, category, archived, communityId }
+ *   (no communityId = shared by all communities)
+ * - communities: { id, name, firstSeen }
+ * - history: { id, sequence, timestamp, label, before, after, undone }
+ * - trash: { id, type, deletedAt, username, user, incidents, rule }
+ * - audit: { id, timestamp, moderator, action, target, before, after, origin }
+ *
+ * IndexedDB belongs to the extension origin, so only the popup and the
+ * background worker can open it; content scripts read through the worker.
+ * Every workspace has its own database (see WorkspaceStorage).
+ */
+class Database {
+  static NAME = 'x-flagr';
+
+  static VERSION = 7;
+
+  static connection = null;
+
+  static connectionName = null;
+
+  /**
+   * Open (and create or upgrade) the active workspace's database once per context
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  static async open() {
+    const name = WorkspaceStorage.getDatabaseName(await WorkspaceStorage.getActiveId());
+    if (this.connection && this.connectionName !== name) {
+      this.close();
+    }
+
+    if (!this.connection) {
+      this.connectionName = name;
+      this.connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, this.VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+
+          if (!db.objectStoreNames.contains('users')) {
+            const users = db.createObjectStore('users', { keyPath: 'username' });
+            users.createIndex('timestamp', 'timestamp');
+          }
+
+          const users = request.transaction.objectStore('users');
+          if (!users.indexNames.contains('userId')) {
+            users.createIndex('userId', 'userId');
+          }
+
+          if (!db.objectStoreNames.contains('incidents')) {
+            const incidents = db.createObjectStore('incidents', { keyPath: 'id' });
+            incidents.createIndex('username', 'username');
+            incidents.createIndex('ruleId', 'ruleId');
+            incidents.createIndex('timestamp', 'timestamp');
+            incidents.createIndex('username_ruleId', ['username', 'ruleId']);
+          }
+
+          if (!db.objectStoreNames.contains('rules')) {
+            db.createObjectStore('rules', { keyPath: 'id' });
+          }
+
+          if (!db.objectStoreNames.contains('history')) {
+            db.createObjectStore('history', { keyPath: 'id' });
+          }
+
+          if (!db.objectStoreNames.contains('trash')) {
+            const trash = db.createObjectStore('trash', { keyPath: 'id' });
+            trash.createIndex('deletedAt', 'deletedAt');
+          }
+
+          if (!db.objectStoreNames.contains('communities')) {
+            db.createObjectStore('communities', { keyPath: 'id' });
+          }
+
+          if (!db.objectStoreNames.contains('audit')) {
+            const audit = db.createObjectStore('audit', { keyPath: 'id' });
+            audit.createIndex('timestamp', 'timestamp');
+          }
+
+          if (!db.objectStoreNames.contains('screenshots')) {
+            const screenshots = db.createObjectStore('screenshots', { keyPath: 'id' });
+            screenshots.createIndex('incidentId', 'incidentId');
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version of the extension upgrade (or a workspace delete) the database
+          db.onversionchange = () => {
+            db.close();
+            if (this.connectionName === name) {
+              this.connection = null;
+              this.connectionName = null;
+            }
+          };
+          resolve(db);
+        };
+
+        request.onerror = () => {
+          this.connection = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.connection;
+  }
+
+  /**
+   * Close the connection; running transactions still finish
+   */
+  static close() {
+    const connection = this.connection;
+    this.connection = null;
+    this.connectionName = null;
+    if (connection) {
+      connection.then(db => db.close()).catch(() => {});
+    }
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request to wait for
+   * @returns {Promise<*>} Request result
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run work in a single transaction. Resolves with the work's result once
+   * the transaction has committed, so a write is never reported before it
+   * is durable; any failed request aborts the whole transaction.
+   * @param {string|Array<string>} storeNames - Object stores to include
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives an object of stores by name, may be async
+   * @returns {Promise<*>} Result of work
+   */
+  static async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const tx = db.transaction(names, mode);
+    const stores = {};
+    names.forEach(name => {
+      stores[name] = tx.objectStore(name);
+    });
+
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      tx.onerror = () => reject(tx.error);
+    });
+
+    let result;
+    try {
+      result = await work(stores);
+    } catch (error) {
+      try {
+        tx.abort();
+      } catch (abortError) {
+        // Transaction already finished
+      }
+      done.catch(() => {});
+      throw error;
+    }
+    await done;
+    return result;
+  }
+}
+
+/**
+ * RuleStorage - Manages IndexedDB operations for rules
+ */
+class RuleStorage {
+  static SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+  static DEFAULT_SEVERITY = 'medium';
+
+  static MAX_DESCRIPTION_LENGTH = 1000;
+
+  static MAX_CATEGORY_LENGTH = 30;
+
+  static MAX_GROUP_LENGTH = 30;
+
+  // Reputation weight of one violation when a rule has no weight of its own
+  static SEVERITY_WEIGHTS = { low: 0.5, medium: 1, high: 2, critical: 3 };
+
+  static MAX_WEIGHT = 10;
+
+  static DAY = 24 * 60 * 60 * 1000;
+
+  // Longest expiry period a rule can have; rules without one never expire
+  static MAX_EXPIRY_DAYS = 3650;
+
+  // Detection term lists of a rule, with their limits
+  static DETECTION_LISTS = {
+    keywords: { label: 'keywords', max: 50, length: 50 },
+    phrases: { label: 'phrases', max: 50, length: 100 },
+    patterns: { label: 'patterns', max: 20, length: 200 },
+    negativeKeywords: { label: 'negative keywords', max: 50, length: 50 }
+  };
+
+  /**
+   * Generate a collision-free rule ID. IDs end up in CSS class names and
+   * element IDs, so they only use letters, digits and underscores.
+   * @returns {string} Rule ID
+   */
+  static generateId() {
+    return `rule_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  /**
+   * Fill in the optional rule fields (rules created before they existed lack them)
+   * @param {Object} rule - Rule record
+   * @returns {Object} Complete rule record
+   */
+  static normalizeRule(rule) {
+    return {
+      ...rule,
+      description: typeof rule.description === 'string' ? rule.description : '',
+      severity: this.SEVERITIES.includes(rule.severity) ? rule.severity : this.DEFAULT_SEVERITY,
+      category: typeof rule.category === 'string' ? rule.category : '',
+      archived: rule.archived === true,
+      weight: typeof rule.weight === 'number' && rule.weight >= 0 ? rule.weight : null,
+      group: typeof rule.group === 'string' ? rule.group : '',
+      order: typeof rule.order === 'number' ? rule.order : null,
+      expiryDays: Number.isInteger(rule.expiryDays) && rule.expiryDays > 0 ? rule.expiryDays : null,
+      escalation: EscalationPolicy.normalizeLadder(rule.escalation),
+      ...this.normalizeDetection(rule)
+    };
+  }
+
+  /**
+   * Clean up a list of detection terms: trimmed, without blanks and
+   * duplicates. Keywords and phrases are lowercase with single spaces;
+   * regular expressions are kept as written.
+   * @param {Array<string>} terms - Terms
+   * @param {string} list - Key of DETECTION_LISTS
+   * @returns {Array<string>} Terms
+   */
+  static normalizeTerms(terms, list) {
+    const cleaned = terms
+      .filter(term => typeof term === 'string')
+      .map(term => list === 'patterns' ? term.trim() : term.trim().toLowerCase().replace(/\s+/g, ' '))
+      .filter(Boolean);
+    return [...new Set(cleaned)];
+  }
+
+  /**
+   * Clean up the detectors a rule uses: known IDs only, in detector order
+   * @param {Array<string>} ids - Detector IDs (see RuleDetection.DETECTORS)
+   * @returns {Array<string>} Detector IDs
+   */
+  static normalizeDetectors(ids) {
+    if (!Array.isArray(ids)) {
+      return [];
+    }
+    return Object.keys(RuleDetection.DETECTORS).filter(id => ids.includes(id));
+  }
+
+  /**
+   * Get all detection term lists and detectors of a rule, cleaned up
+   * @param {Object} rule - Rule or rule fields
+   * @returns {Object} { keywords, phrases, patterns, negativeKeywords, detectors }
+   */
+  static normalizeDetection(rule) {
+    const detection = {};
+    Object.keys(this.DETECTION_LISTS).forEach(list => {
+      detection[list] = Array.isArray(rule[list]) ? this.normalizeTerms(rule[list], list) : [];
+    });
+    detection.detectors = this.normalizeDetectors(rule.detectors);
+    return detection;
+  }
+
+  /**
+   * Reputation weight of one violation of a rule: its own weight if set,
+   * otherwise the weight of its severity
+   * @param {Object} rule - Rule record
+   * @returns {number} Weight
+   */
+  static getWeight(rule) {
+    if (!rule) {
+      return this.SEVERITY_WEIGHTS[this.DEFAULT_SEVERITY];
+    }
+    if (typeof rule.weight === 'number') {
+      return rule.weight;
+    }
+    return this.SEVERITY_WEIGHTS[rule.severity] ?? this.SEVERITY_WEIGHTS[this.DEFAULT_SEVERITY];
+  }
+
+  /**
+   * Whether a violation of a rule no longer counts. Violations of rules
+   * without an expiry period (or of unknown rules) never expire.
+   * @param {Object} incident - Incident record
+   * @param {Object} rule - Rule record (or null)
+   * @param {number} now - Reference time (defaults to now)
+   * @returns {boolean} True if expired
+   */
+  static isExpired(incident, rule, now = Date.now()) {
+    return Boolean(rule && rule.expiryDays) && incident.timestamp <= now - rule.expiryDays * this.DAY;
+  }
+
+  /**
+   * Validate editable rule fields; only the given fields are checked
+   * @param {Object} fields - { name, color, description, severity, category, archived, weight, group, expiryDays, escalation, detectors } and the DETECTION_LISTS
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateFields(fields) {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 50)) {
+      return 'Rule name must be 1-50 characters';
+    }
+    if (fields.color !== undefined && !/^#[0-9A-F]{6}$/i.test(fields.color)) {
+      return 'Invalid rule color';
+    }
+    if (fields.description !== undefined && (typeof fields.description !== 'string' || fields.description.length > this.MAX_DESCRIPTION_LENGTH)) {
+      return `Description must be ${this.MAX_DESCRIPTION_LENGTH} characters or less`;
+    }
+    if (fields.severity !== undefined && !this.SEVERITIES.includes(fields.severity)) {
+      return 'Unknown severity';
+    }
+    if (fields.category !== undefined && (typeof fields.category !== 'string' || fields.category.length > this.MAX_CATEGORY_LENGTH)) {
+      return `Category must be ${this.MAX_CATEGORY_LENGTH} characters or less`;
+    }
+    if (fields.archived !== undefined && typeof fields.archived !== 'boolean') {
+      return 'Invalid archived state';
+    }
+    if (fields.weight !== undefined && fields.weight !== null &&
+        (typeof fields.weight !== 'number' || !Number.isFinite(fields.weight) || fields.weight < 0 || fields.weight > this.MAX_WEIGHT)) {
+      return `Weight must be between 0 and ${this.MAX_WEIGHT}`;
+    }
+    if (fields.group !== undefined && (typeof fields.group !== 'string' || fields.group.length > this.MAX_GROUP_LENGTH)) {
+      return `Group must be ${this.MAX_GROUP_LENGTH} characters or less`;
+    }
+    if (fields.expiryDays !== undefined && fields.expiryDays !== null &&
+        (!Number.isInteger(fields.expiryDays) || fields.expiryDays < 1 || fields.expiryDays > this.MAX_EXPIRY_DAYS)) {
+      return `Expiry must be a whole number of days from 1 to ${this.MAX_EXPIRY_DAYS}`;
+    }
+    if (fields.escalation !== undefined && fields.escalation !== null) {
+      const error = EscalationPolicy.validateLadder(fields.escalation);
+      if (error) {
+        return error;
+      }
+    }
+    if (fields.detectors !== undefined &&
+        (!Array.isArray(fields.detectors) || fields.detectors.some(id => !Object.prototype.hasOwnProperty.call(RuleDetection.DETECTORS, id)))) {
+      return 'Unknown detector';
+    }
+    for (const [list, limits] of Object.entries(this.DETECTION_LISTS)) {
+      const terms = fields[list];
+      if (terms === undefined) {
+        continue;
+      }
+      if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+        return `Invalid ${limits.label}`;
+      }
+      if (terms.length > limits.max) {
+        return `A rule can have up to ${limits.max} ${limits.label}`;
+      }
+      const tooLong = terms.find(term => term.length > limits.length);
+      if (tooLong) {
+        return `"${tooLong.substring(0, 20)}...": ${limits.label} must be ${limits.length} characters or less`;
+      }
+      if (list === 'patterns') {
+        const invalid = terms.find(pattern => !RuleDetection.compile(pattern));
+        if (invalid !== undefined) {
+          return `Invalid regular expression: ${invalid}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sort rules in their manual order, keeping the rules of a group together.
+   * Rules without a position follow in creation order (default rules share
+   * one creation time).
+   * @param {Array} rules - Rules to sort
+   * @returns {Array} Sorted rules
+   */
+  static sortRules(rules) {
+    const position = rule => typeof rule.order === 'number' ? rule.order : Number.MAX_SAFE_INTEGER;
+    rules.sort((a, b) => position(a) - position(b) ||
+      (a.createdAt || 0) - (b.createdAt || 0) ||
+      a.id.localeCompare(b.id, undefined, { numeric: true }));
+    return this.groupRules(rules).flatMap(group => group.rules);
+  }
+
+  /**
+   * Split sorted rules into their groups; groups appear where their first rule is
+   * @param {Array} rules - Sorted rules
+   * @returns {Array<Object>} [{ name, rules }]; name is '' for ungrouped rules
+   */
+  static groupRules(rules) {
+    const groups = new Map();
+    rules.forEach(rule => {
+      const name = rule.group || '';
+      if (!groups.has(name)) {
+        groups.set(name, []);
+      }
+      groups.get(name).push(rule);
+    });
+    return Array.from(groups, ([name, groupRules]) => ({ name: name, rules: groupRules }));
+  }
+
+  /**
+   * Get rules, optionally only those that apply in one community
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.communityId - Shared rules plus this community's rules
+   * @returns {Promise<Array>} Rules in their manual order and groups (empty if they can't be read)
+   */
+  static async getRules(filter = {}) {
+    try {
+      return await this.readRules(filter);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Same as getRules, but a failed read throws. Use it before replacing
+   * the rules, where an empty list would wipe them.
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Promise<Array>} Rules in their manual order and groups
+   */
+  static async readRules(filter = {}) {
+    const rules = await Database.transaction('rules', 'readonly', ({ rules }) => {
+      return Database.request(rules.getAll());
+    });
+    return this.sortRules(rules.filter(rule => CommunityStorage.matches(rule.communityId, filter.communityId)));
+  }
+
+  /**
+   * Get a single rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object|null>} Rule or null if it doesn't exist
+   */
+  static async getRule(ruleId) {
+    try {
+      const rule = await Database.transaction('rules', 'readonly', ({ rules }) => {
+        return Database.request(rules.get(ruleId.toString()));
+      });
+      return rule || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replace all rules
+   * @param {Array} rules - Complete rules list
+   * @returns {Promise<boolean>} True if saved
+   */
+  static async saveRules(rules) {
+    try {
+      await Database.transaction('rules', 'readwrite', ({ rules: store }) => {
+        store.clear();
+        rules.forEach(rule => store.put(rule));
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a rule
+   * @param {string} name - Rule name
+   * @param {string} color - Hex color
+   * @param {string} communityId - Community the rule belongs to (shared by all if omitted)
+   * @param {Object} details - Optional { description, severity, category, group, expiryDays, detectors } and detection term lists
+   * @returns {Promise<Object>} { success, rule } or { success: false, error }
+   */
+  static async addRule(name, color, communityId = null, details = {}) {
+    const fields = {
+      name: name,
+      color: color,
+      description: (details.description || '').trim(),
+      severity: details.severity || this.DEFAULT_SEVERITY,
+      category: (details.category || '').trim(),
+      group: (details.group || '').trim(),
+      expiryDays: details.expiryDays ?? null,
+      ...this.normalizeDetection(details)
+    };
+    const error = this.validateFields(fields);
+    if (error) {
+      return { success: false, error: error };
+    }
+
+    const newRule = this.normalizeRule({ ...fields, createdAt: Date.now() });
+    if (CommunityStorage.normalizeId(communityId)) {
+      newRule.communityId = CommunityStorage.normalizeId(communityId);
+    }
+    
+    await Database.transaction('rules', 'readwrite', async ({ rules }) => {
+      // New rules go to the end of the list
+      const existing = await Database.request(rules.getAll());
+      newRule.order = existing.reduce((max, rule) => Math.max(max, typeof rule.order === 'number' ? rule.order + 1 : 0), existing.length);
+
+      // Random suffixes make clashes practically impossible, but never overwrite a rule
+      do {
+        newRule.id = this.generateId();
+      } while (await Database.request(rules.get(newRule.id)));
+      rules.put(newRule);
+    });
+    return { success: true, rule: newRule };
+  }
+
+  /**
+   * Move a rule to the trash
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Array>} Remaining rules
+   */
+  static async removeRule(ruleId) {
+    await Database.transaction(['rules', 'trash'], 'readwrite', async ({ rules, trash }) => {
+      const rule = await Database.request(rules.get(ruleId.toString()));
+      if (!rule) {
+        return;
+      }
+      rules.delete(rule.id);
+      trash.put(TrashStorage.createItem('rule', { rule: rule }));
+    });
+    return this.getRules();
+  }
+
+  /**
+   * Update editable fields of a rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} updates - Any of { name, color, description, severity, category, archived, weight, group, expiryDays, escalation, detectors } and the detection term lists
+   * @returns {Promise<Object>} { success, rule } or { success: false, error }
+   */
+  static async updateRule(ruleId, updates) {
+    const fields = {};
+    ['name', 'color', 'description', 'severity', 'category', 'archived', 'weight', 'group', 'expiryDays', 'escalation', 'detectors'].forEach(key => {
+      if (updates[key] !== undefined) {
+        fields[key] = typeof updates[key] === 'string' && key !== 'color' ? updates[key].trim() : updates[key];
+      }
+    });
+    Object.keys(this.DETECTION_LISTS).forEach(list => {
+      if (updates[list] !== undefined) {
+        fields[list] = Array.isArray(updates[list]) ? this.normalizeTerms(updates[list], list) : updates[list];
+      }
+    });
+    const error = this.validateFields(fields);
+    if (error) {
+      return { success: false, error: error };
+    }
+
+    const rule = await Database.transaction('rules', 'readwrite', async ({ rules }) => {
+      const existing = await Database.request(rules.get(ruleId.toString()));
+      if (!existing) {
+        return null;
+      }
+
+      const updated = this.normalizeRule({ ...existing, ...fields });
+      rules.put(updated);
+      return updated;
+    });
+
+    if (!rule) {
+      return { success: false, error: 'Rule not found' };
+    }
+    return { success: true, rule: rule };
+  }
+
+  /**
+   * Put rules in a new order and groups. Rules left out (e.g. those of other
+   * communities) keep their place; the listed rules fill the positions they
+   * held before, in the given order.
+   * @param {Array<Object>} layout - [{ id, group }] in the new order
+   * @returns {Promise<Object>} { success, rules } or { success: false, error }
+   */
+  static async reorderRules(layout) {
+    const groups = new Map();
+    for (const item of layout || []) {
+      const group = typeof item.group === 'string' ? item.group.trim() : '';
+      const error = this.validateFields({ group: group });
+      if (error) {
+        return { success: false, error: error };
+      }
+      groups.set(String(item.id), group);
+    }
+
+    const rules = await Database.transaction('rules', 'readwrite', async ({ rules }) => {
+      const current = this.sortRules(await Database.request(rules.getAll()));
+      const byId = new Map(current.map(rule => [rule.id, rule]));
+      const moved = Array.from(groups.keys()).filter(id => byId.has(id)).map(id => byId.get(id));
+
+      let next = 0;
+      const placed = current
+        .map(rule => groups.has(rule.id) ? moved[next++] : rule)
+        .map((rule, index) => ({
+          ...rule,
+          group: groups.has(rule.id) ? groups.get(rule.id) : rule.group,
+          order: index
+        }));
+      // Number the rules as they are shown, with each group kept together
+      const reordered = this.sortRules(placed)
+        .map((rule, index) => this.normalizeRule({ ...rule, order: index }));
+      reordered.forEach(rule => rules.put(rule));
+      return reordered;
+    });
+    return { success: true, rules: rules };
+  }
+
+  /**
+   * Check whether one rule can be merged into another
+   * @param {Object} source - Rule whose violations move
+   * @param {Object} target - Rule that receives them
+   * @returns {string|null} Error message, or null if the merge is possible
+   */
+  static validateMerge(source, target) {
+    if (!source || !target) {
+      return 'Rule not found';
+    }
+    if (source.id === target.id) {
+      return 'Choose two different rules';
+    }
+    if (target.archived) {
+      return 'Can\'t merge into an archived rule';
+    }
+    // Every violation must still apply where it was recorded
+    if (target.communityId && target.communityId !== source.communityId) {
+      return 'A community rule can only absorb rules of the same community';
+    }
+    return null;
+  }
+
+  /**
+   * Merge a rule into another: all violations of the source rule move to the
+   * target rule (user counts and dates follow from the combined incidents)
+   * and the source rule goes to the trash
+   * @param {string} sourceId - Rule to merge away
+   * @param {string} targetId - Rule to keep
+   * @returns {Promise<Object>} { success, users, violations } or { success: false, error }
+   */
+  static async mergeRules(sourceId, targetId) {
+    const [source, target] = await Promise.all([this.getRule(sourceId), this.getRule(targetId)]);
+    const error = this.validateMerge(source, target);
+    if (error) {
+      return { success: false, error: error };
+    }
+
+    return Database.transaction(['rules', 'incidents', 'trash'], 'readwrite', async ({ rules, incidents, trash }) => {
+      const moved = await Database.request(incidents.index('ruleId').getAll(source.id));
+      moved.forEach(incident => incidents.put({ ...incident, ruleId: target.id }));
+
+      rules.delete(source.id);
+      trash.put(TrashStorage.createItem('rule', { rule: source }));
+
+      return {
+        success: true,
+        users: new Set(moved.map(incident => incident.username)).size,
+        violations: moved.length
+      };
+    });
+  }
+
+  /**
+   * Work out what adding a rule pack changes. Pack rules are matched to
+   * existing rules by name: a match only gains the detection terms and detectors it
+   * lacks (and the pack's description if it has none), everything else becomes a new rule in
+   * a group named after the pack unless the pack rule brings its own group.
+   * @param {Array} existing - Rules that apply where the pack is added
+   * @param {Object} pack - Pack from RulePacks.normalize
+   * @returns {Object} { added: [fields], updated: [rule], unchanged: [rule] }
+   */
+  static planPackImport(existing, pack) {
+    const byName = new Map(existing.map(rule => [rule.name.toLowerCase(), rule]));
+    const plan = { added: [], updated: [], unchanged: [] };
+
+    pack.rules.forEach(packRule => {
+      const rule = byName.get(packRule.name.toLowerCase());
+      if (!rule) {
+        plan.added.push({ ...packRule, group: packRule.group || pack.name });
+        return;
+      }
+
+      const detection = {};
+      let added = false;
+      Object.entries(this.DETECTION_LISTS).forEach(([list, limits]) => {
+        const current = rule[list] || [];
+        detection[list] = this.normalizeTerms([...current, ...packRule[list]], list).slice(0, limits.max);
+        added = added || detection[list].length > current.length;
+      });
+      detection.detectors = this.normalizeDetectors([...(rule.detectors || []), ...packRule.detectors]);
+      added = added || detection.detectors.length > (rule.detectors || []).length;
+      const description = rule.description || packRule.description;
+      if (!added && description === (rule.description || '')) {
+        plan.unchanged.push(rule);
+      } else {
+        plan.updated.push(this.normalizeRule({ ...rule, ...detection, description: description }));
+      }
+    });
+    return plan;
+  }
+
+  /**
+   * Preview adding a rule pack
+   * @param {Object} pack - Rule pack
+   * @param {string} communityId - Community new rules belong to (shared by all if omitted)
+   * @returns {Promise<Object>} { added, updated, unchanged } rule names
+   */
+  static async previewPackImport(pack, communityId = null) {
+    const plan = this.planPackImport(await this.getRules({ communityId: CommunityStorage.normalizeId(communityId) }), RulePacks.normalize(pack));
+    return {
+      added: plan.added.map(rule => rule.name),
+      updated: plan.updated.map(rule => rule.name),
+      unchanged: plan.unchanged.map(rule => rule.name)
+    };
+  }
+
+  /**
+   * Merge a rule pack into the rules. Marked users are never touched.
+   * @param {Object} pack - Rule pack
+   * @param {string} communityId - Community new rules belong to (shared by all if omitted)
+   * @returns {Promise<Object>} { success, added, updated, unchanged } counts or { success: false, error }
+   */
+  static async importPack(pack, communityId = null) {
+    let normalized;
+    try {
+      normalized = RulePacks.normalize(pack);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    const community = CommunityStorage.normalizeId(communityId);
+
+    const plan = await Database.transaction('rules', 'readwrite', async ({ rules }) => {
+      const all = await Database.request(rules.getAll());
+      const result = this.planPackImport(all.filter(rule => CommunityStorage.matches(rule.communityId, community)), normalized);
+
+      result.updated.forEach(rule => rules.put(rule));
+
+      // New rules go to the end of the list, in pack order
+      let order = all.reduce((max, rule) => Math.max(max, typeof rule.order === 'number' ? rule.order + 1 : 0), all.length);
+      for (const fields of result.added) {
+        const newRule = this.normalizeRule({ ...fields, createdAt: Date.now(), order: order++ });
+        if (community) {
+          newRule.communityId = community;
+        }
+        do {
+          newRule.id = this.generateId();
+        } while (await Database.request(rules.get(newRule.id)));
+        rules.put(newRule);
+      }
+      return result;
+    });
+
+    return {
+      success: true,
+      added: plan.added.length,
+      updated: plan.updated.length,
+      unchanged: plan.unchanged.length
+    };
+  }
+
+  /**
+   * Seed the default rules into a new workspace. This happens once per
+   * workspace: a workspace whose rules were all deleted stays empty.
+   * @returns {Promise<boolean>} True if the default rules were added
+   */
+  static async initializeDefaultRules() {
+    const seededKey = WorkspaceStorage.getRulesSeededKey(await WorkspaceStorage.getActiveId());
+    const [stored, rules, trashedRules] = await Promise.all([
+      chrome.storage.local.get([seededKey]),
+      this.readRules(),
+      TrashStorage.readTrash({ types: ['rule'] })
+    ]);
+    if (stored[seededKey]) {
+      return false;
+    }
+
+    // Workspaces from before the flag count as new only if they never had a rule
+    if (rules.length === 0 && trashedRules.length === 0) {
+      const defaultRules = [
+        { name: 'Be kind and respectful', color: '#ef4444', createdAt: Date.now(), severity: 'medium' },
+        { name: 'Keep Tweets on topic', color: '#f59e0b', createdAt: Date.now(), severity: 'low' },
+        { name: 'No NSFW', color: '#8b5cf6', createdAt: Date.now(), severity: 'high', keywords: ['nsfw', 'explicit'], phrases: ['adult content'] }
+      ].map((rule, index) => this.normalizeRule({ ...rule, id: this.generateId(), order: index }));
+      
+      if (!(await this.saveRules(defaultRules))) {
+        throw new Error('Could not save the default rules');
+      }
+    }
+    
+    await chrome.storage.local.set({ [seededKey]: true });
+    return rules.length === 0 && trashedRules.length === 0;
+  }
+}
+
+
+/**
+ * RulePacks - Built-in rule presets and shareable rule pack files
+ *
+ * A pack is { format, version, name, description, rules }, where each rule
+ * carries the portable rule fields (no IDs, communities or order). Packs
+ * are merged into the existing rules by RuleStorage.importPack.
+ */
+class RulePacks {
+  static FORMAT = 'x-flagr-rule-pack';
+
+  static VERSION = 1;
+
+  // Pack names double as the group of the rules they add
+  static MAX_NAME_LENGTH = RuleStorage.MAX_GROUP_LENGTH;
+
+  static MAX_DESCRIPTION_LENGTH = 200;
+
+  static MAX_RULES = 100;
+
+  // Same characters the popup accepts for rule names, so imported rules stay editable
+  static RULE_NAME_PATTERN = /^[a-zA-Z0-9\s\-_]+$/;
+
+  static PRESETS = [
+    {
+      id: 'crypto',
+      name: 'Crypto & NFT',
+      description: 'Scams, wallet drainers, shilling and fake team members in crypto and NFT communities.',
+      rules: [
+        {
+          name: 'Scam links and wallet drainers',
+          color: '#ef4444',
+          severity: 'critical',
+          category: 'Scams',
+          description: 'No links or instructions that ask members to connect a wallet, claim tokens or share a seed phrase.',
+          keywords: ['airdrop', 'drainer'],
+          phrases: ['claim now', 'connect wallet', 'connect your wallet', 'seed phrase', 'recovery phrase', 'free mint', 'validate wallet'],
+          patterns: ['https?://\\S*(claim|airdrop|mint)\\S*'],
+          detectors: ['linkDomains', 'walletAddresses']
+        },
+        {
+          name: 'Impersonating the team',
+          color: '#dc2626',
+          severity: 'high',
+          category: 'Scams',
+          description: 'Only official team accounts may speak for the project. Never pose as support, admins or moderators.',
+          phrases: ['official support', 'support team', 'admin here', 'dm me for help', 'dm for support', 'verify your wallet']
+        },
+        {
+          name: 'Shilling and pump calls',
+          color: '#f59e0b',
+          severity: 'medium',
+          category: 'Spam',
+          description: 'No promotion of other tokens, presales or coordinated pump calls.',
+          keywords: ['100x', '1000x', 'presale', 'pump', 'shill'],
+          phrases: ['to the moon', 'next gem', 'buy now', 'ape in'],
+          detectors: ['hashtags', 'shouting']
+        },
+        {
+          name: 'Guaranteed returns',
+          color: '#eab308',
+          severity: 'medium',
+          category: 'Scams',
+          description: 'No promises of profit, guaranteed returns or risk-free investments.',
+          keywords: ['risk-free'],
+          phrases: ['guaranteed profit', 'guaranteed returns', 'risk free', 'passive income', 'double your']
+        },
+        {
+          name: 'Giveaway farming',
+          color: '#84cc16',
+          severity: 'low',
+          category: 'Spam',
+          description: 'No engagement farming through giveaways or whitelist spots.',
+          keywords: ['giveaway'],
+          phrases: ['like and retweet', 'like & rt', 'follow and rt', 'tag 3 friends', 'whitelist spot', 'wl spot'],
+          detectors: ['mentions']
+        }
+      ]
+    },
+    {
+      id: 'gaming',
+      name: 'Gaming',
+      description: 'Cheats, account trading, spoilers and toxic behaviour in gaming communities.',
+      rules: [
+        {
+          name: 'Cheats and exploits',
+          color: '#ef4444',
+          severity: 'high',
+          category: 'Fair play',
+          description: 'No sharing, selling or asking for cheats, hacks or exploits.',
+          keywords: ['aimbot', 'wallhack', 'cheat', 'hacks', 'exploit', 'injector', 'undetected'],
+          phrases: ['mod menu']
+        },
+        {
+          name: 'Account trading and boosting',
+          color: '#f97316',
+          severity: 'medium',
+          category: 'Fair play',
+          description: 'No buying, selling or sharing accounts and no paid boosting.',
+          keywords: ['boosting'],
+          phrases: ['selling account', 'account for sale', 'buy account', 'elo boost', 'rank boost', 'carry service']
+        },
+        {
+          name: 'Toxic behaviour',
+          color: '#a855f7',
+          severity: 'medium',
+          category: 'Conduct',
+          description: 'Criticise plays, not players. No insults, flaming or telling people to quit.',
+          keywords: ['uninstall', 'kys'],
+          phrases: ['trash player', 'ez clap', 'cry more', 'noob team']
+        },
+        {
+          name: 'Unmarked spoilers',
+          color: '#3b82f6',
+          severity: 'low',
+          category: 'Content',
+          description: 'Story details, endings and leaks must be marked as spoilers.',
+          keywords: ['spoiler', 'leaked'],
+          phrases: ['the ending', 'plot twist', 'dies at the end'],
+          negativeKeywords: ['spoiler free', 'no spoilers', 'spoiler warning']
+        },
+        {
+          name: 'Stream self-promotion',
+          color: '#14b8a6',
+          severity: 'low',
+          category: 'Spam',
+          description: 'Stream and channel links only in the weekly promotion thread.',
+          keywords: ['twitch.tv'],
+          phrases: ['live now', 'my stream', 'check out my channel', 'sub to my', 'follow my stream'],
+          detectors: ['linkDomains']
+        }
+      ]
+    },
+    {
+      id: 'news',
+      name: 'News',
+      description: 'Misinformation, missing sources, personal attacks and doxxing in news and discussion communities.',
+      rules: [
+        {
+          name: 'Doxxing',
+          color: '#dc2626',
+          severity: 'critical',
+          category: 'Safety',
+          description: 'Never share private information such as addresses, phone numbers or workplaces.',
+          keywords: ['dox'],
+          phrases: ['home address', 'lives at', 'phone number', 'where he works', 'where she works']
+        },
+        {
+          name: 'Misinformation',
+          color: '#ef4444',
+          severity: 'high',
+          category: 'Accuracy',
+          description: 'No content that has been debunked by reliable sources or is presented as fact without evidence.',
+          keywords: ['hoax'],
+          phrases: ['fake news', 'wake up', 'do your own research', 'they don\'t want you to know', 'mainstream media lies']
+        },
+        {
+          name: 'Personal attacks',
+          color: '#a855f7',
+          severity: 'medium',
+          category: 'Conduct',
+          description: 'Argue with the point, not the person. No insults or name-calling.',
+          keywords: ['idiot', 'moron', 'shill'],
+          phrases: ['paid troll', 'bot account']
+        },
+        {
+          name: 'Source required',
+          color: '#f59e0b',
+          severity: 'low',
+          category: 'Accuracy',
+          description: 'Claims about current events need a link to a reliable source.',
+          keywords: ['rumor', 'rumour', 'allegedly', 'unconfirmed'],
+          phrases: ['trust me', 'i heard']
+        },
+        {
+          name: 'Off-topic',
+          color: '#64748b',
+          severity: 'low',
+          category: 'Content',
+          description: 'Posts must relate to a current news story.',
+          phrases: ['unpopular opinion', 'random thought', 'off topic']
+        }
+      ]
+    },
+    {
+      id: 'support',
+      name: 'Support Forum',
+      description: 'Fake support contacts, personal data, rudeness and duplicate posts in product support communities.',
+      rules: [
+        {
+          name: 'Fake support contacts',
+          color: '#dc2626',
+          severity: 'critical',
+          category: 'Scams',
+          description: 'Only official support channels may be shared. No phone numbers, WhatsApp or Telegram "support".',
+          keywords: ['helpline', 'whatsapp', 'telegram'],
+          phrases: ['call this number', 'customer care number', 'contact support at', 'support number'],
+          detectors: ['inviteLinks']
+        },
+        {
+          name: 'Sharing personal data',
+          color: '#ef4444',
+          severity: 'high',
+          category: 'Safety',
+          description: 'Never post passwords, account numbers, payment details or other personal data, not even your own.',
+          keywords: ['password'],
+          phrases: ['my email is', 'account number', 'credit card', 'card number', 'social security']
+        },
+        {
+          name: 'Rude to helpers',
+          color: '#a855f7',
+          severity: 'medium',
+          category: 'Conduct',
+          description: 'Volunteers and staff help for free. Frustration is fine, abuse is not.',
+          keywords: ['useless', 'incompetent', 'pathetic'],
+          phrases: ['worst support', 'do your job'],
+          detectors: ['shouting', 'repeatedCharacters']
+        },
+        {
+          name: 'Duplicate posts',
+          color: '#f59e0b',
+          severity: 'low',
+          category: 'Content',
+          description: 'Search before posting and add to the existing thread instead of opening a new one.',
+          keywords: ['bump'],
+          phrases: ['same problem', 'any update', 'still broken', 'me too']
+        },
+        {
+          name: 'Off-topic',
+          color: '#64748b',
+          severity: 'low',
+          category: 'Content',
+          description: 'Keep posts about the product and its support.',
+          keywords: ['unrelated'],
+          phrases: ['off topic']
+        }
+      ]
+    }
+  ];
+
+  /**
+   * Get a built-in pack
+   * @param {string} presetId - Preset ID
+   * @returns {Object|null} Pack or null if unknown
+   */
+  static getPreset(presetId) {
+    const preset = this.PRESETS.find(candidate => candidate.id === presetId);
+    return preset ? this.normalize({ format: this.FORMAT, version: this.VERSION, ...preset }) : null;
+  }
+
+  /**
+   * Validate rule pack file contents and keep only the portable fields
+   * @param {Object} data - Parsed pack
+   * @returns {Object} Pack { format, version, name, description, rules }
+   * @throws {Error} If the data is not a valid rule pack
+   */
+  static normalize(data) {
+    if (!data || data.format !== this.FORMAT || !Array.isArray(data.rules)) {
+      throw new Error('Not an X-Flagr rule pack');
+    }
+    if (Number(data.version) > this.VERSION) {
+      throw new Error('This rule pack needs a newer version of the extension');
+    }
+
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name || name.length > this.MAX_NAME_LENGTH) {
+      throw new Error(`Pack name must be 1-${this.MAX_NAME_LENGTH} characters`);
+    }
+    if (data.rules.length === 0 || data.rules.length > this.MAX_RULES) {
+      throw new Error(`A rule pack must contain 1-${this.MAX_RULES} rules`);
+    }
+
+    // Later rules with the same name as an earlier one are dropped
+    const names = new Set();
+    const rules = [];
+    data.rules.forEach(rule => {
+      const fields = {
+        name: rule && typeof rule.name === 'string' ? rule.name.trim() : '',
+        color: rule ? rule.color : undefined,
+        description: rule && typeof rule.description === 'string' ? rule.description.trim() : '',
+        severity: rule && RuleStorage.SEVERITIES.includes(rule.severity) ? rule.severity : RuleStorage.DEFAULT_SEVERITY,
+        category: rule && typeof rule.category === 'string' ? rule.category.trim() : '',
+        group: rule && typeof rule.group === 'string' ? rule.group.trim() : '',
+        weight: rule && typeof rule.weight === 'number' ? rule.weight : null,
+        expiryDays: rule && typeof rule.expiryDays === 'number' ? rule.expiryDays : null,
+        escalation: rule && Array.isArray(rule.escalation) ? rule.escalation : null,
+        ...RuleStorage.normalizeDetection(rule || {})
+      };
+      const error = RuleStorage.validateFields(fields) ||
+        (this.RULE_NAME_PATTERN.test(fields.name) ? null : 'Rule names may only contain letters, numbers, spaces, hyphens and underscores');
+      if (error) {
+        throw new Error(`${fields.name || 'Unnamed rule'}: ${error}`);
+      }
+      if (!names.has(fields.name.toLowerCase())) {
+        names.add(fields.name.toLowerCase());
+        rules.push(fields);
+      }
+    });
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      name: name,
+      description: typeof data.description === 'string' ? data.description.trim().substring(0, this.MAX_DESCRIPTION_LENGTH) : '',
+      rules: rules
+    };
+  }
+
+  /**
+   * Build a shareable pack from existing rules
+   * @param {string} name - Pack name
+   * @param {Array} rules - Rules to include, in pack order
+   * @param {string} description - Optional pack description
+   * @returns {Object} Pack
+   * @throws {Error} If the name or rules are invalid
+   */
+  static create(name, rules, description = '') {
+    return this.normalize({
+      format: this.FORMAT,
+      version: this.VERSION,
+      name: name,
+      description: description,
+      rules: rules
+    });
+  }
+}
+
+
+/**
+ * RuleDetection - Scores text against the detection terms and detectors of rules
+ *
+ * Shared by the quick-mark suggestions and the testers in the popup, so they
+ * always agree. Keywords match whole words, phrases match word sequences
+ * regardless of punctuation and spacing, and regular expressions are tested
+ * case-insensitively. Detectors look for content signals (links, mentions,
+ * wallet addresses, ...): they count fully for the rules that use them and
+ * partly for every other rule the text already matches. A single negative
+ * keyword rules a rule out.
+ */
+class RuleDetection {
+  static SCORES = { keyword: 10, phrase: 15, pattern: 20, name: 5 };
+
+  // Text must score at least this much for a rule to be suggested
+  static MIN_SCORE = 10;
+
+  // Number of suggestions offered when marking from a tweet
+  static SUGGESTION_LIMIT = 3;
+
+  // Rules without detection terms fall back to name words of this length or more
+  static MIN_NAME_WORD_LENGTH = 4;
+
+  // Share of a detector's weight added to matching rules that don't use it.
+  // Signals alone never make such a rule a suggestion, they only rank it.
+  static OTHER_RULES_DETECTOR_SHARE = 0.5;
+
+  // Content signals found in the text. Each adds its weight to the score of
+  // the rules using it when it fires (see score()); options are set in Settings.
+  static DETECTORS = {
+    linkDomains: {
+      label: 'Link domains',
+      description: 'Links to one of the listed domains',
+      defaults: { enabled: true, weight: 20, domains: 'bit.ly, tinyurl.com, cutt.ly, rebrand.ly, linktr.ee' },
+      run(text, options) {
+        const domains = RuleDetection.parseDomains(options.domains);
+        const hosts = (text.toLowerCase().match(/\b(?:[a-z0-9-]+\.)+[a-z]{2,}(?=[/\s:?#]|$)/g) || [])
+          .map(host => host.replace(/^www\./, ''))
+          .filter(host => domains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+        return hosts.length ? `Links to ${[...new Set(hosts)].join(', ')}` : null;
+      }
+    },
+    mentions: {
+      label: 'Mentions',
+      description: 'Mentions at least this many accounts',
+      defaults: { enabled: true, weight: 10, threshold: 5 },
+      ranges: { threshold: [1, 50] },
+      run(text, options) {
+        const count = (text.match(/(^|[^\w@])@\w{1,15}/g) || []).length;
+        return count >= options.threshold ? `${count} mentions` : null;
+      }
+    },
+    hashtags: {
+      label: 'Hashtag density',
+      description: 'At least 3 hashtags making up this share (%) of the words',
+      defaults: { enabled: true, weight: 10, ratio: 30 },
+      ranges: { ratio: [1, 100] },
+      run(text, options) {
+        const words = text.split(/\s+/).filter(Boolean).length;
+        const tags = (text.match(/(^|\s)#[\p{L}\p{N}_]+/gu) || []).length;
+        return tags >= 3 && tags / words * 100 >= options.ratio ? `${tags} hashtags in ${words} words` : null;
+      }
+    },
+    shouting: {
+      label: 'Emoji or caps ratio',
+      description: 'Capital letters or emoji making up this share (%) of the text',
+      defaults: { enabled: true, weight: 10, ratio: 60 },
+      ranges: { ratio: [1, 100] },
+      run(text, options) {
+        const letters = (text.match(/\p{L}/gu) || []).length;
+        const capitals = (text.match(/\p{Lu}/gu) || []).length;
+        if (letters >= 10 && capitals / letters * 100 >= options.ratio) {
+          return `${Math.round(capitals / letters * 100)}% capital letters`;
+        }
+        const emoji = (text.match(/\p{Extended_Pictographic}/gu) || []).length;
+        const words = text.split(/\s+/).filter(Boolean).length;
+        if (emoji >= 5 && emoji / (words + emoji) * 100 >= options.ratio) {
+          return `${emoji} emoji`;
+        }
+        return null;
+      }
+    },
+    repeatedCharacters: {
+      label: 'Repeated characters',
+      description: 'The same character at least this many times in a row',
+      defaults: { enabled: true, weight: 5, length: 6 },
+      ranges: { length: [3, 20] },
+      run(text, options) {
+        const match = text.match(new RegExp(`(\\S)\\1{${options.length - 1},}`, 'u'));
+        return match ? `"${match[0].substring(0, 12)}"` : null;
+      }
+    },
+    inviteLinks: {
+      label: 'Invite links',
+      description: 'Discord, Telegram, WhatsApp or Signal invite links',
+      defaults: { enabled: true, weight: 20 },
+      run(text) {
+        const match = text.match(/\b(?:discord(?:app)?\.(?:gg|com\/invite)|t\.me|telegram\.me|chat\.whatsapp\.com|wa\.me|signal\.group)\/[\w+#-]+/i);
+        return match ? `Invite link ${match[0]}` : null;
+      }
+    },
+    walletAddresses: {
+      label: 'Wallet addresses',
+      description: 'Ethereum, Bitcoin, Tron or Solana addresses',
+      defaults: { enabled: true, weight: 25 },
+      run(text) {
+        const formats = [
+          ['Ethereum', /\b0x[a-fA-F0-9]{40}\b/],
+          ['Bitcoin', /\b(?:bc1[a-z0-9]{25,59}|[13][a-km-zA-HJ-NP-Z1-9]{25,34})\b/],
+          ['Tron', /\bT[1-9A-HJ-NP-Za-km-z]{33}\b/],
+          // Base58 runs are only taken for addresses if they mix digits and both cases
+          ['Solana', /\b(?=[1-9A-HJ-NP-Za-km-z]*\d)(?=[1-9A-HJ-NP-Za-km-z]*[a-z])(?=[1-9A-HJ-NP-Za-km-z]*[A-Z])[1-9A-HJ-NP-Za-km-z]{32,44}\b/]
+        ];
+        for (const [name, format] of formats) {
+          const match = text.match(format);
+          if (match) {
+            return `${name} address ${match[0].substring(0, 6)}…${match[0].slice(-4)}`;
+          }
+        }
+        return null;
+      }
+    }
+  };
+
+  static MAX_DETECTOR_WEIGHT = 100;
+
+  // Scores at or above this count as 100% confidence
+  static CONFIDENT_SCORE = 40;
+
+  /**
+   * Fill in detector settings; numbers are rounded and clamped
+   * @param {Object} settings - Stored { [detectorId]: { enabled, weight, ...options } } (may be partial)
+   * @returns {Object} Complete detector settings
+   */
+  static normalizeDetectorSettings(settings) {
+    const normalized = {};
+    Object.entries(this.DETECTORS).forEach(([id, detector]) => {
+      const stored = settings && typeof settings[id] === 'object' && settings[id] ? settings[id] : {};
+      const ranges = { weight: [0, this.MAX_DETECTOR_WEIGHT], ...detector.ranges };
+      normalized[id] = {};
+      Object.entries(detector.defaults).forEach(([key, value]) => {
+        let option = typeof stored[key] === typeof value ? stored[key] : value;
+        if (ranges[key]) {
+          option = Number.isFinite(option) ? Math.min(ranges[key][1], Math.max(ranges[key][0], Math.round(option))) : value;
+        }
+        normalized[id][key] = option;
+      });
+    });
+    return normalized;
+  }
+
+  /**
+   * Split a domain list
+   * @param {string} value - Comma- or space-separated domains
+   * @returns {Array<string>} Lowercase domains without scheme or www.
+   */
+  static parseDomains(value) {
+    return value.toLowerCase().split(/[\s,]+/)
+      .map(domain => domain.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Run every enabled detector once over a text
+   * @param {string} text - Text to check
+   * @param {Object} settings - Detector settings (see normalizeDetectorSettings)
+   * @returns {Object} { [detectorId]: { label, reason, points } } of the detectors that fired
+   */
+  static runDetectors(text, settings) {
+    const signals = {};
+    if (!text) {
+      return signals;
+    }
+    const normalized = this.normalizeDetectorSettings(settings);
+    Object.entries(this.DETECTORS).forEach(([id, detector]) => {
+      const options = normalized[id];
+      if (!options.enabled || options.weight <= 0) {
+        return;
+      }
+      const reason = detector.run(text, options);
+      if (reason) {
+        signals[id] = { label: detector.label, reason: reason, points: options.weight };
+      }
+    });
+    return signals;
+  }
+
+  /**
+   * Compile a detection pattern
+   * @param {string} pattern - Regular expression source
+   * @returns {RegExp|null} Case-insensitive expression, or null if invalid
+   */
+  static compile(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether lowercase text contains a term as a whole word
+   * @param {string} text - Lowercase text
+   * @param {string} term - Lowercase keyword (may contain spaces or punctuation)
+   * @returns {boolean} True if found
+   */
+  static containsWord(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+  }
+
+  /**
+   * Reduce text to its words, for phrase matching
+   * @param {string} text - Text
+   * @returns {string} Lowercase words separated and surrounded by single spaces
+   */
+  static tokenize(text) {
+    return ` ${text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+  }
+
+  /**
+   * Number of detection terms of a rule
+   * @param {Object} rule - Rule
+   * @returns {number} Count over all term lists
+   */
+  static countTerms(rule) {
+    return Object.keys(RuleStorage.DETECTION_LISTS).reduce((sum, list) => sum + (rule[list] || []).length, 0);
+  }
+
+  /**
+   * Score text against one rule
+   * @param {Object} rule - Rule with detection term lists and detectors
+   * @param {string} text - Text to check (e.g. a tweet)
+   * @param {Object} signals - Detectors that fired for the text (see runDetectors)
+   * @returns {Object} { score, confidence, matches: [{ type, term, points, detail }], blockedBy } - blockedBy is the negative keyword found
+   */
+  static score(rule, text, signals = {}) {
+    const result = { score: 0, confidence: 0, matches: [], blockedBy: null };
+    if (!rule || !text) {
+      return result;
+    }
+
+    const lower = text.toLowerCase();
+    result.blockedBy = (rule.negativeKeywords || []).find(term => this.containsWord(lower, term)) || null;
+    if (result.blockedBy) {
+      return result;
+    }
+
+    const add = (type, term, points = this.SCORES[type], detail = null) => {
+      result.matches.push({ type: type, term: term, points: points, detail: detail });
+      result.score += points;
+    };
+    const words = this.tokenize(text);
+
+    (rule.keywords || []).forEach(term => {
+      if (this.containsWord(lower, term)) {
+        add('keyword', term);
+      }
+    });
+    (rule.phrases || []).forEach(term => {
+      const phrase = this.tokenize(term);
+      if (phrase.trim() && words.includes(phrase)) {
+        add('phrase', term);
+      }
+    });
+    (rule.patterns || []).forEach(pattern => {
+      const regex = this.compile(pattern);
+      if (regex && regex.test(text)) {
+        add('pattern', pattern);
+      }
+    });
+
+    if (this.countTerms(rule) === 0) {
+      new Set(rule.name.toLowerCase().split(/\s+/)).forEach(word => {
+        if (word.length >= this.MIN_NAME_WORD_LENGTH && this.containsWord(lower, word)) {
+          add('name', word);
+        }
+      });
+    }
+
+    const matched = result.score > 0;
+    Object.entries(signals).forEach(([id, signal]) => {
+      const points = (rule.detectors || []).includes(id)
+        ? signal.points
+        : matched ? Math.round(signal.points * this.OTHER_RULES_DETECTOR_SHARE) : 0;
+      if (points > 0) {
+        add('detector', signal.label, points, signal.reason);
+      }
+    });
+
+    result.confidence = Math.min(100, Math.round(result.score / this.CONFIDENT_SCORE * 100));
+    return result;
+  }
+
+  /**
+   * Describe why a rule matched
+   * @param {Object} match - Entry of score().matches
+   * @returns {string} Plain-text reason, e.g. 'keyword "airdrop"'
+   */
+  static describeMatch(match) {
+    if (match.type === 'detector') {
+      return `${match.term}: ${match.detail}`;
+    }
+    return `${match.type === 'name' ? 'name word' : match.type} "${match.term}"`;
+  }
+
+  /**
+   * Rules that match text, best first (ties keep the rule order)
+   * @param {Array} rules - Candidate rules
+   * @param {string} text - Text to check
+   * @param {Object} detectorSettings - Detector settings (defaults if omitted)
+   * @returns {Array<Object>} [{ rule, score, confidence, matches }] with at least MIN_SCORE
+   */
+  static rank(rules, text, detectorSettings = null) {
+    const signals = this.runDetectors(text, detectorSettings);
+    return rules
+      .map(rule => ({ rule: rule, ...this.score(rule, text, signals) }))
+      .filter(result => result.score >= this.MIN_SCORE)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Best matching rule for text
+   * @param {Array} rules - Candidate rules
+   * @param {string} text - Text to check
+   * @param {Object} detectorSettings - Detector settings (defaults if omitted)
+   * @returns {Object|null} { rule, score, confidence, matches } or null if no rule scores high enough
+   */
+  static detect(rules, text, detectorSettings = null) {
+    return this.rank(rules, text, detectorSettings)[0] || null;
+  }
+
+  /**
+   * Suggestions for marking the author of a text
+   * @param {Array} rules - Candidate rules
+   * @param {string} text - Text to check
+   * @param {Object} detectorSettings - Detector settings (defaults if omitted)
+   * @returns {Array<Object>} Up to SUGGESTION_LIMIT results of rank()
+   */
+  static suggest(rules, text, detectorSettings = null) {
+    return this.rank(rules, text, detectorSettings).slice(0, this.SUGGESTION_LIMIT);
+  }
+}
+
+
+/**
+ * EscalationPolicy - Recommended moderator actions by number of strikes
+ *
+ * A ladder is a list of steps [{ strikes, action }] sorted by strikes. The
+ * workspace ladder (Settings) applies to all violations together; a rule
+ * with its own ladder counts its violations separately. Only active
+ * (not expired) violations are strikes.
+ */
+class EscalationPolicy {
+  // Actions in order of severity
+  static ACTIONS = {
+    warn: 'Warn',
+    mute: 'Temporary mute',
+    remove: 'Remove from community'
+  };
+
+  static DEFAULT_LADDER = [
+    { strikes: 1, action: 'warn' },
+    { strikes: 3, action: 'mute' },
+    { strikes: 5, action: 'remove' }
+  ];
+
+  static MAX_STEPS = 10;
+
+  static MAX_STRIKES = 100;
+
+  /**
+   * Validate a ladder
+   * @param {Array} ladder - Steps
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateLadder(ladder) {
+    if (!Array.isArray(ladder) || ladder.length === 0 || ladder.length > this.MAX_STEPS) {
+      return `An escalation ladder needs 1-${this.MAX_STEPS} steps`;
+    }
+    const seen = new Set();
+    for (const step of ladder) {
+      if (!step || !Number.isInteger(step.strikes) || step.strikes < 1 || step.strikes > this.MAX_STRIKES) {
+        return `Strikes must be a whole number from 1 to ${this.MAX_STRIKES}`;
+      }
+      if (!Object.prototype.hasOwnProperty.call(this.ACTIONS, step.action)) {
+        return 'Unknown escalation action';
+      }
+      if (seen.has(step.strikes)) {
+        return `Two steps at ${step.strikes} strike(s)`;
+      }
+      seen.add(step.strikes);
+    }
+    return null;
+  }
+
+  /**
+   * Clean up a stored ladder: valid steps only, sorted by strikes
+   * @param {Array} ladder - Steps
+   * @returns {Array|null} Ladder, or null if no valid step is left
+   */
+  static normalizeLadder(ladder) {
+    if (!Array.isArray(ladder)) {
+      return null;
+    }
+    const steps = [];
+    ladder
+      .filter(step => step && !this.validateLadder([step]))
+      .sort((a, b) => a.strikes - b.strikes)
+      .forEach(step => {
+        if (steps.length < this.MAX_STEPS && !steps.some(existing => existing.strikes === step.strikes)) {
+          steps.push({ strikes: step.strikes, action: step.action });
+        }
+      });
+    return steps.length ? steps : null;
+  }
+
+  /**
+   * Describe a ladder, e.g. '1: Warn, 3: Temporary mute'
+   * @param {Array} ladder - Steps
+   * @returns {string} Description
+   */
+  static describeLadder(ladder) {
+    return (ladder || []).map(step => `${step.strikes}: ${this.ACTIONS[step.action]}`).join(', ');
+  }
+
+  /**
+   * Work out where a user stands on the escalation ladders
+   * @param {Object} userData - User data with active violations only (see UserStorage.getActiveUser)
+   * @param {Array} rules - Rules, for their own ladders
+   * @param {Array} ladder - Workspace ladder
+   * @returns {Object} { strikes, current, next } - current is the most severe step reached
+   *   { key, action, label, strikes, step, steps, ruleName }, next the closest more severe
+   *   step { action, label, strikes, remaining, ruleName }; either may be null
+   */
+  static evaluate(userData, rules, ladder) {
+    const rulesById = new Map((rules || []).map(rule => [rule.id, rule]));
+    const tracks = [{ rule: null, ladder: this.normalizeLadder(ladder) || this.DEFAULT_LADDER, count: 0 }];
+    let strikes = 0;
+    Object.entries((userData && userData.rules) || {}).forEach(([ruleId, ruleData]) => {
+      const rule = rulesById.get(ruleId);
+      strikes += ruleData.count;
+      if (rule && rule.escalation) {
+        tracks.push({ rule: rule, ladder: rule.escalation, count: ruleData.count });
+      } else {
+        tracks[0].count += ruleData.count;
+      }
+    });
+
+    const severity = action => Object.keys(this.ACTIONS).indexOf(action);
+    let current = null;
+    tracks.forEach(track => {
+      const index = track.ladder.reduce((reached, step, i) => (step.strikes <= track.count ? i : reached), -1);
+      const step = track.ladder[index];
+      if (step && (!current || severity(step.action) > severity(current.action))) {
+        current = {
+          key: `${track.rule ? track.rule.id : ''}:${index}`,
+          action: step.action,
+          label: this.ACTIONS[step.action],
+          strikes: step.strikes,
+          step: index + 1,
+          steps: track.ladder.length,
+          ruleName: track.rule ? track.rule.name : null
+        };
+      }
+    });
+
+    let next = null;
+    tracks.forEach(track => {
+      const step = track.ladder.find(candidate => candidate.strikes > track.count &&
+        (!current || severity(candidate.action) > severity(current.action)));
+      if (!step) {
+        return;
+      }
+      const remaining = step.strikes - track.count;
+      if (!next || remaining < next.remaining || (remaining === next.remaining && severity(step.action) > severity(next.action))) {
+        next = {
+          action: step.action,
+          label: this.ACTIONS[step.action],
+          strikes: step.strikes,
+          remaining: remaining,
+          ruleName: track.rule ? track.rule.name : null
+        };
+      }
+    });
+
+    return { strikes: strikes, current: current, next: next };
+  }
+
+  /**
+   * Describe the step a user is on, e.g. 'Step 2 of 3: Temporary mute (3 strikes)'
+   * @param {Object} current - evaluate().current
+   * @returns {string} Description
+   */
+  static describeStep(current) {
+    if (!current) {
+      return 'No escalation step reached';
+    }
+    const scope = current.ruleName ? ` for "${current.ruleName}"` : '';
+    return `Step ${current.step} of ${current.steps}${scope}: ${current.label} (${current.strikes} strike${current.strikes === 1 ? '' : 's'})`;
+  }
+
+  /**
+   * Describe the recommended next action, e.g. 'Remove from community after 2 more strikes'
+   * @param {Object} next - evaluate().next
+   * @returns {string} Description
+   */
+  static describeNext(next) {
+    if (!next) {
+      return 'Top of the escalation ladder';
+    }
+    const scope = next.ruleName ? ` of "${next.ruleName}"` : '';
+    return `${next.label} after ${next.remaining} more strike${next.remaining === 1 ? '' : 's'}${scope}`;
+  }
+
+  /**
+   * The step a new violation moved a user onto, if any
+   * @param {Object} before - evaluate() result before the violation
+   * @param {Object} after - evaluate() result after the violation
+   * @returns {Object|null} The new current step, or null if it did not change
+   */
+  static getNewStep(before, after) {
+    if (!after.current || (before.current && before.current.key === after.current.key)) {
+      return null;
+    }
+    return after.current;
+  }
+}
+
+
+/**
+ * UserStorage - Manages IndexedDB operations for marked users
+ *
+ * Readers get the assembled structure
+ * { [username]: { rules: { [ruleId]: { count, firstTimestamp, lastTimestamp, incidents } }, timestamp, note } },
+ * while writes only touch the records of the affected user.
+ */
+class UserStorage {
+  // Enforcement actions a moderator can record with a violation
+  static ENFORCEMENT_ACTIONS = {
+    warned: 'Warned in reply',
+    tweetRemoved: 'Tweet removed',
+    muted: 'Muted',
+    removed: 'Removed from community',
+    banned: 'Banned'
+  };
+
+  // Actions that can last for a limited time
+  static TIMED_ACTIONS = ['muted', 'banned'];
+
+  // Durations offered for timed actions, in hours
+  static ACTION_DURATIONS = [1, 24, 72, 168, 720];
+
+  static MAX_ACTION_HOURS = 24 * 365;
+
+  // Appeal status of a violation; overturned violations stay in the history but no longer count
+  static VIOLATION_STATUSES = {
+    active: 'Active',
+    appealed: 'Under appeal',
+    upheld: 'Upheld',
+    overturned: 'Overturned'
+  };
+
+  static DEFAULT_STATUS = 'active';
+
+  static MAX_STATUS_REASON_LENGTH = 500;
+
+  // Hosts evidence links may point to
+  static EVIDENCE_HOSTS = ['x.com', 'twitter.com', 'pbs.twimg.com', 'video.twimg.com'];
+
+  static MAX_EVIDENCE_TEXT_LENGTH = 10000;
+
+  static MAX_EVIDENCE_MEDIA = 10;
+
+  /**
+   * Normalize a username to its storage key (lowercase, without @)
+   * @param {string} username - Username with or without @
+   * @returns {string|null} Storage key, or null if the username is invalid
+   */
+  static normalizeUsername(username) {
+    if (typeof username !== 'string') {
+      return null;
+    }
+    const cleanUsername = username.trim().replace(/^@/, '');
+    // Twitter/X allows: 1-15 characters, alphanumeric and underscore
+    if (!/^[a-zA-Z0-9_]{1,15}$/.test(cleanUsername)) {
+      return null;
+    }
+    return cleanUsername.toLowerCase();
+  }
+
+  /**
+   * Build user data from a user record and its incident records
+   * @param {Object} userRecord - Record from the users store
+   * @param {Array<Object>} incidentRecords - Records from the incidents store
+   * @returns {Object} User data in the assembled structure
+   */
+  static assembleUser(userRecord, incidentRecords) {
+    const userData = { rules: {}, timestamp: userRecord.timestamp };
+    if (userRecord.note !== undefined) {
+      userData.note = userRecord.note;
+    }
+    if (userRecord.userId) {
+      userData.userId = userRecord.userId;
+    }
+    if (userRecord.aliases && userRecord.aliases.length > 0) {
+      userData.aliases = userRecord.aliases;
+    }
+
+    incidentRecords.forEach(({ username, ...incident }) => {
+      if (!userData.rules[incident.ruleId]) {
+        userData.rules[incident.ruleId] = { incidents: [] };
+      }
+      userData.rules[incident.ruleId].incidents.push(incident);
+    });
+    return this.syncUserStats(userData);
+  }
+
+  /**
+   * Keep the incidents visible in a community view
+   * @param {Array<Object>} incidentRecords - Incident records
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Array<Object>} Matching incidents
+   */
+  static scopeIncidents(incidentRecords, filter = {}) {
+    return incidentRecords.filter(incident => CommunityStorage.matches(incident.communityId, filter.communityId));
+  }
+
+  /**
+   * Get all marked users
+   * @param {Object} filter - Optional { communityId }; users without violations there are left out
+   * @returns {Promise<Object>} Users in the assembled structure
+   */
+  static async getMarkedUsers(filter = {}) {
+    try {
+      return await this.readMarkedUsers(filter);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Same as getMarkedUsers, but a failed read throws. Use it before
+   * replacing the users, where an empty map would wipe them.
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Promise<Object>} Marked users by username
+   */
+  static async readMarkedUsers(filter = {}) {
+    return Database.transaction(['users', 'incidents'], 'readonly', async ({ users, incidents }) => {
+      const [userRecords, incidentRecords] = await Promise.all([
+        Database.request(users.getAll()),
+        Database.request(incidents.getAll())
+      ]);
+
+      const incidentsByUser = {};
+      this.scopeIncidents(incidentRecords, filter).forEach(incident => {
+        if (!incidentsByUser[incident.username]) {
+          incidentsByUser[incident.username] = [];
+        }
+        incidentsByUser[incident.username].push(incident);
+      });
+
+      const result = {};
+      userRecords.forEach(userRecord => {
+        if (filter.communityId && !incidentsByUser[userRecord.username]) {
+          return;
+        }
+        result[userRecord.username] = this.assembleUser(userRecord, incidentsByUser[userRecord.username] || []);
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Get a single marked user
+   * @param {string} username - Username (with or without @)
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Promise<Object|null>} User data or null if not marked (there)
+   */
+  static async getUser(username, filter = {}) {
+    try {
+      return await this.readUser(username, filter);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Same as getUser, but a failed read throws instead of looking like an unmarked user
+   * @param {string} username - Username (with or without @)
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Promise<Object|null>} User data or null if not marked (there)
+   */
+  static async readUser(username, filter = {}) {
+    const usernameLower = username.toLowerCase().replace('@', '');
+    return Database.transaction(['users', 'incidents'], 'readonly', async ({ users, incidents }) => {
+      const [userRecord, incidentRecords] = await Promise.all([
+        Database.request(users.get(usernameLower)),
+        Database.request(incidents.index('username').getAll(usernameLower))
+      ]);
+      const scoped = this.scopeIncidents(incidentRecords, filter);
+      if (!userRecord || (filter.communityId && scoped.length === 0)) {
+        return null;
+      }
+      return this.assembleUser(userRecord, scoped);
+    });
+  }
+
+  /**
+   * Count marked users without loading their incidents
+   * @returns {Promise<number>} Number of marked users
+   */
+  static async countUsers() {
+    try {
+      return await Database.transaction('users', 'readonly', ({ users }) => {
+        return Database.request(users.count());
+      });
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Search marked users by username or note. Only the users store is
+   * scanned; incidents are loaded for matching users only.
+   * @param {string} searchTerm - Text to look for
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Promise<Object>} Matching users in the assembled structure
+   */
+  static async searchUsers(searchTerm, filter = {}) {
+    const searchLower = (searchTerm || '').toLowerCase().trim();
+    if (!searchLower) {
+      return this.getMarkedUsers(filter);
+    }
+
+    try {
+      return await Database.transaction(['users', 'incidents'], 'readonly', async ({ users, incidents }) => {
+        const userRecords = await Database.request(users.getAll());
+        const matches = userRecords.filter(userRecord => {
+          return userRecord.username.includes(searchLower) ||
+            (userRecord.aliases || []).some(alias => alias.includes(searchLower)) ||
+            (userRecord.note && userRecord.note.toLowerCase().includes(searchLower));
+        });
+
+        const incidentLists = await Promise.all(matches.map(userRecord => {
+          return Database.request(incidents.index('username').getAll(userRecord.username));
+        }));
+
+        const result = {};
+        matches.forEach((userRecord, i) => {
+          const scoped = this.scopeIncidents(incidentLists[i], filter);
+          if (filter.communityId && scoped.length === 0) {
+            return;
+          }
+          result[userRecord.username] = this.assembleUser(userRecord, scoped);
+        });
+        return result;
+      });
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Query incidents through the matching index, oldest first
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.username - Only incidents of this user
+   * @param {string} filter.ruleId - Only incidents of this rule
+   * @param {number} filter.since - Only incidents at or after this timestamp
+   * @param {number} filter.until - Only incidents at or before this timestamp
+   * @param {string} filter.communityId - Only incidents visible in this community
+   * @returns {Promise<Array<Object>>} Incident records including their username
+   */
+  static async getIncidents(filter = {}) {
+    const { username, ruleId, since, until } = filter;
+    try {
+      const records = await Database.transaction('incidents', 'readonly', ({ incidents }) => {
+        if (username && ruleId) {
+          return Database.request(incidents.index('username_ruleId').getAll([username.toLowerCase(), ruleId.toString()]));
+        }
+        if (username) {
+          return Database.request(incidents.index('username').getAll(username.toLowerCase()));
+        }
+        if (ruleId) {
+          return Database.request(incidents.index('ruleId').getAll(ruleId.toString()));
+        }
+
+        let range = null;
+        if (since !== undefined && until !== undefined) {
+          range = IDBKeyRange.bound(since, until);
+        } else if (since !== undefined) {
+          range = IDBKeyRange.lowerBound(since);
+        } else if (until !== undefined) {
+          range = IDBKeyRange.upperBound(until);
+        }
+        return Database.request(incidents.index('timestamp').getAll(range));
+      });
+
+      return this.scopeIncidents(records, filter)
+        .filter(incident => (since === undefined || incident.timestamp >= since) &&
+          (until === undefined || incident.timestamp <= until))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Build the users store record of assembled user data
+   * @param {string} usernameLower - Storage key
+   * @param {Object} userData - User data in the assembled structure
+   * @returns {Object} User record
+   */
+  static toUserRecord(usernameLower, userData) {
+    const userRecord = { username: usernameLower, timestamp: userData.timestamp };
+    if (userData.note !== undefined) {
+      userRecord.note = userData.note;
+    }
+    if (userData.userId) {
+      userRecord.userId = userData.userId;
+    }
+    if (userData.aliases && userData.aliases.length > 0) {
+      userRecord.aliases = userData.aliases;
+    }
+    return userRecord;
+  }
+
+  /**
+   * Replace all marked users
+   * @param {Object} users - Users in the assembled structure
+   * @returns {Promise<boolean>} True if saved
+   */
+  static async saveMarkedUsers(users) {
+    try {
+      await Database.transaction(['users', 'incidents'], 'readwrite', stores => {
+        this.writeMarkedUsers(stores, users);
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Replace all users and incidents inside a transaction
+   * @param {Object} stores - users and incidents stores of a readwrite transaction
+   * @param {Object} markedUsers - Complete users object (username -> user data)
+   */
+  static writeMarkedUsers({ users, incidents }, markedUsers) {
+    users.clear();
+    incidents.clear();
+
+    Object.entries(markedUsers).forEach(([username, userData]) => {
+      users.put(this.toUserRecord(username, userData));
+
+      Object.values(userData.rules || {}).forEach(ruleData => {
+        (ruleData.incidents || []).forEach(incident => {
+          incidents.put({ ...incident, username: username });
+        });
+      });
+    });
+  }
+
+  /**
+   * Generate a unique incident ID
+   * @returns {string} Incident ID
+   */
+  static generateIncidentId() {
+    return `inc_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  /**
+   * Create a new incident record for a single violation
+   * @param {string} ruleId - Rule ID that was violated
+   * @param {Object} details - Optional details (source, tweetUrl, timestamp, communityId, action,
+   *   actionDuration, evidence)
+   * @returns {Object} Incident record
+   */
+  static createIncident(ruleId, details = {}) {
+    return {
+      id: this.generateIncidentId(),
+      ruleId: ruleId.toString(),
+      timestamp: details.timestamp || Date.now(),
+      source: details.source || 'popup',
+      tweetUrl: details.tweetUrl || null,
+      communityId: CommunityStorage.normalizeId(details.communityId),
+      action: details.action || null,
+      actionDuration: details.action && details.actionDuration ? details.actionDuration : null,
+      status: this.DEFAULT_STATUS,
+      statusReason: '',
+      statusDate: null,
+      evidence: this.normalizeEvidence(details.evidence)
+    };
+  }
+
+  /**
+   * Whether a URL may be linked as evidence (https on X.com or its media hosts)
+   * @param {string} url - URL
+   * @returns {boolean} True if allowed
+   */
+  static isEvidenceUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && this.EVIDENCE_HOSTS.includes(parsed.hostname.replace(/^(www|mobile)\./, ''));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Clean up a tweet snapshot taken when marking from a tweet
+   * @param {Object} evidence - { statusId, text, postedAt, media, capturedAt }
+   * @returns {Object|null} Evidence, or null if it holds nothing
+   */
+  static normalizeEvidence(evidence) {
+    if (!evidence || typeof evidence !== 'object') {
+      return null;
+    }
+
+    const statusId = typeof evidence.statusId === 'string' && /^\d{1,25}$/.test(evidence.statusId) ? evidence.statusId : null;
+    const text = typeof evidence.text === 'string' ? evidence.text.trim().substring(0, this.MAX_EVIDENCE_TEXT_LENGTH) : '';
+    const media = Array.isArray(evidence.media)
+      ? [...new Set(evidence.media.filter(url => typeof url === 'string' && this.isEvidenceUrl(url)))].slice(0, this.MAX_EVIDENCE_MEDIA)
+      : [];
+    if (!statusId && !text && media.length === 0) {
+      return null;
+    }
+
+    return {
+      statusId: statusId,
+      text: text,
+      postedAt: Number.isFinite(evidence.postedAt) ? evidence.postedAt : null,
+      media: media,
+      capturedAt: Number.isFinite(evidence.capturedAt) ? evidence.capturedAt : Date.now()
+    };
+  }
+
+  /**
+   * Appeal status of a violation (violations recorded before statuses existed are active)
+   * @param {Object} incident - Incident record
+   * @returns {string} Key of VIOLATION_STATUSES
+   */
+  static getStatus(incident) {
+    return Object.prototype.hasOwnProperty.call(this.VIOLATION_STATUSES, incident.status) ? incident.status : this.DEFAULT_STATUS;
+  }
+
+  /**
+   * Whether a violation was overturned on appeal
+   * @param {Object} incident - Incident record
+   * @returns {boolean} True if overturned
+   */
+  static isOverturned(incident) {
+    return this.getStatus(incident) === 'overturned';
+  }
+
+  /**
+   * Validate an appeal status and its reason
+   * @param {string} status - Key of VIOLATION_STATUSES
+   * @param {string} reason - Optional reason
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateStatus(status, reason = '') {
+    if (!Object.prototype.hasOwnProperty.call(this.VIOLATION_STATUSES, status)) {
+      return 'Unknown violation status';
+    }
+    if (typeof reason !== 'string' || reason.length > this.MAX_STATUS_REASON_LENGTH) {
+      return `Reason must be at most ${this.MAX_STATUS_REASON_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Describe the appeal status of a violation, e.g. 'Overturned: Satire account'
+   * @param {Object} incident - Incident record
+   * @returns {string} Description
+   */
+  static describeStatus(incident) {
+    const label = this.VIOLATION_STATUSES[this.getStatus(incident)];
+    return incident.statusReason ? `${label}: ${incident.statusReason}` : label;
+  }
+
+  /**
+   * Validate an enforcement action and its duration
+   * @param {string|null} action - Key of ENFORCEMENT_ACTIONS (or null for none)
+   * @param {number|null} duration - Optional duration in hours
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateAction(action, duration = null) {
+    if (action && !Object.prototype.hasOwnProperty.call(this.ENFORCEMENT_ACTIONS, action)) {
+      return 'Unknown enforcement action';
+    }
+    if (duration === null || duration === undefined) {
+      return null;
+    }
+    if (!this.TIMED_ACTIONS.includes(action)) {
+      return 'Only mutes and bans can have a duration';
+    }
+    if (!Number.isInteger(duration) || duration < 1 || duration > this.MAX_ACTION_HOURS) {
+      return `Duration must be a whole number of hours from 1 to ${this.MAX_ACTION_HOURS}`;
+    }
+    return null;
+  }
+
+  /**
+   * Format an action duration, e.g. '12h' or '7d'
+   * @param {number} hours - Duration in hours
+   * @returns {string} Duration
+   */
+  static formatDuration(hours) {
+    return hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+  }
+
+  /**
+   * Describe the enforcement action of a violation, e.g. 'Muted (7d)'
+   * @param {Object} incident - Incident record
+   * @returns {string|null} Description, or null if no action was recorded
+   */
+  static describeAction(incident) {
+    const label = incident && this.ENFORCEMENT_ACTIONS[incident.action];
+    if (!label) {
+      return null;
+    }
+    return incident.actionDuration ? `${label} (${this.formatDuration(incident.actionDuration)})` : label;
+  }
+
+  /**
+   * Recalculate count, first/last timestamps and the user's last violation
+   * timestamp from the incident log. Rules without incidents are dropped.
+   * @param {Object} userData - User data (new structure with incidents)
+   * @returns {Object} The same user data object
+   */
+  static syncUserStats(userData) {
+    let lastViolation = 0;
+
+    Object.keys(userData.rules || {}).forEach(ruleId => {
+      const ruleData = userData.rules[ruleId];
+      const incidents = (ruleData.incidents || []).sort((a, b) => a.timestamp - b.timestamp);
+
+      if (incidents.length === 0) {
+        delete userData.rules[ruleId];
+        return;
+      }
+
+      ruleData.incidents = incidents;
+      ruleData.count = incidents.length;
+      ruleData.firstTimestamp = incidents[0].timestamp;
+      ruleData.lastTimestamp = incidents[incidents.length - 1].timestamp;
+      lastViolation = Math.max(lastViolation, ruleData.lastTimestamp);
+    });
+
+    if (lastViolation > 0) {
+      userData.timestamp = lastViolation;
+    }
+    return userData;
+  }
+
+  /**
+   * Copy of user data with only the violations that still count (neither
+   * expired nor overturned); rules without such violations are left out.
+   * Dates and the user's timestamp come from these violations only (0 if none).
+   * @param {Object} userData - User data
+   * @param {Array} rules - Rules, for their expiry periods
+   * @param {number} now - Reference time (defaults to now)
+   * @returns {Object} User data with active violations
+   */
+  static getActiveUser(userData, rules, now = Date.now()) {
+    const rulesById = new Map((rules || []).map(rule => [rule.id, rule]));
+    const active = { ...userData, rules: {} };
+    Object.entries(userData.rules || {}).forEach(([ruleId, ruleData]) => {
+      const rule = rulesById.get(ruleId);
+      active.rules[ruleId] = {
+        incidents: (ruleData.incidents || []).filter(incident => !RuleStorage.isExpired(incident, rule, now) && !this.isOverturned(incident))
+      };
+    });
+    this.syncUserStats(active);
+    active.timestamp = Math.max(0, ...Object.values(active.rules).map(ruleData => ruleData.lastTimestamp));
+    return active;
+  }
+
+  /**
+   * Record a violation for a user
+   * @param {string} username - Username (with or without @)
+   * @param {string} rule - Rule ID
+   * @param {Object} details - Optional incident details (source, tweetUrl, communityId, action, actionDuration,
+   *   evidence, screenshot: { image, width, height, capturedAt })
+   * @returns {Promise<Object>} Updated user data
+   */
+  static async addUser(username, rule, details = {}) {
+    const usernameLower = this.normalizeUsername(username);
+    if (!usernameLower) {
+      throw new Error('Invalid username format');
+    }
+
+    const ruleId = rule.toString();
+    const ruleRecord = await RuleStorage.getRule(ruleId);
+    if (!ruleRecord) {
+      throw new Error('Rule not found');
+    }
+    if (ruleRecord.archived) {
+      throw new Error('Rule is archived');
+    }
+    if (ruleRecord.communityId && ruleRecord.communityId !== CommunityStorage.normalizeId(details.communityId)) {
+      throw new Error('Rule does not apply in this community');
+    }
+    const actionError = this.validateAction(details.action, details.actionDuration);
+    if (actionError) {
+      throw new Error(actionError);
+    }
+
+    const incident = this.createIncident(ruleId, details);
+    // A screenshot that can't be stored never stops the violation from being recorded
+    const screenshot = ScreenshotStorage.createScreenshot(incident.id, details.screenshot);
+
+    // Only this user's record, the new incident and its screenshot are written
+    const storeNames = screenshot ? ['users', 'incidents', 'screenshots'] : ['users', 'incidents'];
+    await Database.transaction(storeNames, 'readwrite', async ({ users, incidents, screenshots }) => {
+      const userRecord = await Database.request(users.get(usernameLower)) || { username: usernameLower, timestamp: 0 };
+      userRecord.timestamp = Math.max(userRecord.timestamp || 0, incident.timestamp);
+      users.put(userRecord);
+      incidents.put({ ...incident, username: usernameLower });
+      if (screenshot) {
+        screenshots.put(screenshot);
+      }
+    });
+
+    return this.getUser(usernameLower);
+  }
+
+  /**
+   * Delete a user's records inside a transaction. With a community filter
+   * only the incidents visible there are deleted; the user record stays
+   * while violations in other communities remain.
+   * @param {Object} stores - users and incidents stores of a readwrite transaction
+   * @param {string} usernameLower - Storage key
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Promise<Object|null>} Deleted { userRecord, incidentRecords, kept }, or null if not marked
+   *   (kept: the user record stays for violations in other communities)
+   */
+  static async deleteUserRecords({ users, incidents }, usernameLower, filter = {}) {
+    const [userRecord, incidentRecords] = await Promise.all([
+      Database.request(users.get(usernameLower)),
+      Database.request(incidents.index('username').getAll(usernameLower))
+    ]);
+    const deleted = this.scopeIncidents(incidentRecords, filter);
+    deleted.forEach(incident => incidents.delete(incident.id));
+
+    const remaining = incidentRecords.filter(incident => !deleted.includes(incident));
+    if (remaining.length === 0) {
+      users.delete(usernameLower);
+    } else if (userRecord) {
+      users.put({ ...userRecord, timestamp: Math.max(...remaining.map(incident => incident.timestamp)) });
+    }
+    return userRecord ? { userRecord, incidentRecords: deleted, kept: remaining.length > 0 } : null;
+  }
+
+  /**
+   * Find the handles stored for an X account, in any community
+   * @param {string} userId - Numeric X account ID
+   * @returns {Promise<Array<string>>} Usernames with this ID
+   */
+  static async findByUserId(userId) {
+    const id = String(userId);
+    if (!/^\d+$/.test(id)) {
+      return [];
+    }
+    const userRecords = await Database.transaction('users', 'readonly', ({ users }) => {
+      return Database.request(users.index('userId').getAll(id));
+    });
+    return userRecords.map(userRecord => userRecord.username);
+  }
+
+  /**
+   * Attach a numeric X account ID to a handle. If the ID is already known
+   * under other handles, the account was renamed: those records are merged
+   * into this handle and the old handles are kept as aliases.
+   * @param {string} username - Current handle (with or without @)
+   * @param {string} userId - Numeric X account ID
+   * @returns {Promise<Object>} { username, userId, renamedFrom: [old handles] }
+   */
+  static async linkUserId(username, userId) {
+    const usernameLower = this.normalizeUsername(username);
+    const id = String(userId);
+    if (!usernameLower || !/^\d+$/.test(id)) {
+      throw new Error('Invalid username or user ID');
+    }
+
+    return Database.transaction(['users', 'incidents'], 'readwrite', async ({ users, incidents }) => {
+      const [current, sameIdRecords] = await Promise.all([
+        Database.request(users.get(usernameLower)),
+        Database.request(users.index('userId').getAll(id))
+      ]);
+      const previous = sameIdRecords.filter(userRecord => userRecord.username !== usernameLower);
+      const unchanged = { username: usernameLower, userId: id, renamedFrom: [] };
+
+      // Nothing marked for this account, or the handle now belongs to another account
+      if ((!current && previous.length === 0) || (current && current.userId && current.userId !== id)) {
+        return unchanged;
+      }
+
+      const userRecord = current || { username: usernameLower, timestamp: 0 };
+      const aliases = new Set(userRecord.aliases || []);
+      const notes = userRecord.note ? [userRecord.note] : [];
+
+      for (const oldRecord of previous) {
+        aliases.add(oldRecord.username);
+        (oldRecord.aliases || []).forEach(alias => aliases.add(alias));
+        if (oldRecord.note && !notes.includes(oldRecord.note)) {
+          notes.push(oldRecord.note);
+        }
+        userRecord.timestamp = Math.max(userRecord.timestamp || 0, oldRecord.timestamp || 0);
+
+        const oldIncidents = await Database.request(incidents.index('username').getAll(oldRecord.username));
+        oldIncidents.forEach(incident => incidents.put({ ...incident, username: usernameLower }));
+        users.delete(oldRecord.username);
+      }
+
+      aliases.delete(usernameLower);
+      userRecord.userId = id;
+      if (aliases.size > 0) {
+        userRecord.aliases = Array.from(aliases);
+      }
+      if (notes.length > 0) {
+        userRecord.note = notes.join('\n');
+      }
+      users.put(userRecord);
+
+      return { ...unchanged, renamedFrom: previous.map(oldRecord => oldRecord.username) };
+    });
+  }
+
+  /**
+   * Move a user and all of their violations to the trash
+   * @param {string} username - Username (with or without @)
+   * @param {Object} filter - Optional { communityId } to remove only the violations visible there
+   * @returns {Promise<boolean>} True when done
+   */
+  static async removeUser(username, filter = {}) {
+    return this.removeUsers([username], filter);
+  }
+
+  /**
+   * Permanently delete a user (no trash entry)
+   * @param {string} username - Username (with or without @)
+   * @returns {Promise<boolean>} True when done
+   */
+  static async deleteUser(username) {
+    const usernameLower = username.toLowerCase().replace('@', '');
+    await Database.transaction(['users', 'incidents'], 'readwrite', stores => {
+      return this.deleteUserRecords(stores, usernameLower);
+    });
+    return true;
+  }
+
+  /**
+   * Save the moderator note of a marked user
+   * @param {string} username - Username (with or without @)
+   * @param {string} note - Note text (empty to clear)
+   * @returns {Promise<boolean>} True if the user exists and the note was saved
+   */
+  static async updateNote(username, note) {
+    const usernameLower = username.toLowerCase().replace('@', '');
+    return Database.transaction('users', 'readwrite', async ({ users }) => {
+      const userRecord = await Database.request(users.get(usernameLower));
+      if (!userRecord) {
+        return false;
+      }
+      userRecord.note = note;
+      users.put(userRecord);
+      return true;
+    });
+  }
+
+  /**
+   * Record the enforcement action taken for one of a user's violations
+   * @param {string} username - Username (with or without @)
+   * @param {string} incidentId - Incident ID
+   * @param {string|null} action - Key of ENFORCEMENT_ACTIONS (null to clear)
+   * @param {number|null} duration - Optional duration in hours (mutes and bans only)
+   * @returns {Promise<boolean>} True if the violation exists and the action was saved
+   */
+  static async updateAction(username, incidentId, action, duration = null) {
+    const error = this.validateAction(action, duration);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const usernameLower = username.toLowerCase().replace('@', '');
+    return Database.transaction('incidents', 'readwrite', async ({ incidents }) => {
+      const incident = await Database.request(incidents.get(incidentId));
+      if (!incident || incident.username !== usernameLower) {
+        return false;
+      }
+      incidents.put({ ...incident, action: action || null, actionDuration: action && duration ? duration : null });
+      return true;
+    });
+  }
+
+  /**
+   * Change the appeal status of one of a user's violations
+   * @param {string} username - Username (with or without @)
+   * @param {string} incidentId - Incident ID
+   * @param {string} status - Key of VIOLATION_STATUSES
+   * @param {string} reason - Optional reason (e.g. the user's appeal or the decision)
+   * @returns {Promise<boolean>} True if the violation exists and the status was saved
+   */
+  static async updateStatus(username, incidentId, status, reason = '') {
+    const error = this.validateStatus(status, reason);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const usernameLower = username.toLowerCase().replace('@', '');
+    return Database.transaction('incidents', 'readwrite', async ({ incidents }) => {
+      const incident = await Database.request(incidents.get(incidentId));
+      if (!incident || incident.username !== usernameLower) {
+        return false;
+      }
+      incidents.put({ ...incident, status: status, statusReason: reason.trim(), statusDate: Date.now() });
+      return true;
+    });
+  }
+
+  /**
+   * Get the violations under appeal, longest waiting first
+   * @param {Object} filter - Optional { communityId }
+   * @returns {Promise<Array<Object>>} Incident records with their username
+   */
+  static async getAppeals(filter = {}) {
+    const incidents = await this.getIncidents(filter);
+    return incidents
+      .filter(incident => this.getStatus(incident) === 'appealed')
+      .sort((a, b) => (a.statusDate || a.timestamp) - (b.statusDate || b.timestamp));
+  }
+
+  /**
+   * Move a single violation of a user to the trash
+   * @param {string} username - Username (with or without @)
+   * @param {string} ruleId - Rule ID to remove violation from
+   * @param {string} incidentId - Optional incident to remove (defaults to the most recent one)
+   * @returns {Promise<Object|null>} Updated user data, or null if the user has no violations left
+   */
+  static async removeViolation(username, ruleId, incidentId = null) {
+    const usernameLower = username.toLowerCase().replace('@', '');
+
+    await Database.transaction(['users', 'incidents', 'trash'], 'readwrite', async ({ users, incidents, trash }) => {
+      const userIncidents = await Database.request(incidents.index('username').getAll(usernameLower));
+      const ruleIncidents = userIncidents
+        .filter(incident => incident.ruleId === ruleId.toString())
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+      // Remove the requested incident, or the most recent one
+      const target = incidentId
+        ? ruleIncidents.find(incident => incident.id === incidentId)
+        : ruleIncidents[ruleIncidents.length - 1];
+      if (!target) {
+        return;
+      }
+      incidents.delete(target.id);
+
+      // Keep the note with the last violation so restoring it brings the user back as they were
+      const userRecord = await Database.request(users.get(usernameLower));
+      const remaining = userIncidents.filter(incident => incident.id !== target.id);
+      trash.put(TrashStorage.createItem('violation', {
+        username: usernameLower,
+        user: remaining.length === 0 ? userRecord : null,
+        incidents: [target]
+      }));
+
+      // If no violations left, remove the user entirely
+      if (remaining.length === 0) {
+        users.delete(usernameLower);
+        return;
+      }
+
+      // The user's timestamp follows the remaining incidents
+      if (userRecord) {
+        userRecord.timestamp = Math.max(...remaining.map(incident => incident.timestamp));
+        users.put(userRecord);
+      }
+    });
+
+    return this.getUser(usernameLower);
+  }
+
+  /**
+   * Move several users to the trash in one transaction
+   * @param {Array<string>} usernames - Usernames (with or without @)
+   * @param {Object} filter - Optional { communityId } to remove only the violations visible there
+   * @returns {Promise<boolean>} True when done
+   */
+  static async removeUsers(usernames, filter = {}) {
+    await Database.transaction(['users', 'incidents', 'trash'], 'readwrite', async ({ users, incidents, trash }) => {
+      for (const username of usernames) {
+        const usernameLower = username.toLowerCase().replace('@', '');
+        const deleted = await this.deleteUserRecords({ users, incidents }, usernameLower, filter);
+        if (deleted && deleted.incidentRecords.length > 0) {
+          // A user still marked elsewhere keeps their record; the item only refers to it
+          trash.put(TrashStorage.createItem('user', {
+            username: usernameLower,
+            user: deleted.kept ? null : deleted.userRecord,
+            incidents: deleted.incidentRecords
+          }));
+        }
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Find the incidents a reassignment to a rule would move. Incidents from
+   * outside the target rule's community are skipped: the rule doesn't apply there.
+   * @param {Object} stores - incidents store of a transaction
+   * @param {Object} targetRule - Rule the violations move to
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.ruleId - Only violations of this rule
+   * @param {Array<string>} filter.usernames - Only violations of these users
+   * @param {string} filter.communityId - Only violations visible in this community
+   * @returns {Promise<Object>} { moved, skipped } incident records
+   */
+  static async findReassignable({ incidents }, targetRule, filter = {}) {
+    const records = await Database.request(filter.ruleId
+      ? incidents.index('ruleId').getAll(filter.ruleId.toString())
+      : incidents.getAll());
+    const usernames = filter.usernames
+      ? filter.usernames.map(username => username.toLowerCase().replace('@', ''))
+      : null;
+
+    const candidates = this.scopeIncidents(records, filter).filter(incident => {
+      return incident.ruleId !== targetRule.id && (!usernames || usernames.includes(incident.username));
+    });
+    const applies = incident => !targetRule.communityId || incident.communityId === targetRule.communityId;
+    return {
+      moved: candidates.filter(applies),
+      skipped: candidates.filter(incident => !applies(incident))
+    };
+  }
+
+  /**
+   * Summarize a reassignment
+   * @param {Object} found - { moved, skipped } from findReassignable
+   * @returns {Object} { usernames, users, violations, skipped }
+   */
+  static summarizeReassign({ moved, skipped }) {
+    const usernames = [...new Set(moved.map(incident => incident.username))];
+    return { usernames: usernames, users: usernames.length, violations: moved.length, skipped: skipped.length };
+  }
+
+  /**
+   * Count the users and violations reassignViolations would move, without changing anything
+   * @param {string} toRuleId - Rule the violations move to
+   * @param {Object} filter - Optional { ruleId, usernames, communityId } (see findReassignable)
+   * @returns {Promise<Object>} { usernames, users, violations, skipped }
+   */
+  static async previewReassign(toRuleId, filter = {}) {
+    const targetRule = await RuleStorage.getRule(toRuleId);
+    if (!targetRule) {
+      throw new Error('Rule not found');
+    }
+    return Database.transaction('incidents', 'readonly', async stores => {
+      return this.summarizeReassign(await this.findReassignable(stores, targetRule, filter));
+    });
+  }
+
+  /**
+   * Move violations to another rule, keeping their dates, sources and communities
+   * @param {string} toRuleId - Rule the violations move to
+   * @param {Object} filter - Optional { ruleId, usernames, communityId } (see findReassignable)
+   * @returns {Promise<Object>} { usernames, users, violations, skipped }
+   */
+  static async reassignViolations(toRuleId, filter = {}) {
+    const targetRule = await RuleStorage.getRule(toRuleId);
+    if (!targetRule) {
+      throw new Error('Rule not found');
+    }
+    if (targetRule.archived) {
+      throw new Error('Rule is archived');
+    }
+
+    return Database.transaction('incidents', 'readwrite', async stores => {
+      const found = await this.findReassignable(stores, targetRule, filter);
+      found.moved.forEach(incident => stores.incidents.put({ ...incident, ruleId: targetRule.id }));
+      return this.summarizeReassign(found);
+    });
+  }
+
+  /**
+   * Replace all records of one user (used to restore history snapshots)
+   * @param {string} username - Username (with or without @)
+   * @param {Object} userData - User data in the assembled structure
+   * @returns {Promise<boolean>} True when done
+   */
+  static async putUser(username, userData) {
+    const usernameLower = username.toLowerCase().replace('@', '');
+    await Database.transaction(['users', 'incidents'], 'readwrite', async ({ users, incidents }) => {
+      const incidentIds = await Database.request(incidents.index('username').getAllKeys(usernameLower));
+      incidentIds.forEach(id => incidents.delete(id));
+
+      users.put(this.toUserRecord(usernameLower, userData));
+
+      Object.values(userData.rules || {}).forEach(ruleData => {
+        (ruleData.incidents || []).forEach(incident => {
+          incidents.put({ ...incident, username: usernameLower });
+        });
+      });
+    });
+    return true;
+  }
+
+  static async clearAllUsers() {
+    await Database.transaction(['users', 'incidents'], 'readwrite', ({ users, incidents }) => {
+      users.clear();
+      incidents.clear();
+    });
+    return {};
+  }
+}
+
+/**
+ * ScreenshotStorage - Cropped screenshots of marked tweets
+ *
+ * Screenshots are kept in their own store, keyed to the violation they
+ * document, so user lists, history snapshots and backups stay small. They
+ * are deleted with their violation once it leaves the trash for good.
+ */
+class ScreenshotStorage {
+  // Capturing a tab needs more than the X.com host permissions; asked for when screenshots are turned on
+  static PERMISSIONS = { origins: ['<all_urls>'] };
+
+  static IMAGE_PATTERN = /^data:image\/(jpeg|png);base64,[A-Za-z0-9+/]+={0,2}$/;
+
+  // Longest accepted data URL (about 6 MB of image data)
+  static MAX_IMAGE_LENGTH = 8 * 1024 * 1024;
+
+  static MAX_DIMENSION = 10000;
+
+  /**
+   * Create a screenshot record for a violation
+   * @param {string} incidentId - Incident the screenshot documents
+   * @param {Object} capture - { image, width, height, capturedAt }
+   * @returns {Object|null} Screenshot record, or null if the capture isn't a valid image
+   */
+  static createScreenshot(incidentId, capture) {
+    if (!capture || typeof capture !== 'object' || !this.isValidImage(capture.image)) {
+      return null;
+    }
+
+    const width = Number(capture.width);
+    const height = Number(capture.height);
+    if (![width, height].every(size => Number.isInteger(size) && size > 0 && size <= this.MAX_DIMENSION)) {
+      return null;
+    }
+
+    return {
+      id: `shot_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`,
+      incidentId: incidentId,
+      capturedAt: Number.isFinite(capture.capturedAt) ? capture.capturedAt : Date.now(),
+      width: width,
+      height: height,
+      image: capture.image
+    };
+  }
+
+  /**
+   * Whether a value is a base64 JPEG or PNG data URL of an accepted size
+   * @param {string} image - Data URL
+   * @returns {boolean} True if valid
+   */
+  static isValidImage(image) {
+    return typeof image === 'string' && image.length <= this.MAX_IMAGE_LENGTH && this.IMAGE_PATTERN.test(image);
+  }
+
+  /**
+   * List the screenshots of violations, oldest first
+   * @param {Array<string>} incidentIds - Incident IDs
+   * @returns {Promise<Array<Object>>} Screenshot records
+   */
+  static async getScreenshots(incidentIds) {
+    if (!Array.isArray(incidentIds) || incidentIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const results = await Database.transaction('screenshots', 'readonly', ({ screenshots }) => {
+        return Promise.all(incidentIds.map(id => Database.request(screenshots.index('incidentId').getAll(id))));
+      });
+      return results.flat().sort((a, b) => a.capturedAt - b.capturedAt);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Delete the screenshots of violations inside a transaction
+   * @param {IDBObjectStore} screenshots - screenshots store of a readwrite transaction
+   * @param {Array<string>} incidentIds - Incident IDs
+   */
+  static async deleteForIncidents(screenshots, incidentIds) {
+    const ids = await Promise.all(incidentIds.map(id => Database.request(screenshots.index('incidentId').getAllKeys(id))));
+    ids.flat().forEach(id => screenshots.delete(id));
+  }
+
+  /**
+   * Delete screenshots whose violation is not stored, not in the trash and
+   * can't be brought back by undo or redo (left behind by clearing or
+   * restoring a backup, or by history entries that were dropped)
+   * @returns {Promise<number>} Number of deleted screenshots
+   */
+  static async purgeOrphans() {
+    return Database.transaction(['incidents', 'trash', 'history', 'screenshots'], 'readwrite', async ({ incidents, trash, history, screenshots }) => {
+      const [incidentIds, trashItems, entries] = await Promise.all([
+        Database.request(incidents.getAllKeys()),
+        Database.request(trash.getAll()),
+        Database.request(history.getAll())
+      ]);
+      const known = new Set(incidentIds);
+      trashItems.forEach(item => item.incidents.forEach(incident => known.add(incident.id)));
+      entries.forEach(entry => HistoryStorage.getIncidentIds(entry).forEach(id => known.add(id)));
+
+      // Walk the index keys only, so the images themselves are never loaded
+      const orphanIds = await new Promise((resolve, reject) => {
+        const ids = [];
+        const request = screenshots.index('incidentId').openKeyCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(ids);
+            return;
+          }
+          if (!known.has(cursor.key)) {
+            ids.push(cursor.primaryKey);
+          }
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+      orphanIds.forEach(id => screenshots.delete(id));
+      return orphanIds.length;
+    });
+  }
+}
+
+/**
+ * CommunityStorage - Communities seen on X.com and community scoping
+ *
+ * Rules and incidents carry the community they belong to. Records without
+ * a community (shared rules, violations recorded before scoping existed)
+ * apply in every community.
+ */
+class CommunityStorage {
+  /**
+   * Normalize a community ID (X uses numeric IDs)
+   * @param {string} communityId - Community ID
+   * @returns {string|null} ID, or null if missing or invalid
+   */
+  static normalizeId(communityId) {
+    const id = communityId === undefined || communityId === null ? '' : String(communityId).trim();
+    return /^\d+$/.test(id) ? id : null;
+  }
+
+  /**
+   * Whether a record belongs in a community view
+   * @param {string} recordCommunityId - Community of the rule or incident (null = shared)
+   * @param {string} viewCommunityId - Community being viewed (null = all communities)
+   * @returns {boolean} True if the record is visible
+   */
+  static matches(recordCommunityId, viewCommunityId) {
+    return !viewCommunityId || !recordCommunityId || recordCommunityId === viewCommunityId;
+  }
+
+  static async getCommunities() {
+    try {
+      const communities = await Database.transaction('communities', 'readonly', ({ communities }) => {
+        return Database.request(communities.getAll());
+      });
+      return communities.sort((a, b) => this.getName(a).localeCompare(this.getName(b)));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Display name of a community
+   * @param {Object} community - Community record
+   * @returns {string} Name, or a placeholder with its ID
+   */
+  static getName(community) {
+    return community.name || `Community ${community.id}`;
+  }
+
+  /**
+   * Remember a community (and its name, when known)
+   * @param {string} communityId - Community ID
+   * @param {string} name - Optional community name
+   * @returns {Promise<Object>} Stored community
+   */
+  static async saveCommunity(communityId, name = '') {
+    const id = this.normalizeId(communityId);
+    if (!id) {
+      throw new Error('Invalid community ID');
+    }
+    return Database.transaction('communities', 'readwrite', ({ communities }) => {
+      return this.putCommunity(communities, id, name);
+    });
+  }
+
+  /**
+   * Add or update a community inside a transaction
+   * @param {Object} communities - communities store of a readwrite transaction
+   * @param {string} id - Normalized community ID
+   * @param {string} name - Optional community name
+   * @returns {Promise<Object>} Stored community
+   */
+  static async putCommunity(communities, id, name = '') {
+    const cleanName = String(name || '').trim().substring(0, 80);
+    const community = await Database.request(communities.get(id)) || { id: id, name: '', firstSeen: Date.now() };
+    if (cleanName) {
+      community.name = cleanName;
+    }
+    communities.put(community);
+    return community;
+  }
+}
+
+/**
+ * WorkspaceStorage - Named workspaces with completely separate datasets
+ *
+ * Each workspace has its own IndexedDB database (rules, marked users,
+ * history, trash, audit log) and its own settings key. The "default"
+ * workspace keeps the original names, so existing data stays in place.
+ * The workspace list and the active workspace live in chrome.storage.local.
+ */
+class WorkspaceStorage {
+  static DEFAULT_ID = 'default';
+
+  static DEFAULT_NAME = 'Default';
+
+  // Active workspace of this context, cleared whenever it changes
+  static activeId = null;
+
+  static getDatabaseName(workspaceId) {
+    return workspaceId === this.DEFAULT_ID ? Database.NAME : `${Database.NAME}-${workspaceId}`;
+  }
+
+  static getSettingsKey(workspaceId) {
+    return workspaceId === this.DEFAULT_ID ? 'settings' : `settings-${workspaceId}`;
+  }
+
+  static getSchemaVersionKey(workspaceId) {
+    return workspaceId === this.DEFAULT_ID ? 'schemaVersion' : `schemaVersion-${workspaceId}`;
+  }
+
+  static getRulesSeededKey(workspaceId) {
+    return workspaceId === this.DEFAULT_ID ? 'rulesSeeded' : `rulesSeeded-${workspaceId}`;
+  }
+
+  /**
+   * Get all workspaces; the default workspace always exists
+   * @returns {Promise<Array>} Workspaces ({ id, name, createdAt }) in creation order
+   */
+  static async getWorkspaces() {
+    const result = await chrome.storage.local.get(['workspaces']);
+    const workspaces = Array.isArray(result.workspaces) ? result.workspaces : [];
+    if (!workspaces.some(workspace => workspace.id === this.DEFAULT_ID)) {
+      workspaces.unshift({ id: this.DEFAULT_ID, name: this.DEFAULT_NAME, createdAt: 0 });
+    }
+    return workspaces;
+  }
+
+  /**
+   * Get the ID of the active workspace
+   * @returns {Promise<string>} Workspace ID
+   */
+  static async getActiveId() {
+    if (this.activeId === null) {
+      try {
+        const result = await chrome.storage.local.get(['activeWorkspace']);
+        this.activeId = result.activeWorkspace || this.DEFAULT_ID;
+      } catch (error) {
+        return this.DEFAULT_ID;
+      }
+    }
+    return this.activeId;
+  }
+
+  /**
+   * Get the active workspace
+   * @returns {Promise<Object>} Workspace
+   */
+  static async getActiveWorkspace() {
+    const [workspaces, activeId] = await Promise.all([this.getWorkspaces(), this.getActiveId()]);
+    return workspaces.find(workspace => workspace.id === activeId) || workspaces[0];
+  }
+
+  /**
+   * Validate a workspace name against the existing ones
+   * @param {Array} workspaces - Existing workspaces
+   * @param {string} name - New name
+   * @param {string} exceptId - Workspace being renamed
+   * @returns {string} Trimmed name
+   */
+  static validateName(workspaces, name, exceptId = null) {
+    const cleanName = String(name || '').trim();
+    if (!cleanName || cleanName.length > 40) {
+      throw new Error('Workspace name must be 1-40 characters');
+    }
+    if (workspaces.some(workspace => workspace.id !== exceptId && workspace.name.toLowerCase() === cleanName.toLowerCase())) {
+      throw new Error('A workspace with this name already exists');
+    }
+    return cleanName;
+  }
+
+  /**
+   * Create an empty workspace
+   * @param {string} name - Workspace name
+   * @returns {Promise<Object>} New workspace
+   */
+  static async createWorkspace(name) {
+    const workspaces = await this.getWorkspaces();
+    const workspace = {
+      id: `ws_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      name: this.validateName(workspaces, name),
+      createdAt: Date.now()
+    };
+    // A new workspace starts empty, so it is already on the current schema
+    await chrome.storage.local.set({
+      workspaces: [...workspaces, workspace],
+      [this.getSchemaVersionKey(workspace.id)]: StorageMigrations.CURRENT_VERSION
+    });
+    return workspace;
+  }
+
+  static async renameWorkspace(workspaceId, name) {
+    const workspaces = await this.getWorkspaces();
+    const workspace = workspaces.find(item => item.id === workspaceId);
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+    workspace.name = this.validateName(workspaces, name, workspaceId);
+    await chrome.storage.local.set({ workspaces: workspaces });
+    return workspace;
+  }
+
+  /**
+   * Make a workspace active in every context
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Active workspace
+   */
+  static async switchWorkspace(workspaceId) {
+    const workspace = (await this.getWorkspaces()).find(item => item.id === workspaceId);
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+    await chrome.storage.local.set({ activeWorkspace: workspace.id });
+    this.forget();
+    await StorageMigrations.run();
+    await RuleStorage.initializeDefaultRules();
+    return workspace;
+  }
+
+  /**
+   * Permanently delete an inactive workspace with all of its data
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<boolean>} True when deleted
+   */
+  static async deleteWorkspace(workspaceId) {
+    if (workspaceId === this.DEFAULT_ID) {
+      throw new Error('The default workspace cannot be deleted');
+    }
+    if (workspaceId === await this.getActiveId()) {
+      throw new Error('Switch to another workspace before deleting this one');
+    }
+    const workspaces = await this.getWorkspaces();
+    if (!workspaces.some(workspace => workspace.id === workspaceId)) {
+      throw new Error('Workspace not found');
+    }
+
+    await chrome.storage.local.set({ workspaces: workspaces.filter(workspace => workspace.id !== workspaceId) });
+    await chrome.storage.local.remove([
+      this.getSettingsKey(workspaceId),
+      this.getSchemaVersionKey(workspaceId),
+      this.getRulesSeededKey(workspaceId)
+    ]);
+    // Open connections close themselves on versionchange, so this can't stay blocked
+    await Database.request(indexedDB.deleteDatabase(this.getDatabaseName(workspaceId)));
+    return true;
+  }
+
+  /**
+   * Drop the cached active workspace and its database connection
+   */
+  static forget() {
+    this.activeId = null;
+    Database.close();
+  }
+}
+
+/**
+ * SettingsStorage - Manages Chrome Storage operations for settings
+ * (stored per workspace)
+ */
+class SettingsStorage {
+  static DEFAULTS = {
+    labelsEnabled: true,
+    notificationsEnabled: true,
+    trashRetentionDays: 30,
+    moderatorName: '',
+    reputationHalfLifeDays: 30,
+    reputationRecencyDays: 7,
+    reputationCleanDays: 30,
+    reputationBandExcellent: 80,
+    reputationBandGood: 60,
+    reputationBandFair: 40,
+    reputationBandPoor: 20,
+    detectors: RuleDetection.normalizeDetectorSettings(),
+    escalation: EscalationPolicy.DEFAULT_LADDER,
+    screenshotEvidence: false
+  };
+
+  // Allowed [min, max] of numeric settings; out-of-range values are clamped
+  static RANGES = {
+    trashRetentionDays: [0, 3650],
+    reputationHalfLifeDays: [0, 365],
+    reputationRecencyDays: [1, 90],
+    reputationCleanDays: [1, 365],
+    reputationBandExcellent: [0, 100],
+    reputationBandGood: [0, 100],
+    reputationBandFair: [0, 100],
+    reputationBandPoor: [0, 100]
+  };
+
+  /**
+   * Fill in defaults and drop unknown or mistyped settings
+   * @param {Object} settings - Settings object (may be partial)
+   * @returns {Object} Complete settings object
+   */
+  static normalize(settings = {}) {
+    const normalized = {};
+    Object.keys(this.DEFAULTS).forEach(key => {
+      normalized[key] = typeof settings[key] === typeof this.DEFAULTS[key]
+        ? settings[key]
+        : this.DEFAULTS[key];
+      if (this.RANGES[key]) {
+        const [min, max] = this.RANGES[key];
+        normalized[key] = Number.isFinite(normalized[key])
+          ? Math.min(max, Math.max(min, normalized[key]))
+          : this.DEFAULTS[key];
+      }
+    });
+    // Detector settings and the escalation ladder are nested and checked one by one
+    normalized.detectors = RuleDetection.normalizeDetectorSettings(settings.detectors);
+    normalized.escalation = EscalationPolicy.normalizeLadder(settings.escalation) ||
+      EscalationPolicy.DEFAULT_LADDER.map(step => ({ ...step }));
+    return normalized;
+  }
+
+  /**
+   * Read settings, falling back to defaults for unset values
+   * @returns {Promise<Object>} Settings object
+   */
+  static async getSettings() {
+    try {
+      const key = WorkspaceStorage.getSettingsKey(await WorkspaceStorage.getActiveId());
+      const result = await chrome.storage.local.get([key]);
+      return this.normalize(result[key]);
+    } catch (error) {
+      return this.normalize();
+    }
+  }
+
+  /**
+   * Save settings; unknown keys are ignored
+   * @param {Object} updates - Settings to change
+   * @returns {Promise<boolean>} True if saved
+   */
+  static async saveSettings(updates) {
+    try {
+      const key = WorkspaceStorage.getSettingsKey(await WorkspaceStorage.getActiveId());
+      const result = await chrome.storage.local.get([key]);
+      const settings = this.normalize({ ...this.normalize(result[key]), ...updates });
+      await chrome.storage.local.set({ [key]: settings });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * StorageMigrations - Versioned schema upgrades for stored data and backups
+ *
+ * Migrations run in order on a plain data object
+ * ({ schemaVersion, markedUsers, rules, settings, ...legacy keys }), so the
+ * same runner upgrades live storage and imported backups. Add new steps to
+ * the end of MIGRATIONS; never change or reorder existing ones.
+ */
+class StorageMigrations {
+  static STORAGE_KEYS = ['schemaVersion', 'markedUsers', 'rules', 'settings', 'labelsEnabled', 'notificationsEnabled'];
+
+  static LEGACY_KEYS = ['labelsEnabled', 'notificationsEnabled'];
+
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Single-rule users to per-rule violation map',
+      migrate(data) {
+        Object.values(data.markedUsers).forEach(userData => {
+          if (userData.rule && !userData.rules) {
+            userData.rules = {
+              [userData.rule]: {
+                count: userData.count || 1,
+                firstTimestamp: userData.timestamp || Date.now()
+              }
+            };
+          }
+          delete userData.rule;
+          delete userData.count;
+          if (!userData.rules) {
+            userData.rules = {};
+          }
+        });
+      }
+    },
+    {
+      version: 2,
+      description: 'Violation counts to incident log',
+      migrate(data) {
+        // Real times are unknown, so incidents are spread evenly between
+        // the first violation and the user's last violation
+        Object.values(data.markedUsers).forEach(userData => {
+          Object.keys(userData.rules).forEach(ruleId => {
+            const ruleData = userData.rules[ruleId];
+            if (Array.isArray(ruleData.incidents)) {
+              return;
+            }
+
+            const count = ruleData.count || 1;
+            const firstTimestamp = ruleData.firstTimestamp || userData.timestamp || Date.now();
+            const lastTimestamp = Math.max(firstTimestamp, userData.timestamp || firstTimestamp);
+
+            ruleData.incidents = [];
+            for (let i = 0; i < count; i++) {
+              const progress = count === 1 ? 0 : i / (count - 1);
+              ruleData.incidents.push(UserStorage.createIncident(ruleId, {
+                timestamp: Math.round(firstTimestamp + (lastTimestamp - firstTimestamp) * progress),
+                source: 'migrated'
+              }));
+            }
+          });
+          UserStorage.syncUserStats(userData);
+        });
+      }
+    },
+    {
+      version: 3,
+      description: 'String rule IDs and creation dates',
+      migrate(data) {
+        data.rules = data.rules
+          .filter(rule => rule && rule.id !== undefined && rule.id !== null)
+          .map(rule => ({
+            ...rule,
+            id: rule.id.toString(),
+            createdAt: rule.createdAt || Date.now()
+          }));
+      }
+    },
+    {
+      version: 4,
+      description: 'Settings grouped under one key',
+      migrate(data) {
+        data.settings = SettingsStorage.normalize({
+          labelsEnabled: data.labelsEnabled,
+          notificationsEnabled: data.notificationsEnabled,
+          ...data.settings
+        });
+        StorageMigrations.LEGACY_KEYS.forEach(key => delete data[key]);
+      }
+    },
+    {
+      version: 5,
+      description: 'Marked users and rules moved to IndexedDB',
+      migrate() {
+        // The data shape is unchanged; run() moves the storage.local blobs
+      }
+    },
+    {
+      version: 6,
+      description: 'Rule descriptions, severity, category and archived state',
+      migrate(data) {
+        data.rules = data.rules.map(rule => RuleStorage.normalizeRule(rule));
+      }
+    },
+    {
+      version: 7,
+      description: 'Rule groups and manual order',
+      migrate(data) {
+        // Keep the order rules were shown in so far
+        data.rules = RuleStorage.sortRules(data.rules.map(rule => RuleStorage.normalizeRule(rule)))
+          .map((rule, index) => ({ ...rule, order: index }));
+      }
+    },
+    {
+      version: 8,
+      description: 'Detection terms per rule',
+      migrate(data) {
+        // Terms the quick-mark suggestion used to apply to rules by name
+        const builtIn = {
+          gambling: { keywords: ['gambling', 'bet', 'casino', 'slot', 'poker', 'wager'], phrases: [] },
+          spam: { keywords: ['spam'], phrases: ['click here', 'free money', 'limited offer'] },
+          scam: { keywords: ['scam', 'fake', 'fraud', 'phishing'], phrases: [] },
+          nsfw: { keywords: ['nsfw', 'explicit'], phrases: ['adult content'] },
+          harassment: { keywords: ['harassment', 'bully', 'threat', 'abuse'], phrases: [] }
+        };
+        data.rules = data.rules.map(rule => {
+          const normalized = RuleStorage.normalizeRule(rule);
+          if (RuleDetection.countTerms(normalized) > 0) {
+            return normalized;
+          }
+          Object.keys(builtIn)
+            .filter(name => normalized.name.toLowerCase().includes(name))
+            .forEach(name => {
+              normalized.keywords.push(...builtIn[name].keywords);
+              normalized.phrases.push(...builtIn[name].phrases);
+            });
+          return RuleStorage.normalizeRule(normalized);
+        });
+      }
+    },
+    {
+      version: 9,
+      description: 'Suggestion detectors per rule',
+      migrate(data) {
+        // Spam and scam rules were the ones the old keyword table covered
+        const builtIn = {
+          spam: ['linkDomains', 'mentions', 'hashtags', 'shouting', 'repeatedCharacters'],
+          scam: ['linkDomains', 'inviteLinks', 'walletAddresses']
+        };
+        data.rules = data.rules.map(rule => {
+          const normalized = RuleStorage.normalizeRule(rule);
+          if (normalized.detectors.length > 0) {
+            return normalized;
+          }
+          Object.keys(builtIn)
+            .filter(name => normalized.name.toLowerCase().includes(name))
+            .forEach(name => normalized.detectors.push(...builtIn[name]));
+          return RuleStorage.normalizeRule(normalized);
+        });
+      }
+    }
+  ];
+
+  static get CURRENT_VERSION() {
+    return this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+  }
+
+  /**
+   * Upgrade a data object to the current schema version
+   * @param {Object} data - Stored data or backup contents (modified in place)
+   * @returns {boolean} True if any migration ran
+   */
+  static migrate(data) {
+    const fromVersion = Number(data.schemaVersion) || 0;
+    if (fromVersion > this.CURRENT_VERSION) {
+      throw new Error(`Data schema version ${fromVersion} is newer than this extension supports`);
+    }
+
+    data.markedUsers = data.markedUsers || {};
+    data.rules = Array.isArray(data.rules) ? data.rules : [];
+
+    const pending = this.MIGRATIONS.filter(migration => migration.version > fromVersion);
+    pending.forEach(migration => {
+      migration.migrate(data);
+      data.schemaVersion = migration.version;
+    });
+    return pending.length > 0;
+  }
+
+  /**
+   * Read what run() works on
+   * @returns {Promise<Object>} { data, hasBlobs, schemaKey, settingsKey }
+   */
+  static async readState() {
+    // Only the default workspace can hold pre-IndexedDB blobs and legacy keys
+    const workspaceId = await WorkspaceStorage.getActiveId();
+    const schemaKey = WorkspaceStorage.getSchemaVersionKey(workspaceId);
+    const settingsKey = WorkspaceStorage.getSettingsKey(workspaceId);
+    const stored = await chrome.storage.local.get(workspaceId === WorkspaceStorage.DEFAULT_ID
+      ? this.STORAGE_KEYS
+      : [schemaKey, settingsKey]);
+    const data = { ...stored, schemaVersion: stored[schemaKey], settings: stored[settingsKey] };
+    const hasBlobs = data.markedUsers !== undefined || data.rules !== undefined;
+    return { data, hasBlobs, schemaKey, settingsKey };
+  }
+
+  /**
+   * Whether stored data still needs run(), e.g. because the upgrade on install failed
+   * @returns {Promise<boolean>} True if an upgrade is pending
+   */
+  static async isPending() {
+    const { data, hasBlobs } = await this.readState();
+    return hasBlobs || (Number(data.schemaVersion) || 0) < this.CURRENT_VERSION;
+  }
+
+  /**
+   * Upgrade live storage once; does nothing when already current.
+   * Data still in the old storage.local blobs is migrated and moved to
+   * IndexedDB; data already in IndexedDB is loaded, upgraded and rewritten.
+   * @returns {Promise<boolean>} True if storage was upgraded
+   */
+  static async run() {
+    const { data, hasBlobs, schemaKey, settingsKey } = await this.readState();
+    if (!hasBlobs && (Number(data.schemaVersion) || 0) >= this.CURRENT_VERSION) {
+      return false;
+    }
+
+    if (!hasBlobs) {
+      // A failed read throws here: writing an empty result back would erase the data
+      data.markedUsers = await UserStorage.readMarkedUsers();
+      data.rules = await RuleStorage.readRules();
+    }
+    this.migrate(data);
+
+    if (!(await UserStorage.saveMarkedUsers(data.markedUsers)) || !(await RuleStorage.saveRules(data.rules))) {
+      throw new Error('Could not write upgraded data');
+    }
+    await chrome.storage.local.set({
+      [schemaKey]: data.schemaVersion,
+      [settingsKey]: SettingsStorage.normalize(data.settings)
+    });
+    // Blobs are only removed once their data is safely in IndexedDB
+    await chrome.storage.local.remove(['markedUsers', 'rules', ...this.LEGACY_KEYS]);
+    return true;
+  }
+
+  /**
+   * Convert backup file contents to the current schema
+   * @param {Object} backup - Parsed backup ({ users, rules, settings, schemaVersion })
+   * @returns {Object} Upgraded data ({ markedUsers, rules, settings, schemaVersion })
+   */
+  static migrateBackup(backup) {
+    const data = {
+      schemaVersion: backup.schemaVersion || 0,
+      markedUsers: backup.users || {},
+      rules: backup.rules || [],
+      communities: Array.isArray(backup.communities) ? backup.communities : [],
+      settings: backup.settings
+    };
+    this.migrate(data);
+    return data;
+  }
+}
+
+/**
+ * TrashStorage - Soft-deleted users, violations and rules
+ *
+ * Removed records are moved here (in the same transaction that deletes
+ * them) so they disappear everywhere at once but can be restored until
+ * they are purged after the retention period.
+ */
+class TrashStorage {
+  static DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * Create a trash item
+   * @param {string} type - 'user', 'violation' or 'rule'
+   * @param {Object} content - { username, user, incidents } or { rule }
+   * @returns {Object} Trash record
+   */
+  static createItem(type, content) {
+    return {
+      id: `trash_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`,
+      type: type,
+      deletedAt: Date.now(),
+      username: content.username || null,
+      user: content.user || null,
+      incidents: content.incidents || [],
+      rule: content.rule || null
+    };
+  }
+
+  /**
+   * List trash items, most recently deleted first
+   * @param {Object} filter - Optional filters
+   * @param {Array<string>} filter.usernames - Only user/violation items of these users
+   * @param {Array<string>} filter.types - Only items of these types
+   * @returns {Promise<Array<Object>>} Trash records
+   */
+  static async getTrash(filter = {}) {
+    try {
+      return await this.readTrash(filter);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Same as getTrash, but a failed read throws
+   * @param {Object} filter - Same filters as getTrash
+   * @returns {Promise<Array<Object>>} Trash records
+   */
+  static async readTrash(filter = {}) {
+    const items = await Database.transaction('trash', 'readonly', ({ trash }) => {
+      return Database.request(trash.getAll());
+    });
+    return items
+      .filter(item => !filter.types || filter.types.includes(item.type))
+      .filter(item => !filter.usernames || filter.usernames.includes(item.username))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * Replace the trash items matching a filter (used to restore history snapshots)
+   * @param {Object} filter - Same filters as getTrash
+   * @param {Array<Object>} items - Items to keep for that filter
+   */
+  static async replaceItems(filter, items) {
+    const current = await this.getTrash(filter);
+    await Database.transaction('trash', 'readwrite', ({ trash }) => {
+      current.forEach(item => trash.delete(item.id));
+      items.forEach(item => trash.put(item));
+    });
+  }
+
+  static async getItem(itemId) {
+    try {
+      const item = await Database.transaction('trash', 'readonly', ({ trash }) => {
+        return Database.request(trash.get(itemId));
+      });
+      return item || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Put a trashed item back. Restored violations are added to the user's
+   * current record if the user has been marked again in the meantime.
+   * @param {string} itemId - Trash item ID
+   * @returns {Promise<Object>} The restored trash item
+   */
+  static async restore(itemId) {
+    return Database.transaction(['users', 'incidents', 'rules', 'trash'], 'readwrite', async ({ users, incidents, rules, trash }) => {
+      const item = await Database.request(trash.get(itemId));
+      if (!item) {
+        throw new Error('Item is no longer in the trash');
+      }
+
+      if (item.type === 'rule') {
+        if (await Database.request(rules.get(item.rule.id))) {
+          throw new Error(`Rule "${item.rule.name}" already exists`);
+        }
+        rules.put(item.rule);
+      } else {
+        for (const incident of item.incidents) {
+          if (!(await Database.request(rules.get(incident.ruleId)))) {
+            throw new Error('A rule of this item is in the trash. Restore the rule first.');
+          }
+        }
+
+        const userRecord = await Database.request(users.get(item.username)) || { username: item.username, timestamp: 0 };
+        // The current record wins; the trashed one only fills in what it lacks
+        Object.entries(item.user || {}).forEach(([key, value]) => {
+          if (userRecord[key] === undefined) {
+            userRecord[key] = value;
+          }
+        });
+        item.incidents.forEach(incident => {
+          incidents.put(incident);
+          userRecord.timestamp = Math.max(userRecord.timestamp || 0, incident.timestamp);
+        });
+        users.put(userRecord);
+      }
+
+      trash.delete(item.id);
+      return item;
+    });
+  }
+
+  /**
+   * Permanently delete a trash item
+   * @param {string} itemId - Trash item ID
+   * @returns {Promise<boolean>} True when done
+   */
+  static async deleteForever(itemId) {
+    await Database.transaction(['trash', 'screenshots'], 'readwrite', async ({ trash, screenshots }) => {
+      const item = await Database.request(trash.get(itemId));
+      if (item) {
+        await ScreenshotStorage.deleteForIncidents(screenshots, item.incidents.map(incident => incident.id));
+      }
+      trash.delete(itemId);
+    });
+    return true;
+  }
+
+  static async emptyTrash() {
+    await Database.transaction(['trash', 'screenshots'], 'readwrite', async ({ trash, screenshots }) => {
+      const items = await Database.request(trash.getAll());
+      await ScreenshotStorage.deleteForIncidents(screenshots, items.flatMap(item => item.incidents.map(incident => incident.id)));
+      trash.clear();
+    });
+    return true;
+  }
+
+  /**
+   * Permanently delete items older than the configured retention period
+   * @returns {Promise<number>} Number of purged items
+   */
+  static async purgeExpired() {
+    const settings = await SettingsStorage.getSettings();
+    if (!settings.trashRetentionDays || settings.trashRetentionDays <= 0) {
+      return 0;
+    }
+
+    const cutoff = Date.now() - settings.trashRetentionDays * this.DAY;
+    return Database.transaction(['trash', 'screenshots'], 'readwrite', async ({ trash, screenshots }) => {
+      const expired = await Database.request(trash.index('deletedAt').getAll(IDBKeyRange.upperBound(cutoff)));
+      await ScreenshotStorage.deleteForIncidents(screenshots, expired.flatMap(item => item.incidents.map(incident => incident.id)));
+      expired.forEach(item => trash.delete(item.id));
+      return expired.length;
+    });
+  }
+}
+
+/**
+ * BackupStorage - Restores complete backups as a single change
+ */
+class BackupStorage {
+  /**
+   * Replace users, rules and settings with backup contents; known
+   * communities are added to the ones already stored
+   * @param {Object} data - Upgraded backup from StorageMigrations.migrateBackup
+   * @returns {Promise<boolean>} True when done
+   */
+  static async restore(data) {
+    // One transaction: a backup that can't be written leaves the workspace as it was
+    try {
+      await Database.transaction(['users', 'incidents', 'rules', 'communities'], 'readwrite', async stores => {
+        UserStorage.writeMarkedUsers(stores, data.markedUsers);
+        stores.rules.clear();
+        data.rules.forEach(rule => stores.rules.put(rule));
+        for (const community of data.communities || []) {
+          const id = CommunityStorage.normalizeId(community.id);
+          if (id) {
+            await CommunityStorage.putCommunity(stores.communities, id, community.name);
+          }
+        }
+      });
+    } catch (error) {
+      throw new Error(`Could not write backup data: ${error.message}`);
+    }
+    // Settings live in chrome.storage, so they follow once the data is in
+    if (!(await SettingsStorage.saveSettings(data.settings || {}))) {
+      throw new Error('Backup data was imported, but its settings could not be saved');
+    }
+    return true;
+  }
+}
+
+/**
+ * HistoryStorage - Undo/redo history of moderation actions
+ *
+ * Each recorded mutation stores snapshots of the records it touched, taken
+ * right before and after it ran. Undo restores "before", redo restores
+ * "after". History is linear: undoing an older action first undoes every
+ * newer one, and any new action discards the actions that were undone.
+ * Changes to all users (clearing, importing) only keep the users that
+ * changed; a change to more users than MAX_RECORDED_USERS can't be undone
+ * and clears the history instead.
+ */
+class HistoryStorage {
+  static LIMIT = 50;
+
+  // Most users one entry may hold; larger changes can't be undone
+  static MAX_RECORDED_USERS = 200;
+
+  // Recorded mutations: which records they touch and how they are described
+  static ACTIONS = {
+    'UserStorage.addUser': {
+      scope: ([username]) => ({ usernames: [UserStorage.normalizeUsername(username)] }),
+      label: async ([username, ruleId]) => {
+        const rule = await RuleStorage.getRule(ruleId);
+        return `Marked @${UserStorage.normalizeUsername(username)} for "${rule ? rule.name : 'Unknown'}"`;
+      }
+    },
+    'UserStorage.removeUser': {
+      scope: ([username]) => ({ usernames: [username.toLowerCase().replace('@', '')] }),
+      label: async ([username]) => `Removed @${username.toLowerCase().replace('@', '')}`
+    },
+    'UserStorage.removeUsers': {
+      scope: ([usernames]) => ({ usernames: usernames.map(username => username.toLowerCase().replace('@', '')) }),
+      label: async ([usernames]) => `Removed ${usernames.length} user(s)`
+    },
+    'UserStorage.removeViolation': {
+      scope: ([username]) => ({ usernames: [username.toLowerCase().replace('@', '')] }),
+      label: async ([username]) => `Removed a violation of @${username.toLowerCase().replace('@', '')}`
+    },
+    'UserStorage.updateNote': {
+      scope: ([username]) => ({ usernames: [username.toLowerCase().replace('@', '')] }),
+      label: async ([username]) => `Edited note of @${username.toLowerCase().replace('@', '')}`
+    },
+    'UserStorage.updateAction': {
+      scope: ([username]) => ({ usernames: [username.toLowerCase().replace('@', '')] }),
+      label: async ([username]) => `Recorded action taken against @${username.toLowerCase().replace('@', '')}`
+    },
+    'UserStorage.updateStatus': {
+      scope: ([username]) => ({ usernames: [username.toLowerCase().replace('@', '')] }),
+      label: async ([username, incidentId, status]) => `Set a violation of @${username.toLowerCase().replace('@', '')} to ${(UserStorage.VIOLATION_STATUSES[status] || status).toLowerCase()}`
+    },
+    'UserStorage.reassignViolations': {
+      scope: async ([toRuleId, filter]) => ({ usernames: (await UserStorage.previewReassign(toRuleId, filter)).usernames }),
+      label: async ([toRuleId, filter]) => {
+        const [rule, preview] = await Promise.all([RuleStorage.getRule(toRuleId), UserStorage.previewReassign(toRuleId, filter)]);
+        return `Reassigned ${preview.violations} violation(s) to "${rule ? rule.name : 'Unknown'}"`;
+      }
+    },
+    'UserStorage.linkUserId': {
+      // Only a rename merges records; just attaching an ID isn't worth an entry
+      scope: async ([username, userId]) => {
+        const usernameLower = UserStorage.normalizeUsername(username);
+        const previous = (await UserStorage.findByUserId(userId)).filter(name => name !== usernameLower);
+        return previous.length > 0 ? { usernames: [usernameLower, ...previous] } : {};
+      },
+      label: async ([username, userId]) => {
+        const usernameLower = UserStorage.normalizeUsername(username);
+        const previous = (await UserStorage.findByUserId(userId)).filter(name => name !== usernameLower);
+        return `Merged ${previous.map(name => `@${name}`).join(', ')} into renamed account @${usernameLower}`;
+      }
+    },
+    'UserStorage.saveMarkedUsers': {
+      scope: () => ({ allUsers: true }),
+      label: async () => 'Replaced all marked users'
+    },
+    'UserStorage.clearAllUsers': {
+      scope: () => ({ allUsers: true }),
+      label: async () => 'Cleared all marked users'
+    },
+    'RuleStorage.addRule': {
+      scope: () => ({ rules: true }),
+      label: async ([name]) => `Created rule "${name}"`
+    },
+    'RuleStorage.updateRule': {
+      scope: () => ({ rules: true }),
+      label: async ([ruleId]) => {
+        const rule = await RuleStorage.getRule(ruleId);
+        return `Edited rule "${rule ? rule.name : 'Unknown'}"`;
+      }
+    },
+    'RuleStorage.removeRule': {
+      scope: () => ({ rules: true }),
+      label: async ([ruleId]) => {
+        const rule = await RuleStorage.getRule(ruleId);
+        return `Deleted rule "${rule ? rule.name : 'Unknown'}"`;
+      }
+    },
+    'RuleStorage.reorderRules': {
+      scope: () => ({ rules: true }),
+      label: async () => 'Reordered rules'
+    },
+    'RuleStorage.mergeRules': {
+      scope: async ([sourceId]) => {
+        const incidents = await UserStorage.getIncidents({ ruleId: sourceId });
+        return { usernames: [...new Set(incidents.map(incident => incident.username))], rules: true };
+      },
+      label: async ([sourceId, targetId]) => {
+        const [source, target] = await Promise.all([RuleStorage.getRule(sourceId), RuleStorage.getRule(targetId)]);
+        return `Merged rule "${source ? source.name : 'Unknown'}" into "${target ? target.name : 'Unknown'}"`;
+      }
+    },
+    'RuleStorage.importPack': {
+      scope: () => ({ rules: true }),
+      label: async ([pack]) => `Added rule pack "${pack && pack.name}"`
+    },
+    'RuleStorage.saveRules': {
+      scope: () => ({ rules: true }),
+      label: async () => 'Replaced all rules'
+    },
+    'BackupStorage.restore': {
+      scope: () => ({ allUsers: true, rules: true, settings: true }),
+      label: async () => 'Imported backup'
+    },
+    'TrashStorage.restore': {
+      scope: async ([itemId]) => {
+        const item = await TrashStorage.getItem(itemId);
+        if (!item) {
+          return {};
+        }
+        return item.type === 'rule' ? { rules: true } : { usernames: [item.username] };
+      },
+      label: async ([itemId]) => {
+        const item = await TrashStorage.getItem(itemId);
+        if (!item) {
+          return 'Restored from trash';
+        }
+        return item.type === 'rule'
+          ? `Restored rule "${item.rule.name}" from trash`
+          : `Restored @${item.username} from trash`;
+      }
+    }
+  };
+
+  /**
+   * Snapshot the records a mutation touches, including their trash items.
+   * Reads that fail throw: an empty snapshot would erase data on undo.
+   * @param {Object} scope - { usernames, allUsers, rules, settings }
+   * @returns {Promise<Object>} Snapshot ({ users | allUsers, userTrash, rules, ruleTrash, settings })
+   */
+  static async capture(scope) {
+    const snapshot = {};
+    if (scope.allUsers) {
+      snapshot.allUsers = await UserStorage.readMarkedUsers();
+      snapshot.userTrash = { filter: { types: ['user', 'violation'] } };
+    } else if (scope.usernames) {
+      snapshot.users = {};
+      const usernames = scope.usernames.filter(Boolean);
+      for (const username of usernames) {
+        // null marks a user that doesn't exist in this snapshot
+        snapshot.users[username] = await UserStorage.readUser(username);
+      }
+      snapshot.userTrash = { filter: { types: ['user', 'violation'], usernames: usernames } };
+    }
+    if (snapshot.userTrash) {
+      snapshot.userTrash.items = await TrashStorage.readTrash(snapshot.userTrash.filter);
+    }
+    if (scope.rules) {
+      snapshot.rules = await RuleStorage.readRules();
+      snapshot.ruleTrash = { filter: { types: ['rule'] } };
+      snapshot.ruleTrash.items = await TrashStorage.readTrash(snapshot.ruleTrash.filter);
+    }
+    if (scope.settings) {
+      snapshot.settings = await SettingsStorage.getSettings();
+    }
+    return snapshot;
+  }
+
+  /**
+   * Reduce snapshots of all users to the users that actually changed, so
+   * an entry never stores a copy of the whole dataset
+   * @param {Object} before - Snapshot from capture() (modified in place)
+   * @param {Object} after - Snapshot from capture() (modified in place)
+   * @returns {boolean} False if more than MAX_RECORDED_USERS users changed
+   */
+  static compact(before, after) {
+    if (!before.allUsers) {
+      return true;
+    }
+
+    const trashOf = (snapshot, username) => JSON.stringify(snapshot.userTrash.items.filter(item => item.username === username));
+    const candidates = new Set([before, after].flatMap(snapshot => [
+      ...Object.keys(snapshot.allUsers),
+      ...snapshot.userTrash.items.map(item => item.username)
+    ]));
+    const usernames = Array.from(candidates).filter(username =>
+      JSON.stringify(before.allUsers[username] || null) !== JSON.stringify(after.allUsers[username] || null) ||
+      trashOf(before, username) !== trashOf(after, username)
+    );
+    if (usernames.length > this.MAX_RECORDED_USERS) {
+      return false;
+    }
+
+    [before, after].forEach(snapshot => {
+      snapshot.users = {};
+      usernames.forEach(username => {
+        snapshot.users[username] = snapshot.allUsers[username] || null;
+      });
+      snapshot.userTrash = {
+        filter: { types: ['user', 'violation'], usernames: usernames },
+        items: snapshot.userTrash.items.filter(item => usernames.includes(item.username))
+      };
+      delete snapshot.allUsers;
+    });
+    return true;
+  }
+
+  /**
+   * IDs of the violations a history entry can bring back
+   * @param {Object} entry - History record
+   * @returns {Array<string>} Incident IDs in its snapshots
+   */
+  static getIncidentIds(entry) {
+    return [entry.before, entry.after].flatMap(snapshot => [
+      ...Object.values(snapshot.users || {})
+        .filter(Boolean)
+        .flatMap(userData => Object.values(userData.rules || {}).flatMap(ruleData => ruleData.incidents || [])),
+      ...(snapshot.userTrash ? snapshot.userTrash.items : []).flatMap(item => item.incidents)
+    ]).map(incident => incident.id);
+  }
+
+  /**
+   * Write a snapshot back to storage
+   * @param {Object} snapshot - Snapshot from capture() and compact()
+   */
+  static async restore(snapshot) {
+    for (const [username, userData] of Object.entries(snapshot.users || {})) {
+      if (userData) {
+        await UserStorage.putUser(username, userData);
+      } else {
+        await UserStorage.deleteUser(username);
+      }
+    }
+    if (snapshot.rules && !(await RuleStorage.saveRules(snapshot.rules))) {
+      throw new Error('Could not restore rules');
+    }
+    for (const trashSnapshot of [snapshot.userTrash, snapshot.ruleTrash]) {
+      if (trashSnapshot) {
+        await TrashStorage.replaceItems(trashSnapshot.filter, trashSnapshot.items);
+      }
+    }
+    if (snapshot.settings) {
+      await SettingsStorage.saveSettings(snapshot.settings);
+    }
+  }
+
+  /**
+   * Run a mutation and record it if it is undoable
+   * @param {string} target - Storage class name
+   * @param {string} method - Mutating method name
+   * @param {Array} args - Method arguments
+   * @param {string} origin - Where the change came from
+   * @param {Function} run - Runs the mutation
+   * @returns {Promise<Object>} { result, historyId } (historyId is null when not recorded)
+   */
+  static async track(target, method, args, origin, run) {
+    const action = this.ACTIONS[`${target}.${method}`];
+    if (!action) {
+      return { result: await run(), historyId: null };
+    }
+
+    // The scope is resolved once: the mutation may remove what it depends on
+    const scope = await action.scope(args);
+    const before = await this.capture(scope);
+    const label = await action.label(args);
+    const result = await run();
+
+    let historyId = null;
+    try {
+      const after = await this.capture(scope);
+      // Rejected changes (e.g. an invalid rule edit) leave nothing to undo
+      if (JSON.stringify(after) === JSON.stringify(before)) {
+        return { result, historyId };
+      }
+      if (this.compact(before, after)) {
+        historyId = await this.record({ label, origin, before, after });
+      } else {
+        // Too big to keep; older entries would restore users this change replaced
+        await this.clearHistory();
+      }
+    } catch (error) {
+      // A failed history write must never fail the change itself
+    }
+    return { result, historyId };
+  }
+
+  /**
+   * Add an entry; drops undone entries and the oldest beyond the limit
+   * @param {Object} entry - { label, origin, before, after }
+   * @returns {Promise<string>} Entry ID
+   */
+  static async record(entry) {
+    const id = `hist_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+
+    await Database.transaction('history', 'readwrite', async ({ history }) => {
+      const entries = (await Database.request(history.getAll())).sort((a, b) => a.sequence - b.sequence);
+      const active = entries.filter(existing => !existing.undone);
+
+      // A new action ends the redo chain
+      entries.filter(existing => existing.undone).forEach(existing => history.delete(existing.id));
+      active.slice(0, Math.max(0, active.length - this.LIMIT + 1)).forEach(existing => history.delete(existing.id));
+
+      history.put({
+        id: id,
+        sequence: entries.length > 0 ? entries[entries.length - 1].sequence + 1 : 1,
+        timestamp: Date.now(),
+        label: entry.label,
+        origin: entry.origin || 'system',
+        before: entry.before,
+        after: entry.after,
+        undone: false
+      });
+    });
+    return id;
+  }
+
+  /**
+   * List history entries, newest first, without their snapshots
+   * @returns {Promise<Array<Object>>} Entries ({ id, timestamp, label, undone })
+   */
+  static async getHistory() {
+    try {
+      const entries = await Database.transaction('history', 'readonly', ({ history }) => {
+        return Database.request(history.getAll());
+      });
+      return entries
+        .sort((a, b) => b.sequence - a.sequence)
+        .map(({ id, timestamp, label, undone }) => ({ id, timestamp, label, undone }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  static async getEntries() {
+    const entries = await Database.transaction('history', 'readonly', ({ history }) => {
+      return Database.request(history.getAll());
+    });
+    return entries.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  static async markUndone(entry, undone) {
+    entry.undone = undone;
+    await Database.transaction('history', 'readwrite', ({ history }) => {
+      history.put(entry);
+    });
+  }
+
+  /**
+   * Undo the latest action, or every action back to and including historyId
+   * @param {string} historyId - Optional entry to undo back to
+   * @returns {Promise<Object>} { count, label } of the undone actions
+   */
+  static async undo(historyId = null) {
+    const active = (await this.getEntries()).filter(entry => !entry.undone);
+    const index = historyId ? active.findIndex(entry => entry.id === historyId) : active.length - 1;
+    if (index === -1) {
+      throw new Error(historyId ? 'This action can no longer be undone' : 'Nothing to undo');
+    }
+
+    const targets = active.slice(index).reverse();
+    for (const entry of targets) {
+      await this.restore(entry.before);
+      await this.markUndone(entry, true);
+    }
+    return { count: targets.length, label: targets[targets.length - 1].label };
+  }
+
+  /**
+   * Undo a quick-mark from the page it was made on. Only the latest action
+   * can be undone there, so a stale page never rolls back later changes.
+   * @param {string} historyId - Entry of the quick-mark
+   * @returns {Promise<Object>} { count, label } of the undone action
+   */
+  static async undoQuickMark(historyId) {
+    const active = (await this.getEntries()).filter(entry => !entry.undone);
+    const latest = active[active.length - 1];
+    if (!latest || latest.id !== historyId || latest.origin !== 'quick-mark') {
+      throw new Error('Only the latest quick-mark can be undone here; use the history in the extension popup');
+    }
+    return this.undo(historyId);
+  }
+
+  /**
+   * Redo the next undone action, or every undone action up to and including historyId
+   * @param {string} historyId - Optional entry to redo up to
+   * @returns {Promise<Object>} { count, label } of the redone actions
+   */
+  static async redo(historyId = null) {
+    const undone = (await this.getEntries()).filter(entry => entry.undone);
+    const index = historyId ? undone.findIndex(entry => entry.id === historyId) : 0;
+    if (index === -1 || undone.length === 0) {
+      throw new Error(historyId ? 'This action can no longer be redone' : 'Nothing to redo');
+    }
+
+    const targets = undone.slice(0, index + 1);
+    for (const entry of targets) {
+      await this.restore(entry.after);
+      await this.markUndone(entry, false);
+    }
+    return { count: targets.length, label: targets[targets.length - 1].label };
+  }
+
+  static async clearHistory() {
+    await Database.transaction('history', 'readwrite', ({ history }) => {
+      history.clear();
+    });
+    return true;
+  }
+}
+
+/**
+ * AuditStorage - Append-only log of who changed what
+ *
+ * Every audited mutation gets one entry with the moderator name from the
+ * settings, the origin of the change (popup, quick-mark, import, system)
+ * and short before/after values. Unlike history, entries are never undone.
+ */
+class AuditStorage {
+  static LIMIT = 10000;
+
+  static ACTION_LABELS = {
+    mark: 'Marked user',
+    'remove-user': 'Removed user',
+    'bulk-remove': 'Bulk removed users',
+    'remove-violation': 'Removed violation',
+    'edit-note': 'Edited note',
+    'edit-action': 'Recorded action',
+    'edit-status': 'Changed appeal status',
+    'clear-users': 'Cleared users',
+    'replace-users': 'Replaced users',
+    'add-rule': 'Created rule',
+    'edit-rule': 'Edited rule',
+    'delete-rule': 'Deleted rule',
+    'merge-rule': 'Merged rules',
+    'reorder-rules': 'Reordered rules',
+    'add-rule-pack': 'Added rule pack',
+    reassign: 'Reassigned violations',
+    import: 'Imported backup',
+    'restore-trash': 'Restored from trash',
+    'delete-trash': 'Deleted from trash',
+    'empty-trash': 'Emptied trash',
+    'purge-trash': 'Purged trash',
+    rename: 'Detected rename',
+    undo: 'Undo',
+    redo: 'Redo',
+    settings: 'Changed settings'
+  };
+
+  static ORIGINS = ['popup', 'quick-mark', 'import', 'system'];
+
+  // Audited mutations: optional before(args) runs ahead of the change,
+  // entry(args, result, before) builds { action, target, before, after }
+  static ACTIONS = {
+    'UserStorage.addUser': {
+      before: ([username, ruleId]) => AuditStorage.describeViolations(username, ruleId),
+      entry: async ([username, ruleId], result, before) => ({
+        action: 'mark',
+        target: `@${UserStorage.normalizeUsername(username)}`,
+        before: before,
+        after: await AuditStorage.describeViolations(username, ruleId)
+      })
+    },
+    'UserStorage.removeUser': {
+      before: ([username]) => AuditStorage.describeViolations(username),
+      entry: async ([username], result, before) => ({
+        action: 'remove-user',
+        target: `@${username.toLowerCase().replace('@', '')}`,
+        before: before,
+        after: 'In trash'
+      })
+    },
+    'UserStorage.removeUsers': {
+      entry: async ([usernames]) => ({
+        action: 'bulk-remove',
+        target: `${usernames.length} user(s)`,
+        before: usernames.map(username => `@${username.toLowerCase().replace('@', '')}`).join(', '),
+        after: 'In trash'
+      })
+    },
+    'UserStorage.removeViolation': {
+      before: ([username, ruleId]) => AuditStorage.describeViolations(username, ruleId),
+      entry: async ([username, ruleId], result, before) => ({
+        action: 'remove-violation',
+        target: `@${username.toLowerCase().replace('@', '')}`,
+        before: before,
+        after: await AuditStorage.describeViolations(username, ruleId)
+      })
+    },
+    'UserStorage.updateNote': {
+      before: async ([username]) => {
+        const userData = await UserStorage.getUser(username);
+        return userData ? userData.note || '' : null;
+      },
+      entry: async ([username, note], result, before) => ({
+        action: 'edit-note',
+        target: `@${username.toLowerCase().replace('@', '')}`,
+        before: before,
+        after: note
+      })
+    },
+    'UserStorage.updateAction': {
+      before: ([username, incidentId]) => AuditStorage.describeIncidentAction(username, incidentId),
+      entry: async ([username, incidentId], result, before) => result ? {
+        action: 'edit-action',
+        target: `@${username.toLowerCase().replace('@', '')}`,
+        before: before,
+        after: await AuditStorage.describeIncidentAction(username, incidentId)
+      } : null
+    },
+    'UserStorage.updateStatus': {
+      before: ([username, incidentId]) => AuditStorage.describeIncidentStatus(username, incidentId),
+      entry: async ([username, incidentId], result, before) => result ? {
+        action: 'edit-status',
+        target: `@${username.toLowerCase().replace('@', '')}`,
+        before: before,
+        after: await AuditStorage.describeIncidentStatus(username, incidentId)
+      } : null
+    },
+    'UserStorage.linkUserId': {
+      origin: 'system',
+      entry: async (args, { username, userId, renamedFrom }) => renamedFrom.length > 0 ? {
+        action: 'rename',
+        target: `ID ${userId}`,
+        before: renamedFrom.map(alias => `@${alias}`).join(', '),
+        after: `@${username}`
+      } : null
+    },
+    'UserStorage.reassignViolations': {
+      entry: async ([toRuleId], result) => {
+        if (result.violations === 0) {
+          return null;
+        }
+        const rule = await RuleStorage.getRule(toRuleId);
+        return {
+          action: 'reassign',
+          target: `${result.users} user(s)`,
+          before: result.usernames.map(username => `@${username}`).join(', '),
+          after: `${result.violations} violation(s) moved to "${rule ? rule.name : toRuleId}"`
+        };
+      }
+    },
+    'UserStorage.saveMarkedUsers': {
+      before: () => AuditStorage.describeTotals(),
+      entry: async (args, result, before) => ({
+        action: 'replace-users',
+        target: 'All users',
+        before: before,
+        after: await AuditStorage.describeTotals()
+      })
+    },
+    'UserStorage.clearAllUsers': {
+      before: () => AuditStorage.describeTotals(),
+      entry: async (args, result, before) => ({
+        action: 'clear-users',
+        target: 'All users',
+        before: before,
+        after: await AuditStorage.describeTotals()
+      })
+    },
+    'RuleStorage.addRule': {
+      entry: async ([name], result) => result.success ? {
+        action: 'add-rule',
+        target: name,
+        before: null,
+        after: AuditStorage.describeRule(result.rule)
+      } : null
+    },
+    'RuleStorage.updateRule': {
+      before: ([ruleId]) => RuleStorage.getRule(ruleId),
+      entry: async ([ruleId], result, before) => {
+        if (!result.success) {
+          return null;
+        }
+        const after = await RuleStorage.getRule(ruleId);
+        return {
+          action: 'edit-rule',
+          target: after ? after.name : (before ? before.name : ruleId),
+          before: AuditStorage.describeRule(before),
+          after: AuditStorage.describeRule(after)
+        };
+      }
+    },
+    'RuleStorage.removeRule': {
+      before: ([ruleId]) => RuleStorage.getRule(ruleId),
+      entry: async ([ruleId], result, before) => ({
+        action: 'delete-rule',
+        target: before ? before.name : ruleId,
+        before: before ? `${before.name} (${before.color})` : null,
+        after: 'In trash'
+      })
+    },
+    'RuleStorage.reorderRules': {
+      before: () => RuleStorage.getRules().then(rules => AuditStorage.describeRuleLayout(rules)),
+      entry: async (args, result, before) => {
+        const after = AuditStorage.describeRuleLayout(await RuleStorage.getRules());
+        return result.success && after !== before ? {
+          action: 'reorder-rules',
+          target: 'Rules',
+          before: before,
+          after: after
+        } : null;
+      }
+    },
+    'RuleStorage.mergeRules': {
+      before: ([sourceId, targetId]) => Promise.all([RuleStorage.getRule(sourceId), RuleStorage.getRule(targetId)]),
+      entry: async (args, result, [source, target]) => result.success ? {
+        action: 'merge-rule',
+        target: `${source.name} → ${target.name}`,
+        before: `${result.violations} violation(s) of ${result.users} user(s) under "${source.name}"`,
+        after: `Moved to "${target.name}"; "${source.name}" in trash`
+      } : null
+    },
+    'RuleStorage.importPack': {
+      entry: async ([pack], result) => result.success && (result.added || result.updated) ? {
+        action: 'add-rule-pack',
+        target: pack.name,
+        before: null,
+        after: `${result.added} rule(s) added, ${result.updated} extended`
+      } : null
+    },
+    'BackupStorage.restore': {
+      origin: 'import',
+      before: () => AuditStorage.describeTotals(),
+      entry: async (args, result, before) => ({
+        action: 'import',
+        target: 'All data',
+        before: before,
+        after: await AuditStorage.describeTotals()
+      })
+    },
+    'TrashStorage.restore': {
+      entry: async (args, item) => ({
+        action: 'restore-trash',
+        target: item.type === 'rule' ? item.rule.name : `@${item.username}`,
+        before: 'In trash',
+        after: `${item.type === 'rule' ? 'Rule' : `${item.incidents.length} violation(s)`} restored`
+      })
+    },
+    'TrashStorage.deleteForever': {
+      before: ([itemId]) => TrashStorage.getItem(itemId),
+      entry: async (args, result, item) => item ? {
+        action: 'delete-trash',
+        target: item.type === 'rule' ? item.rule.name : `@${item.username}`,
+        before: 'In trash',
+        after: 'Deleted permanently'
+      } : null
+    },
+    'TrashStorage.emptyTrash': {
+      before: async () => (await TrashStorage.getTrash()).length,
+      entry: async (args, result, count) => ({
+        action: 'empty-trash',
+        target: 'Trash',
+        before: `${count} item(s)`,
+        after: 'Deleted permanently'
+      })
+    },
+    'TrashStorage.purgeExpired': {
+      entry: async (args, count) => count > 0 ? {
+        action: 'purge-trash',
+        target: 'Trash',
+        before: `${count} expired item(s)`,
+        after: 'Deleted permanently'
+      } : null
+    },
+    'HistoryStorage.undo': {
+      entry: async (args, { count, label }) => ({
+        action: 'undo',
+        target: label,
+        before: null,
+        after: `${count} action(s) undone`
+      })
+    },
+    'HistoryStorage.undoQuickMark': {
+      entry: async (args, { count, label }) => ({
+        action: 'undo',
+        target: label,
+        before: null,
+        after: `${count} action(s) undone`
+      })
+    },
+    'HistoryStorage.redo': {
+      entry: async (args, { count, label }) => ({
+        action: 'redo',
+        target: label,
+        before: null,
+        after: `${count} action(s) redone`
+      })
+    },
+    'SettingsStorage.saveSettings': {
+      before: () => SettingsStorage.getSettings(),
+      entry: async ([updates], result, before) => {
+        const after = await SettingsStorage.getSettings();
+        const changed = Object.keys(updates || {})
+          .filter(key => key in after && JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        if (changed.length === 0) {
+          return null;
+        }
+        const describe = (settings, other) => changed.map(key => {
+          if (key === 'detectors') {
+            return AuditStorage.describeDetectorSettings(settings.detectors, other.detectors);
+          }
+          if (key === 'escalation') {
+            return `escalation: ${EscalationPolicy.describeLadder(settings.escalation)}`;
+          }
+          return `${key}: ${settings[key]}`;
+        }).join(', ');
+        return {
+          action: 'settings',
+          target: changed.join(', '),
+          before: describe(before, after),
+          after: describe(after, before)
+        };
+      }
+    }
+  };
+
+  /**
+   * Describe a user's violations, e.g. '2 violation(s) of "No NSFW"'
+   * @param {string} username - Username (with or without @)
+   * @param {string} ruleId - Optional rule to describe (all rules if omitted)
+   * @returns {Promise<string>} Description
+   */
+  static async describeViolations(username, ruleId = null) {
+    const userData = await UserStorage.getUser(username);
+    if (!userData) {
+      return 'Not marked';
+    }
+    if (ruleId === null) {
+      const total = Object.values(userData.rules).reduce((sum, ruleData) => sum + ruleData.count, 0);
+      return `${total} violation(s)`;
+    }
+
+    const rule = await RuleStorage.getRule(ruleId);
+    const ruleData = userData.rules[ruleId.toString()];
+    return `${ruleData ? ruleData.count : 0} violation(s) of "${rule ? rule.name : 'Unknown'}"`;
+  }
+
+  /**
+   * Describe the action recorded for a violation, e.g. 'Spam: Muted (1d)'
+   * @param {string} username - Username (with or without @)
+   * @param {string} incidentId - Incident ID
+   * @returns {Promise<string|null>} Description, or null if the violation doesn't exist
+   */
+  static async describeIncidentAction(username, incidentId) {
+    return this.describeIncident(username, incidentId, incident => UserStorage.describeAction(incident) || 'No action');
+  }
+
+  /**
+   * Describe the appeal status of a violation, e.g. 'Spam: Overturned: Satire account'
+   * @param {string} username - Username (with or without @)
+   * @param {string} incidentId - Incident ID
+   * @returns {Promise<string|null>} Description, or null if the violation doesn't exist
+   */
+  static async describeIncidentStatus(username, incidentId) {
+    return this.describeIncident(username, incidentId, incident => UserStorage.describeStatus(incident));
+  }
+
+  /**
+   * Describe one detail of a violation, prefixed with its rule name
+   * @param {string} username - Username (with or without @)
+   * @param {string} incidentId - Incident ID
+   * @param {Function} describe - Builds the detail from the incident record
+   * @returns {Promise<string|null>} Description, or null if the violation doesn't exist
+   */
+  static async describeIncident(username, incidentId, describe) {
+    const incidents = await UserStorage.getIncidents({ username: username.replace('@', '') });
+    const incident = incidents.find(item => item.id === incidentId);
+    if (!incident) {
+      return null;
+    }
+    const rule = await RuleStorage.getRule(incident.ruleId);
+    return `${rule ? rule.name : 'Unknown'}: ${describe(incident)}`;
+  }
+
+  /**
+   * Describe a rule's editable fields, e.g. 'No NSFW (#8b5cf6, high, Content, archived)'
+   * @param {Object} rule - Rule record (or null)
+   * @returns {string|null} Description
+   */
+  static describeRule(rule) {
+    if (!rule) {
+      return null;
+    }
+    const weight = typeof rule.weight === 'number' ? `weight ${rule.weight}` : '';
+    const termCount = RuleDetection.countTerms(rule);
+    const terms = termCount ? `${termCount} detection term(s)` : '';
+    const detectors = (rule.detectors || []).length ? `${rule.detectors.length} detector(s)` : '';
+    const expiry = rule.expiryDays ? `expires after ${rule.expiryDays}d` : '';
+    const escalation = rule.escalation ? `escalation ${EscalationPolicy.describeLadder(rule.escalation)}` : '';
+    const details = [rule.color, rule.severity, weight, rule.category, expiry, escalation, terms, detectors, rule.archived ? 'archived' : ''].filter(Boolean);
+    const description = rule.description ? `: ${rule.description}` : '';
+    return `${rule.name} (${details.join(', ')})${description}`;
+  }
+
+  /**
+   * Describe the detectors whose settings differ from another version,
+   * e.g. 'Mentions: weight 10, threshold 5; Invite links: off'
+   * @param {Object} settings - Detector settings to describe
+   * @param {Object} other - Detector settings to compare with
+   * @returns {string} Description
+   */
+  static describeDetectorSettings(settings, other) {
+    return Object.keys(RuleDetection.DETECTORS)
+      .filter(id => JSON.stringify(settings[id]) !== JSON.stringify(other[id]))
+      .map(id => {
+        const { enabled, ...options } = settings[id];
+        const details = enabled ? Object.entries(options).map(([key, value]) => `${key} ${value}`).join(', ') : 'off';
+        return `${RuleDetection.DETECTORS[id].label}: ${details}`;
+      })
+      .join('; ');
+  }
+
+  /**
+   * Describe the order and groups of rules, e.g. 'Spam: Ads, Scams | Be kind'
+   * @param {Array} rules - Sorted rules
+   * @returns {string} Description
+   */
+  static describeRuleLayout(rules) {
+    return RuleStorage.groupRules(rules)
+      .map(group => `${group.name ? `${group.name}: ` : ''}${group.rules.map(rule => rule.name).join(', ')}`)
+      .join(' | ');
+  }
+
+  static async describeTotals() {
+    const [userCount, rules] = await Promise.all([UserStorage.countUsers(), RuleStorage.getRules()]);
+    return `${userCount} user(s), ${rules.length} rule(s)`;
+  }
+
+  /**
+   * Run a mutation and log it if it is audited. Logging never fails the change.
+   * @param {string} target - Storage class name
+   * @param {string} method - Mutating method name
+   * @param {Array} args - Method arguments
+   * @param {string} origin - Where the change came from
+   * @param {Function} run - Runs the mutation
+   * @returns {Promise<*>} Mutation result
+   */
+  static async track(target, method, args, origin, run) {
+    const action = this.ACTIONS[`${target}.${method}`];
+    if (!action) {
+      return run();
+    }
+
+    let before = null;
+    try {
+      before = action.before ? await action.before(args) : null;
+    } catch (error) {
+      // Log the change without its previous value
+    }
+
+    const result = await run();
+
+    try {
+      const entry = await action.entry(args, result, before);
+      if (entry) {
+        await this.record({ ...entry, origin: action.origin || origin });
+      }
+    } catch (error) {
+      // A failed audit write must never fail the change itself
+    }
+    return result;
+  }
+
+  /**
+   * Append an entry; the oldest entries beyond the limit are dropped
+   * @param {Object} entry - { action, target, before, after, origin }
+   */
+  static async record(entry) {
+    const settings = await SettingsStorage.getSettings();
+    const record = {
+      id: `audit_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`,
+      timestamp: Date.now(),
+      moderator: settings.moderatorName || '',
+      action: entry.action,
+      target: entry.target ?? '',
+      before: entry.before ?? null,
+      after: entry.after ?? null,
+      origin: this.ORIGINS.includes(entry.origin) ? entry.origin : 'system'
+    };
+
+    await Database.transaction('audit', 'readwrite', async ({ audit }) => {
+      audit.put(record);
+      const count = await Database.request(audit.count());
+      if (count > this.LIMIT) {
+        const oldestIds = await Database.request(audit.index('timestamp').getAllKeys(null, count - this.LIMIT));
+        oldestIds.forEach(id => audit.delete(id));
+      }
+    });
+  }
+
+  /**
+   * Query the log, newest first
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.action - Only this action
+   * @param {string} filter.origin - Only this origin
+   * @param {string} filter.search - Text in target, values or moderator
+   * @param {number} filter.since - Only entries at or after this timestamp
+   * @returns {Promise<Array<Object>>} Audit entries
+   */
+  static async getEntries(filter = {}) {
+    const { action, origin, since } = filter;
+    const search = (filter.search || '').toLowerCase().trim();
+    try {
+      const entries = await Database.transaction('audit', 'readonly', ({ audit }) => {
+        const range = since !== undefined ? IDBKeyRange.lowerBound(since) : null;
+        return Database.request(audit.index('timestamp').getAll(range));
+      });
+      return entries
+        .filter(entry => !action || entry.action === action)
+        .filter(entry => !origin || entry.origin === origin)
+        .filter(entry => !search || [entry.target, entry.before, entry.after, entry.moderator]
+          .some(value => value && String(value).toLowerCase().includes(search)))
+        .reverse();
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+/**
+ * StorageBridge - Routes storage calls through the background worker
+ *
+ * Mutations touch several records at once, so the service worker owns the
+ * only mutation queue; in the popup and content scripts the mutating methods
+ * are replaced by proxies that send the call to it. Content scripts run in
+ * the page's origin and can't open the extension's IndexedDB, so their
+ * reads are proxied as well. The popup reads the database directly. Pages
+ * are less trusted than the popup, so content scripts may only run the
+ * few mutations in TAB_MUTATIONS.
+ */
+class StorageBridge {
+  static MUTATIONS = {
+    RuleStorage: ['saveRules', 'addRule', 'removeRule', 'updateRule', 'reorderRules', 'mergeRules', 'importPack', 'initializeDefaultRules'],
+    UserStorage: ['saveMarkedUsers', 'addUser', 'removeUser', 'removeUsers', 'updateNote', 'updateAction', 'updateStatus', 'removeViolation', 'reassignViolations', 'linkUserId', 'clearAllUsers'],
+    SettingsStorage: ['saveSettings'],
+    CommunityStorage: ['saveCommunity'],
+    WorkspaceStorage: ['createWorkspace', 'renameWorkspace', 'switchWorkspace', 'deleteWorkspace'],
+    StorageMigrations: ['run'],
+    BackupStorage: ['restore'],
+    HistoryStorage: ['undo', 'undoQuickMark', 'redo', 'clearHistory'],
+    TrashStorage: ['restore', 'deleteForever', 'emptyTrash', 'purgeExpired'],
+    ScreenshotStorage: ['purgeOrphans']
+  };
+
+  // The only mutations a content script may ask for: what the quick-mark flow needs
+  static TAB_MUTATIONS = {
+    UserStorage: ['addUser', 'linkUserId'],
+    CommunityStorage: ['saveCommunity'],
+    HistoryStorage: ['undoQuickMark']
+  };
+
+  static QUERIES = {
+    RuleStorage: ['getRules', 'getRule'],
+    UserStorage: ['getMarkedUsers', 'getUser', 'searchUsers', 'getIncidents', 'getAppeals', 'findByUserId'],
+    HistoryStorage: ['getHistory'],
+    TrashStorage: ['getTrash'],
+    AuditStorage: ['getEntries'],
+    CommunityStorage: ['getCommunities'],
+    ScreenshotStorage: ['getScreenshots']
+  };
+
+  static TARGETS = {
+    RuleStorage: RuleStorage,
+    UserStorage: UserStorage,
+    SettingsStorage: SettingsStorage,
+    CommunityStorage: CommunityStorage,
+    WorkspaceStorage: WorkspaceStorage,
+    StorageMigrations: StorageMigrations,
+    BackupStorage: BackupStorage,
+    HistoryStorage: HistoryStorage,
+    TrashStorage: TrashStorage,
+    AuditStorage: AuditStorage,
+    ScreenshotStorage: ScreenshotStorage
+  };
+
+  static queue = Promise.resolve();
+
+  /**
+   * Whether this context owns the mutation queue (the background service worker)
+   * @returns {boolean} True in the service worker
+   */
+  static isOwner() {
+    return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+  }
+
+  /**
+   * Whether this context can open the extension's IndexedDB
+   * @returns {boolean} True in extension pages and the service worker
+   */
+  static hasDatabaseAccess() {
+    return typeof location !== 'undefined' && location.protocol === 'chrome-extension:';
+  }
+
+  /**
+   * Run a task after all previously queued tasks have settled
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   */
+  static enqueue(task) {
+    const result = this.queue.then(task);
+    // Keep the chain alive when a task fails
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Execute a mutation in the owner context (called by the background worker)
+   * @param {string} target - Storage class name
+   * @param {string} method - Mutating method name
+   * @param {Array} args - Method arguments
+   * @param {string} origin - Where the change came from (for the audit log)
+   * @returns {Promise<Object>} { result, historyId }
+   */
+  static execute(target, method, args = [], origin = 'system') {
+    if (!this.MUTATIONS[target] || !this.MUTATIONS[target].includes(method)) {
+      return Promise.reject(new Error(`Unknown storage mutation: ${target}.${method}`));
+    }
+    const storageClass = this.TARGETS[target];
+    return this.enqueue(() => HistoryStorage.track(target, method, args, origin, () => {
+      return AuditStorage.track(target, method, args, origin, () => storageClass[method](...args));
+    }));
+  }
+
+  /**
+   * Whether a content script (a page on X.com) may run a mutation
+   * @param {string} target - Storage class name
+   * @param {string} method - Mutating method name
+   * @returns {boolean} True if allowed
+   */
+  static isTabMutation(target, method) {
+    return Boolean(this.TAB_MUTATIONS[target] && this.TAB_MUTATIONS[target].includes(method));
+  }
+
+  /**
+   * Execute a read in the owner context (called by the background worker)
+   * @param {string} target - Storage class name
+   * @param {string} method - Read method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<*>} Method result
+   */
+  static query(target, method, args = []) {
+    if (!this.QUERIES[target] || !this.QUERIES[target].includes(method)) {
+      return Promise.reject(new Error(`Unknown storage query: ${target}.${method}`));
+    }
+    return this.TARGETS[target][method](...args);
+  }
+
+  /**
+   * Run a mutation and get the history entry it created along with its
+   * result (for undo buttons)
+   * @param {string} target - Storage class name
+   * @param {string} method - Mutating method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} { result, historyId } (historyId is null when it can't be undone)
+   */
+  static async mutate(target, method, args = []) {
+    if (this.isOwner()) {
+      return this.execute(target, method, args);
+    }
+    const response = await this.send('storageMutation', target, method, args);
+    return { result: response.result, historyId: response.historyId || null };
+  }
+
+  /**
+   * Send a storage call to the background worker
+   * @param {string} action - 'storageMutation' or 'storageQuery'
+   * @param {string} target - Storage class name
+   * @param {string} method - Method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<*>} Method result
+   */
+  static async request(action, target, method, args) {
+    return (await this.send(action, target, method, args)).result;
+  }
+
+  /**
+   * Send a storage call to the background worker and check its response
+   * @param {string} action - 'storageMutation' or 'storageQuery'
+   * @param {string} target - Storage class name
+   * @param {string} method - Method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} Response ({ success, result, historyId })
+   */
+  static async send(action, target, method, args) {
+    const response = await chrome.runtime.sendMessage({
+      action: action,
+      target: target,
+      method: method,
+      args: args
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Storage worker did not respond');
+    }
+    if (action === 'storageMutation' && target === 'WorkspaceStorage') {
+      // Don't wait for storage.onChanged before reading the new workspace
+      WorkspaceStorage.forget();
+    }
+    return response;
+  }
+
+  /**
+   * Replace methods with background proxies where this context can't run them
+   */
+  static install() {
+    if (this.isOwner()) {
+      return;
+    }
+
+    const proxy = (action, methodsByTarget) => {
+      Object.entries(methodsByTarget).forEach(([target, methods]) => {
+        methods.forEach(method => {
+          this.TARGETS[target][method] = (...args) => this.request(action, target, method, args);
+        });
+      });
+    };
+
+    proxy('storageMutation', this.MUTATIONS);
+    if (!this.hasDatabaseAccess()) {
+      proxy('storageQuery', this.QUERIES);
+    }
+  }
+}
+
+StorageBridge.install();
+
+// Follow workspace switches made in other contexts
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.activeWorkspace) {
+      WorkspaceStorage.forget();
+    }
+  });
+}